@@ -1,11 +1,246 @@
-// Background: simplified. UI (`ui.html`) now provides all merge/split functionality.
-// The action just opens the packaged UI in a new tab when clicked.
+// Background: opens the packaged UI (`ui.html`) when the action is clicked,
+// handles the global keyboard commands declared in manifest.json and the
+// context menus (menus.js), runs tab operations requested by extension
+// pages through chrome.runtime.sendMessage (operations.js), applies the
+// auto-suspend policy (suspend.js), moves new and updated tabs as the
+// window rules say (rules.js) and captures page thumbnails (thumbnails.js).
+importScripts('tabops.js', 'operations.js', 'windownames.js', 'suspend.js', 'rules.js', 'thumbnails.js', 'menus.js');
+
+/**
+ * Window ids in most-recently-focused order, used by the "pull into previous
+ * window" command. Mirrored to chrome.storage.session because the service
+ * worker can be stopped at any time.
+ */
+const FOCUS_HISTORY_KEY = 'focusHistory';
+const FOCUS_HISTORY_LIMIT = 10;
+let focusHistory = null;
+
+/**
+ * Loads the focus history from session storage on first use.
+ * @async
+ * @returns {Promise<number[]>}
+ */
+async function getFocusHistory() {
+  if (focusHistory === null) {
+    const items = await chrome.storage.session.get({ [FOCUS_HISTORY_KEY]: [] });
+    focusHistory = items[FOCUS_HISTORY_KEY];
+  }
+  return focusHistory;
+}
+
+/**
+ * Replaces the focus history and persists it.
+ * @async
+ * @param {number[]} history - Window ids, most recent first
+ * @returns {Promise<void>}
+ */
+async function setFocusHistory(history) {
+  focusHistory = history.slice(0, FOCUS_HISTORY_LIMIT);
+  await chrome.storage.session.set({ [FOCUS_HISTORY_KEY]: focusHistory });
+}
+
+/**
+ * Returns the most recently focused window other than `currentWindowId` that
+ * still exists.
+ * @async
+ * @param {number} currentWindowId - The window to skip
+ * @returns {Promise<number|null>}
+ */
+async function getPreviousWindowId(currentWindowId) {
+  const history = await getFocusHistory();
+  for (const id of history) {
+    if (id === currentWindowId) continue;
+    try {
+      const win = await chrome.windows.get(id);
+      if (win.type === 'normal') return id;
+    } catch (e) {
+      // window closed; skip it
+    }
+  }
+  return null;
+}
+
+/**
+ * Opens the extension UI, or focuses the existing UI tab (and its window)
+ * instead of creating a duplicate.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function openOrFocusUi() {
+  const packagedUrl = chrome.runtime.getURL('ui.html');
+  const existing = await chrome.tabs.query({ url: packagedUrl });
+  if (existing.length) {
+    await chrome.tabs.update(existing[0].id, { active: true });
+    await chrome.windows.update(existing[0].windowId, { focused: true });
+    return;
+  }
+  await chrome.tabs.create({ url: packagedUrl });
+}
+
+/**
+ * Returns the window a command should act on: the window of the tab the
+ * command was invoked from, or the last focused normal window.
+ * @async
+ * @param {Object} [tab] - Tab passed to chrome.commands.onCommand
+ * @returns {Promise<number>}
+ */
+async function getCommandWindowId(tab) {
+  if (tab && typeof tab.windowId === 'number') return tab.windowId;
+  const win = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+  return win.id;
+}
+
+/**
+ * Handlers for the commands declared under "commands" in manifest.json.
+ */
+const commandHandlers = {
+  /**
+   * Merges every other window into the current one.
+   */
+  'merge-all-windows': async (tab) => {
+    const windowId = await getCommandWindowId(tab);
+    await runOperation({ op: 'mergeAll', windowId });
+  },
+
+  /**
+   * Moves the highlighted tabs (or just the current tab) into a new window.
+   */
+  'move-to-new-window': async (tab) => {
+    const windowId = await getCommandWindowId(tab);
+    const highlighted = await chrome.tabs.query({ windowId, highlighted: true });
+    if (highlighted.length) {
+      await runOperation({ op: 'split', tabIds: highlighted.map(t => t.id) });
+      return;
+    }
+    const current = tab || (await chrome.tabs.query({ windowId, active: true }))[0];
+    if (!current) return;
+    await runOperation({ op: 'split', tabIds: [current.id] });
+  },
+
+  /**
+   * Moves the current tab into the previously focused window and follows it.
+   */
+  'pull-to-previous-window': async (tab) => {
+    const windowId = await getCommandWindowId(tab);
+    const current = tab || (await chrome.tabs.query({ windowId, active: true }))[0];
+    const targetWindowId = await getPreviousWindowId(windowId);
+    if (!current || targetWindowId === null) return;
+    const result = await runOperation({ op: 'move', tabIds: [current.id], windowId: targetWindowId });
+    if (!result.moved.length) return;
+    await chrome.tabs.update(current.id, { active: true });
+    await chrome.windows.update(targetWindowId, { focused: true });
+  },
+
+  /**
+   * Opens the UI or focuses the existing UI tab.
+   */
+  'open-ui': () => openOrFocusUi()
+};
+
 /**
  * Handles the extension action button click event.
- * Opens the extension's UI page (ui.html) in a new tab when the user clicks
- * the extension icon in the browser toolbar.
+ * Opens the extension's UI page (ui.html), or focuses it if it is already open.
  */
 chrome.action.onClicked.addListener(() => {
-  const packagedUrl = chrome.runtime.getURL('ui.html');
-  chrome.tabs.create({ url: packagedUrl });
+  openOrFocusUi().catch(err => console.error('Opening UI failed:', err));
+});
+
+/**
+ * Dispatches global keyboard commands.
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+  const handler = commandHandlers[command];
+  if (!handler) return;
+  handler(tab).catch(err => console.error(`Command ${command} failed:`, err));
+});
+
+/**
+ * Runs tab operations for extension pages. Replies with the operation result,
+ * or {error} if the operation could not run.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || typeof message.op !== 'string') return false;
+  runOperation(message).then(sendResponse, (err) => {
+    console.error(`Operation ${message.op} failed:`, err);
+    sendResponse({ error: describeError(err) });
+  });
+  return true; // keep the channel open for the async reply
+});
+
+/**
+ * Tracks window focus for the "pull into previous window" command.
+ */
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+  const history = await getFocusHistory();
+  await setFocusHistory([windowId, ...history.filter(id => id !== windowId)]);
+});
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  const history = await getFocusHistory();
+  await setFocusHistory(history.filter(id => id !== windowId));
+});
+
+/**
+ * Auto-suspend: keeps the alarm in line with the policy set on the options
+ * page and suspends idle tabs whenever it fires.
+ */
+const refreshAutoSuspendAlarm = () => {
+  syncAutoSuspendAlarm().catch(err => console.error('Scheduling auto-suspend failed:', err));
+};
+chrome.runtime.onInstalled.addListener(refreshAutoSuspendAlarm);
+chrome.runtime.onStartup.addListener(refreshAutoSuspendAlarm);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.suspendPolicy) refreshAutoSuspendAlarm();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== AUTO_SUSPEND_ALARM) return;
+  runAutoSuspend().catch(err => console.error('Auto-suspend failed:', err));
+});
+
+/**
+ * Window rules: tabs are checked when they are opened with a URL, navigate or
+ * finish loading (their title is known by then). Checks run one at a time so
+ * that two events for the same tab cannot create its target window twice.
+ */
+let ruleQueue = Promise.resolve();
+const applyRulesToTab = (tabId) => {
+  ruleQueue = ruleQueue.then(async () => {
+    if (!(await loadAutoApplyRules())) return;
+    await runRules({ tabIds: [tabId] });
+  }).catch(err => console.error('Applying window rules failed:', err));
+};
+
+chrome.tabs.onCreated.addListener((tab) => {
+  if (tab.url || tab.pendingUrl) applyRulesToTab(tab.id);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url || changeInfo.status === 'complete') applyRulesToTab(tabId);
+});
+
+/**
+ * Thumbnails: the active tab of a window is captured when it is switched to
+ * or finishes loading. Thumbnails of closed tabs are dropped right away, and
+ * at startup those of the last session (tab ids are not kept across restarts).
+ */
+chrome.tabs.onActivated.addListener(({ windowId }) => scheduleThumbnailCapture(windowId));
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && tab.active) scheduleThumbnailCapture(tab.windowId);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  deleteThumbnails([tabId]).catch(err => console.error('Dropping a thumbnail failed:', err));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  evictThumbnails().catch(err => console.error('Dropping thumbnails failed:', err));
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' || !changes[THUMBNAILS_ENABLED_KEY] || changes[THUMBNAILS_ENABLED_KEY].newValue !== false) return;
+  deleteThumbnails().then(() => chrome.runtime.sendMessage({ event: 'thumbnailsChanged' }).catch(() => {}))
+    .catch(err => console.error('Clearing thumbnails failed:', err));
 });
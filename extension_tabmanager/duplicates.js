@@ -0,0 +1,237 @@
+/**
+ * Duplicate tab detection over `windowsData`. URLs are compared after a
+ * configurable normalization; duplicate page cards and window tabs are badged
+ * with a count, and the Duplicates panel can select or close every copy
+ * except the one chosen to keep.
+ */
+
+/**
+ * Default duplicate policy, stored in chrome.storage.sync under `duplicatePolicy`.
+ * - ignoreHash: treat URLs differing only by #fragment as equal
+ * - ignoreQuery: treat URLs differing only by ?query as equal
+ * - ignoreTrailingSlash: treat /path and /path/ as equal
+ * - ignoreScheme: treat http:// and https:// as equal
+ * - keep: which copy is kept: 'oldest', 'active' (in the active window) or 'pinned'
+ */
+const DEFAULT_DUPLICATE_POLICY = {
+  ignoreHash: true,
+  ignoreQuery: false,
+  ignoreTrailingSlash: true,
+  ignoreScheme: true,
+  keep: 'oldest'
+};
+
+let duplicatePolicy = { ...DEFAULT_DUPLICATE_POLICY };
+
+/**
+ * Map of tab id -> number of open copies of its URL, for tabs with at least
+ * one duplicate. Rebuilt by refreshDuplicateIndex().
+ */
+let duplicateCounts = new Map();
+
+/**
+ * Loads the duplicate policy from storage.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadDuplicatePolicy() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ duplicatePolicy: DEFAULT_DUPLICATE_POLICY }, (items) => {
+      duplicatePolicy = { ...DEFAULT_DUPLICATE_POLICY, ...items.duplicatePolicy };
+      resolve();
+    });
+  });
+}
+
+/**
+ * Saves the duplicate policy to storage.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function saveDuplicatePolicy() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.set({ duplicatePolicy }, () => resolve());
+  });
+}
+
+/**
+ * Normalizes a URL for duplicate comparison according to a policy.
+ * URLs that cannot be parsed are compared verbatim.
+ * @param {string} url - URL to normalize
+ * @param {Object} policy - Duplicate policy
+ * @returns {string}
+ */
+function normalizeUrlForDuplicates(url, policy) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url || '';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return policy.ignoreHash ? url.split('#')[0] : url;
+  }
+  const scheme = policy.ignoreScheme ? 'http(s):' : parsed.protocol;
+  const path = policy.ignoreTrailingSlash ? parsed.pathname.replace(/\/+$/, '') : parsed.pathname;
+  const query = policy.ignoreQuery ? '' : parsed.search;
+  const hash = policy.ignoreHash ? '' : parsed.hash;
+  return `${scheme}//${parsed.host}${path}${query}${hash}`;
+}
+
+/**
+ * Groups the tabs of all windows by normalized URL.
+ * @param {Object[]} windows - Populated windows (normally `windowsData`)
+ * @param {Object} policy - Duplicate policy
+ * @returns {Object[][]} Groups of two or more tabs sharing a normalized URL
+ */
+function findDuplicateGroups(windows, policy) {
+  const byUrl = new Map();
+  windows.forEach(win => {
+    win.tabs.forEach(tab => {
+      const url = tab.url || tab.pendingUrl;
+      if (!url) return;
+      const key = normalizeUrlForDuplicates(url, policy);
+      if (!byUrl.has(key)) byUrl.set(key, []);
+      byUrl.get(key).push(tab);
+    });
+  });
+  return Array.from(byUrl.values()).filter(group => group.length > 1);
+}
+
+/**
+ * Picks the copy to keep from a group of duplicates. Falls back to the oldest
+ * copy (lowest tab id) when no copy satisfies the preference.
+ * @param {Object[]} group - Duplicate tabs
+ * @param {string} keep - 'oldest', 'active' or 'pinned'
+ * @param {number|null} preferredWindowId - Window preferred by 'active'
+ * @returns {Object} The tab to keep
+ */
+function chooseDuplicateToKeep(group, keep, preferredWindowId) {
+  const byAge = group.slice().sort((a, b) => a.id - b.id);
+  if (keep === 'active') {
+    const inWindow = byAge.filter(t => t.windowId === preferredWindowId);
+    if (inWindow.length) return inWindow.find(t => t.active) || inWindow[0];
+  } else if (keep === 'pinned') {
+    const pinned = byAge.find(t => t.pinned);
+    if (pinned) return pinned;
+  }
+  return byAge[0];
+}
+
+/**
+ * Returns the ids of every duplicate except the copy kept from each group.
+ * @returns {number[]}
+ */
+function getRedundantDuplicateIds() {
+  return findDuplicateGroups(windowsData, duplicatePolicy).flatMap(group => {
+    const keeper = chooseDuplicateToKeep(group, duplicatePolicy.keep, activeWindowId);
+    return group.filter(t => t.id !== keeper.id).map(t => t.id);
+  });
+}
+
+/**
+ * Rebuilds `duplicateCounts` from `windowsData` and the current policy.
+ * @returns {void}
+ */
+function refreshDuplicateIndex() {
+  duplicateCounts = new Map();
+  findDuplicateGroups(windowsData, duplicatePolicy).forEach(group => {
+    group.forEach(tab => duplicateCounts.set(tab.id, group.length));
+  });
+}
+
+/**
+ * Number of tabs in a window that have a duplicate somewhere.
+ * @param {Object} win - Populated window
+ * @returns {number}
+ */
+function countDuplicatesInWindow(win) {
+  return win.tabs.filter(t => duplicateCounts.has(t.id)).length;
+}
+
+/**
+ * Loads every redundant duplicate into the blue selection.
+ * @returns {number} Number of tabs selected
+ */
+function selectDuplicates() {
+  blueSelection = getRedundantDuplicateIds();
+  renderWindowContent();
+  return blueSelection.length;
+}
+
+/**
+ * Closes every redundant duplicate. Recorded in the undo history.
+ * @async
+ * @returns {Promise<number>} Number of tabs closed
+ */
+async function closeDuplicates() {
+  const ids = getRedundantDuplicateIds();
+  if (ids.length === 0) return 0;
+  await recordOperation('Close duplicates', ids, async () => {
+    await chrome.tabs.remove(ids);
+  });
+  blueSelection = blueSelection.filter(id => !ids.includes(id));
+  loadWindowsAndTabs();
+  return ids.length;
+}
+
+/**
+ * Wires the Duplicates panel: normalization checkboxes, which copy to keep,
+ * a summary of what was found and the select/close actions.
+ * @returns {void}
+ */
+function attachDuplicatesPanel() {
+  const toggleBtn = document.getElementById('duplicatesBtn');
+  const panel = document.getElementById('duplicatesPanel');
+  if (!toggleBtn || !panel) return;
+  const summary = document.getElementById('duplicatesSummary');
+  const keepSel = document.getElementById('duplicateKeep');
+  const checkboxes = panel.querySelectorAll('input[type="checkbox"][data-policy]');
+
+  const syncInputs = () => {
+    checkboxes.forEach(cb => { cb.checked = !!duplicatePolicy[cb.dataset.policy]; });
+    keepSel.value = duplicatePolicy.keep;
+  };
+
+  const updateSummary = () => {
+    const groups = findDuplicateGroups(windowsData, duplicatePolicy);
+    const extra = groups.reduce((n, g) => n + g.length - 1, 0);
+    summary.textContent = groups.length
+      ? `${extra} duplicate tabs of ${groups.length} pages`
+      : 'No duplicate tabs';
+  };
+
+  const onPolicyChange = async () => {
+    checkboxes.forEach(cb => { duplicatePolicy[cb.dataset.policy] = cb.checked; });
+    duplicatePolicy.keep = keepSel.value;
+    await saveDuplicatePolicy();
+    refreshDuplicateIndex();
+    updateSummary();
+    renderWindowContent();
+  };
+
+  checkboxes.forEach(cb => cb.addEventListener('change', onPolicyChange));
+  keepSel.addEventListener('change', onPolicyChange);
+
+  toggleBtn.onclick = () => {
+    if (toggleControlPanel('duplicatesPanel')) {
+      syncInputs();
+      updateSummary();
+    }
+  };
+
+  document.getElementById('selectDuplicatesBtn').onclick = () => {
+    const n = selectDuplicates();
+    summary.textContent = n ? `Selected ${n} duplicate tabs` : 'No duplicate tabs';
+  };
+
+  document.getElementById('closeDuplicatesBtn').onclick = async () => {
+    try {
+      const n = await closeDuplicates();
+      summary.textContent = n ? `Closed ${n} duplicate tabs` : 'No duplicate tabs';
+    } catch (err) {
+      console.error('Closing duplicates failed:', err);
+      summary.textContent = 'Closing duplicates failed';
+    }
+  };
+}
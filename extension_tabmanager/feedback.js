@@ -0,0 +1,259 @@
+/**
+ * Non-blocking feedback in the UI: short toasts at the bottom of the page
+ * instead of alert(), an in-page dialog instead of prompt() and confirm(),
+ * and the result panel that lists what a bulk move moved and what failed
+ * (with the reason), with a retry for the failures.
+ */
+
+const TOAST_DURATION = 4000;
+
+/**
+ * The last operation shown in the result panel: {label, request, result}.
+ */
+let lastOperationReport = null;
+
+/**
+ * Shows a toast that disappears after a few seconds (or when clicked).
+ * @param {string} message - Text to show
+ * @param {string} [kind='info'] - 'info', 'success' or 'error'
+ * @returns {HTMLElement} The toast element
+ */
+function showToast(message, kind = 'info') {
+  const container = document.getElementById('toastContainer');
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${kind}`;
+  toast.textContent = message;
+  toast.setAttribute('role', kind === 'error' ? 'alert' : 'status');
+  const remove = () => toast.remove();
+  toast.addEventListener('click', remove);
+  setTimeout(remove, TOAST_DURATION);
+  if (container) container.appendChild(toast);
+  return toast;
+}
+
+/**
+ * Shows the in-page dialog and waits for the answer, like the operation
+ * preview (preview.js): Enter or the confirm button accept, Escape, Cancel or
+ * a click outside the dialog cancel. A dialog still open is cancelled first.
+ * @param {string} title - Heading of the dialog
+ * @param {Object} [options]
+ * @param {string} [options.message] - Text below the heading
+ * @param {string} [options.value] - Initial text of a text field; no field without it
+ * @param {string} [options.confirmLabel='OK'] - Label of the confirm button
+ * @returns {Promise<string|null>} The text entered ('' without a field), null if cancelled
+ */
+function showInPageDialog(title, { message = '', value, confirmLabel = 'OK' } = {}) {
+  const open = document.getElementById('inPageDialog');
+  if (open) open.querySelector('#inPageDialogCancel').click();
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'inPageDialog';
+    overlay.className = 'palette-overlay';
+    const dialog = document.createElement('div');
+    dialog.className = 'preview-dialog in-page-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', title);
+
+    const heading = document.createElement('div');
+    heading.className = 'panel-heading';
+    heading.textContent = title;
+    dialog.appendChild(heading);
+    if (message) {
+      const text = document.createElement('div');
+      text.className = 'preview-summary';
+      text.textContent = message;
+      dialog.appendChild(text);
+    }
+    let input = null;
+    if (value !== undefined) {
+      input = document.createElement('input');
+      input.id = 'inPageDialogInput';
+      input.className = 'workspace-name-input';
+      input.type = 'text';
+      input.value = value;
+    }
+
+    const row = document.createElement('div');
+    row.className = 'session-row';
+    if (input) row.appendChild(input);
+    const cancelBtn = document.createElement('button');
+    cancelBtn.id = 'inPageDialogCancel';
+    cancelBtn.className = 'control-btn';
+    cancelBtn.textContent = 'Cancel';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.id = 'inPageDialogConfirm';
+    confirmBtn.className = 'control-btn';
+    confirmBtn.textContent = confirmLabel;
+    row.append(cancelBtn, confirmBtn);
+    dialog.appendChild(row);
+    overlay.appendChild(dialog);
+
+    const finish = (confirmed) => {
+      overlay.remove();
+      resolve(confirmed ? (input ? input.value : '') : null);
+    };
+    confirmBtn.onclick = () => finish(true);
+    cancelBtn.onclick = () => finish(false);
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.target === overlay) finish(false);
+    });
+    // keep the page's shortcuts out of the dialog
+    overlay.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
+      } else if (e.key === 'Enter' && e.target !== cancelBtn) {
+        e.preventDefault();
+        finish(true);
+      }
+    });
+
+    document.body.appendChild(overlay);
+    if (input) {
+      input.focus();
+      input.select();
+    } else {
+      confirmBtn.focus();
+    }
+  });
+}
+
+/**
+ * Asks for a line of text in the in-page dialog.
+ * @param {string} title - Question
+ * @param {string} [value=''] - Initial text
+ * @returns {Promise<string|null>} The text entered, null if cancelled
+ */
+function promptInPage(title, value = '') {
+  return showInPageDialog(title, { value });
+}
+
+/**
+ * Asks for a confirmation in the in-page dialog.
+ * @param {string} title - Question
+ * @param {string} [message] - Details below the question
+ * @param {string} [confirmLabel='OK'] - Label of the confirm button
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function confirmInPage(title, message = '', confirmLabel = 'OK') {
+  return (await showInPageDialog(title, { message, confirmLabel })) !== null;
+}
+
+/**
+ * Returns a label for a tab from the last loaded window data.
+ * @param {number} tabId - Tab id
+ * @returns {string}
+ */
+function describeTab(tabId) {
+  for (const win of windowsData.concat(hiddenWindowsData)) {
+    const tab = win.tabs.find(t => t.id === tabId);
+    if (tab) return tab.title || tab.url || `Tab ${tabId}`;
+  }
+  return `Tab ${tabId}`;
+}
+
+/**
+ * Builds the summary line of an operation result, e.g.
+ * "Merge All: 5 moved, 2 failed".
+ * @param {string} label - Operation name
+ * @param {Object} result - Operation result {moved, failed, createdWindows, reopened}
+ * @returns {string}
+ */
+function summarizeOperationResult(label, result) {
+  const parts = [`${result.moved.length} moved`];
+  if (result.reopened.length) parts.push(`${result.reopened.length} reopened`);
+  if (result.failed.length) parts.push(`${result.failed.length} failed`);
+  if (result.createdWindows.length) {
+    parts.push(`${result.createdWindows.length} new window${result.createdWindows.length === 1 ? '' : 's'}`);
+  }
+  return `${label}: ${parts.join(', ')}`;
+}
+
+/**
+ * Reports the outcome of a tab operation: a toast if every tab moved,
+ * otherwise the result panel with the failed tabs and their reasons.
+ * @param {string} label - Operation name
+ * @param {Object} request - The operation request (used for retrying)
+ * @param {Object} result - Operation result {moved, failed, createdWindows, reopened}
+ * @returns {void}
+ */
+function reportOperationResult(label, request, result) {
+  if (!result.failed.length) {
+    hideOperationResult();
+    if (result.moved.length || result.reopened.length) showToast(summarizeOperationResult(label, result), 'success');
+    return;
+  }
+  lastOperationReport = { label, request, result };
+  const panel = document.getElementById('operationResult');
+  if (!panel) return;
+
+  document.getElementById('operationResultTitle').textContent = summarizeOperationResult(label, result);
+
+  const failedList = document.getElementById('operationResultFailed');
+  failedList.innerHTML = '';
+  result.failed.forEach(({ tabId, reason }) => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'result-tab';
+    name.textContent = describeTab(tabId);
+    const why = document.createElement('span');
+    why.className = 'result-reason';
+    why.textContent = reason;
+    item.appendChild(name);
+    item.appendChild(why);
+    failedList.appendChild(item);
+  });
+
+  const movedList = document.getElementById('operationResultMoved');
+  movedList.innerHTML = '';
+  result.moved.forEach(tabId => {
+    const item = document.createElement('li');
+    item.textContent = describeTab(tabId);
+    movedList.appendChild(item);
+  });
+  document.getElementById('operationResultMovedSummary').textContent = `Moved (${result.moved.length})`;
+  document.getElementById('operationResultMovedDetails').hidden = result.moved.length === 0;
+
+  panel.hidden = false;
+}
+
+/**
+ * Hides the result panel.
+ * @returns {void}
+ */
+function hideOperationResult() {
+  const panel = document.getElementById('operationResult');
+  if (panel) panel.hidden = true;
+  lastOperationReport = null;
+}
+
+/**
+ * Retries the failed tabs of the operation shown in the result panel.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function retryFailedTabs() {
+  if (!lastOperationReport) return;
+  const { label, request, result } = lastOperationReport;
+  const retry = getRetryRequest(request, result);
+  if (!retry) return;
+  try {
+    await runTabOperation(label.startsWith('Retry ') ? label : `Retry ${label}`, retry);
+  } catch (err) {
+    console.error('Retry failed:', err);
+    showToast('Retry failed', 'error');
+  }
+  loadWindowsAndTabs();
+}
+
+/**
+ * Wires the result panel's buttons.
+ * @returns {void}
+ */
+function attachOperationResultPanel() {
+  const panel = document.getElementById('operationResult');
+  if (!panel) return;
+  document.getElementById('operationResultClose').onclick = () => hideOperationResult();
+  document.getElementById('operationResultRetry').onclick = () => retryFailedTabs();
+}
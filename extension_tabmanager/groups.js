@@ -0,0 +1,223 @@
+/**
+ * Chrome tab groups support in the UI: group metadata for rendering, group
+ * sections in the content area and group/ungroup/rename/recolor actions.
+ * Preserving group membership across moves lives in tabops.js.
+ */
+
+/**
+ * Tab group colors supported by chrome.tabGroups and their on-screen colors.
+ */
+const GROUP_COLORS = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#188038',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
+
+/**
+ * Map of group id -> chrome.tabGroups.TabGroup, refreshed by loadTabGroups().
+ */
+let groupsData = new Map();
+
+/**
+ * Group ids whose section is collapsed in the UI (independent of Chrome's
+ * own collapsed state).
+ */
+const collapsedGroupSections = new Set();
+
+/**
+ * Group sections kept between renders: group id -> {el, signature}, see render.js
+ */
+const groupSectionElements = new Map();
+
+/**
+ * Loads all tab groups into `groupsData`.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadTabGroups() {
+  if (!chrome.tabGroups) return;
+  try {
+    const groups = await chrome.tabGroups.query({});
+    groupsData = new Map(groups.map(g => [g.id, g]));
+  } catch (e) {
+    groupsData = new Map();
+  }
+}
+
+/**
+ * Creates a new group from the blue selection, asking for its title.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function groupSelectedTabs() {
+  if (blueSelection.length === 0) {
+    showToast('No tabs selected');
+    return;
+  }
+  const tabIds = blueSelection.slice();
+  const title = await promptInPage('Group name');
+  if (title === null) return;
+  await recordOperation('Group', tabIds, async () => {
+    const groupId = await chrome.tabs.group({ tabIds });
+    if (title) await chrome.tabGroups.update(groupId, { title });
+  });
+}
+
+/**
+ * Removes the blue selection from its groups.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function ungroupSelectedTabs() {
+  if (blueSelection.length === 0) {
+    showToast('No tabs selected');
+    return;
+  }
+  const tabIds = blueSelection.slice();
+  await recordOperation('Ungroup', tabIds, async () => {
+    await chrome.tabs.ungroup(tabIds);
+  });
+}
+
+/**
+ * Returns the section of a run of tabs from one group, keeping the section
+ * of the last render when its header did not change, with its cards patched.
+ * @param {Object|undefined} group - chrome.tabGroups.TabGroup (may be missing while loading)
+ * @param {number} groupId - The group id
+ * @param {Object[]} tabs - Tabs of the group in this window
+ * @param {number} windowId - The window the tabs belong to
+ * @param {boolean} [headerOnly=false] - Leave the body empty (the virtualized list places the cards itself)
+ * @returns {HTMLElement} The section element
+ */
+function getGroupSection(group, groupId, tabs, windowId, headerOnly = false) {
+  const signature = JSON.stringify([windowId, group && group.title, group && group.color, collapsedGroupSections.has(groupId), tabs.length]);
+  const section = keyedElement(groupSectionElements, groupId, signature, () => createGroupSection(group, groupId, tabs.length));
+  patchChildren(section.querySelector('.tab-group-body'), headerOnly ? [] : tabs.map(tab => getPageCard(tab, windowId)));
+  return section;
+}
+
+/**
+ * Creates a collapsible section for a run of tabs from one group, with an
+ * empty body for their cards. The header shows the group color, title and
+ * tab count; clicking the title selects the group's tabs (Ctrl/Cmd+click
+ * toggles them), double-clicking renames the group, and the color menu
+ * recolors it.
+ * @param {Object|undefined} group - chrome.tabGroups.TabGroup (may be missing while loading)
+ * @param {number} groupId - The group id
+ * @param {number} tabCount - Number of tabs in the run
+ * @returns {HTMLElement} The section element
+ */
+function createGroupSection(group, groupId, tabCount) {
+  const section = document.createElement('div');
+  section.className = 'tab-group-section';
+  section.dataset.groupId = groupId;
+  const color = GROUP_COLORS[group && group.color] || GROUP_COLORS.grey;
+  section.style.setProperty('--group-color', color);
+  const collapsed = collapsedGroupSections.has(groupId);
+  if (collapsed) section.classList.add('collapsed');
+
+  const header = document.createElement('div');
+  header.className = 'tab-group-header';
+  const body = document.createElement('div');
+  body.className = 'tab-group-body';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'tab-group-toggle';
+  toggle.textContent = collapsed ? '▸' : '▾';
+  toggle.title = collapsed ? 'Expand group' : 'Collapse group';
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (collapsedGroupSections.has(groupId)) collapsedGroupSections.delete(groupId);
+    else collapsedGroupSections.add(groupId);
+    renderWindowContent();
+  });
+
+  const title = document.createElement('span');
+  title.className = 'tab-group-title';
+  title.textContent = (group && group.title) || 'Unnamed group';
+  title.title = 'Click to select the group, double-click to rename';
+  title.addEventListener('click', (e) => {
+    // from the data: in the virtualized list the cards are not in the body
+    const ids = windowsData.flatMap(w => w.tabs).filter(t => t.groupId === groupId).map(t => t.id);
+    if (e.ctrlKey || e.metaKey) {
+      const all = ids.every(id => blueSelection.includes(id));
+      blueSelection = all ? blueSelection.filter(id => !ids.includes(id)) : Array.from(new Set([...blueSelection, ...ids]));
+    } else {
+      blueSelection = ids;
+    }
+    renderWindowContent();
+  });
+  title.addEventListener('dblclick', async () => {
+    const name = await promptInPage('Rename group', (group && group.title) || '');
+    if (name === null) return;
+    try {
+      await chrome.tabGroups.update(groupId, { title: name });
+      loadWindowsAndTabs();
+    } catch (err) {
+      console.error('Renaming group failed:', err);
+    }
+  });
+
+  const count = document.createElement('span');
+  count.className = 'tab-group-count';
+  count.textContent = tabCount;
+
+  const colorSel = document.createElement('select');
+  colorSel.className = 'tab-group-color';
+  colorSel.title = 'Group color';
+  Object.keys(GROUP_COLORS).forEach(name => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name;
+    colorSel.appendChild(opt);
+  });
+  colorSel.value = (group && group.color) || 'grey';
+  colorSel.addEventListener('change', async () => {
+    try {
+      await chrome.tabGroups.update(groupId, { color: colorSel.value });
+      loadWindowsAndTabs();
+    } catch (err) {
+      console.error('Recoloring group failed:', err);
+    }
+  });
+
+  header.appendChild(toggle);
+  header.appendChild(title);
+  header.appendChild(count);
+  header.appendChild(colorSel);
+
+  section.appendChild(header);
+  section.appendChild(body);
+  return section;
+}
+
+/**
+ * Returns the page cards for a window's tabs, wrapping each run of
+ * consecutive tabs from the same group in a group section.
+ * @param {Object[]} tabs - Tabs in window order
+ * @param {number} windowId - The window the tabs belong to
+ * @returns {HTMLElement[]} Cards and group sections, in order
+ */
+function getTabNodesWithGroups(tabs, windowId) {
+  const nodes = [];
+  let i = 0;
+  while (i < tabs.length) {
+    const tab = tabs[i];
+    if (!isGroupedTab(tab)) {
+      nodes.push(getPageCard(tab, windowId));
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < tabs.length && tabs[j].groupId === tab.groupId) j++;
+    nodes.push(getGroupSection(groupsData.get(tab.groupId), tab.groupId, tabs.slice(i, j), windowId));
+    i = j;
+  }
+  return nodes;
+}
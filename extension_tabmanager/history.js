@@ -0,0 +1,387 @@
+/**
+ * Operation journal used by the UI to undo and redo destructive operations
+ * (merge, merge all, split, move-drag and closing tabs or windows).
+ *
+ * Every recorded operation stores the layout of the affected tabs before and
+ * after it ran. Undo re-applies the "before" layout and redo re-applies the
+ * "after" layout. Tabs that were closed are reopened by URL; because reopened
+ * tabs (and recreated windows) get new ids, aliases from the original ids are
+ * kept so older journal entries still resolve to the live tabs.
+ */
+
+/**
+ * Maximum number of operations kept in the undo stack.
+ */
+const HISTORY_LIMIT = 50;
+
+let undoStack = [];
+let redoStack = [];
+let historyBusy = false; // true while an undo/redo is being applied
+const historyListeners = [];
+
+/**
+ * Alias maps from ids recorded in the journal to the ids of the tabs, windows
+ * and groups that replaced them after being reopened or recreated.
+ */
+const tabIdAliases = new Map();
+const windowIdAliases = new Map();
+const groupIdAliases = new Map();
+
+/**
+ * Follows an alias chain to the most recent id.
+ * @param {Map<number, number>} aliases - The alias map to follow
+ * @param {number} id - The recorded id
+ * @returns {number} The live id
+ */
+function resolveAlias(aliases, id) {
+  while (aliases.has(id)) id = aliases.get(id);
+  return id;
+}
+
+/**
+ * Registers a callback invoked whenever the undo/redo stacks change.
+ * @param {Function} callback - Called with no arguments
+ * @returns {void}
+ */
+function onHistoryChange(callback) {
+  historyListeners.push(callback);
+}
+
+/**
+ * Notifies history listeners that the stacks changed.
+ * @returns {void}
+ */
+function notifyHistoryChange() {
+  historyListeners.forEach(cb => {
+    try { cb(); } catch (e) { console.error('History listener failed:', e); }
+  });
+}
+
+/**
+ * @returns {boolean} True if there is an operation that can be undone
+ */
+function canUndo() {
+  return !historyBusy && undoStack.length > 0;
+}
+
+/**
+ * @returns {boolean} True if there is an undone operation that can be redone
+ */
+function canRedo() {
+  return !historyBusy && redoStack.length > 0;
+}
+
+/**
+ * @returns {string|null} Label of the operation that undo would revert
+ */
+function peekUndoLabel() {
+  return undoStack.length ? undoStack[undoStack.length - 1].label : null;
+}
+
+/**
+ * @returns {string|null} Label of the operation that redo would re-apply
+ */
+function peekRedoLabel() {
+  return redoStack.length ? redoStack[redoStack.length - 1].label : null;
+}
+
+/**
+ * Captures the current layout of the given tabs: window, index, pinned and
+ * group state plus the URL needed to reopen a tab. Tabs that no longer exist
+ * are recorded as closed. Windows and groups hosting the tabs are captured too
+ * so they can be recreated with the same bounds, title and color.
+ * @async
+ * @param {number[]} tabIds - Tab ids to capture
+ * @returns {Promise<{tabs: Object[], windows: Object[], groups: Object[]}>}
+ */
+async function captureLayout(tabIds) {
+  const tabs = [];
+  const windowIds = new Set();
+  const groupIds = new Set();
+
+  for (const id of tabIds) {
+    try {
+      const tab = await chrome.tabs.get(id);
+      const groupId = typeof tab.groupId === 'number' ? tab.groupId : -1;
+      tabs.push({
+        tabId: id,
+        closed: false,
+        windowId: tab.windowId,
+        index: tab.index,
+        pinned: !!tab.pinned,
+        groupId,
+        url: tab.url || tab.pendingUrl || '',
+        title: tab.title || ''
+      });
+      windowIds.add(tab.windowId);
+      if (groupId !== -1) groupIds.add(groupId);
+    } catch (e) {
+      tabs.push({ tabId: id, closed: true });
+    }
+  }
+
+  const windows = [];
+  for (const windowId of windowIds) {
+    try {
+      const win = await chrome.windows.get(windowId);
+      windows.push({
+        windowId,
+        left: win.left,
+        top: win.top,
+        width: win.width,
+        height: win.height,
+        state: win.state,
+        incognito: !!win.incognito
+      });
+    } catch (e) {
+      // window vanished while capturing; it will be recreated without bounds
+    }
+  }
+
+  const groups = [];
+  if (chrome.tabGroups) {
+    for (const groupId of groupIds) {
+      try {
+        const group = await chrome.tabGroups.get(groupId);
+        groups.push({ groupId, title: group.title, color: group.color, collapsed: group.collapsed });
+      } catch (e) {
+        // group vanished while capturing
+      }
+    }
+  }
+
+  return { tabs, windows, groups };
+}
+
+/**
+ * Returns the live tab for a recorded tab id, or null if it no longer exists.
+ * @async
+ * @param {number} tabId - Recorded tab id
+ * @returns {Promise<Object|null>}
+ */
+async function getLiveTab(tabId) {
+  try {
+    return await chrome.tabs.get(resolveAlias(tabIdAliases, tabId));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the live window id for a recorded window id, creating a new window
+ * (with the recorded bounds) seeded with the given tab if it no longer exists.
+ * @async
+ * @param {number} windowId - Recorded window id
+ * @param {Object} layout - The layout being applied
+ * @param {Object} seed - Recorded tab state used to seed a new window
+ * @returns {Promise<{windowId: number, seededTabId: number|null}>}
+ */
+async function ensureWindow(windowId, layout, seed) {
+  const liveId = resolveAlias(windowIdAliases, windowId);
+  try {
+    await chrome.windows.get(liveId);
+    return { windowId: liveId, seededTabId: null };
+  } catch (e) {
+    // window is gone, recreate it below
+  }
+
+  const saved = layout.windows.find(w => w.windowId === windowId) || {};
+  const createData = { state: 'normal' };
+  if (saved.state === 'normal' || !saved.state) {
+    ['left', 'top', 'width', 'height'].forEach(key => {
+      if (typeof saved[key] === 'number') createData[key] = saved[key];
+    });
+  }
+  if (saved.incognito) createData.incognito = true;
+
+  const liveTab = await getLiveTab(seed.tabId);
+  if (liveTab) createData.tabId = liveTab.id;
+  else createData.url = seed.url;
+
+  const win = await chrome.windows.create(createData);
+  windowIdAliases.set(windowId, win.id);
+
+  let seededTabId = liveTab ? liveTab.id : null;
+  if (!liveTab && win.tabs && win.tabs[0]) {
+    seededTabId = win.tabs[0].id;
+    tabIdAliases.set(seed.tabId, seededTabId);
+  }
+  if (saved.state && saved.state !== 'normal') {
+    try { await chrome.windows.update(win.id, { state: saved.state }); } catch (e) {}
+  }
+  return { windowId: win.id, seededTabId };
+}
+
+/**
+ * Restores tab group membership recorded in a layout. Groups that still exist
+ * are reused; otherwise a new group is created with the recorded title/color.
+ * Tabs recorded as ungrouped are removed from any group they joined.
+ * @async
+ * @param {Object} layout - The layout being applied
+ * @returns {Promise<void>}
+ */
+async function applyGroups(layout) {
+  if (!chrome.tabs.group) return;
+  const byGroup = new Map();
+  const ungrouped = [];
+
+  for (const state of layout.tabs) {
+    if (state.closed) continue;
+    const live = await getLiveTab(state.tabId);
+    if (!live) continue;
+    if (state.groupId === -1) {
+      if (typeof live.groupId === 'number' && live.groupId !== -1) ungrouped.push(live.id);
+    } else {
+      if (!byGroup.has(state.groupId)) byGroup.set(state.groupId, []);
+      byGroup.get(state.groupId).push(live);
+    }
+  }
+
+  if (ungrouped.length) {
+    try { await chrome.tabs.ungroup(ungrouped); } catch (e) { console.error('Ungroup failed:', e); }
+  }
+
+  for (const [groupId, tabs] of byGroup) {
+    const tabIds = tabs.map(t => t.id);
+    const liveGroupId = resolveAlias(groupIdAliases, groupId);
+    let newGroupId = null;
+    try {
+      const group = chrome.tabGroups ? await chrome.tabGroups.get(liveGroupId) : null;
+      if (group && group.windowId === tabs[0].windowId) {
+        newGroupId = await chrome.tabs.group({ groupId: liveGroupId, tabIds });
+      }
+    } catch (e) {
+      // group no longer exists
+    }
+    try {
+      if (newGroupId === null) {
+        newGroupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: tabs[0].windowId } });
+        if (newGroupId !== liveGroupId) groupIdAliases.set(groupId, newGroupId);
+      }
+      const saved = layout.groups.find(g => g.groupId === groupId);
+      if (saved && chrome.tabGroups) {
+        await chrome.tabGroups.update(newGroupId, { title: saved.title, color: saved.color, collapsed: saved.collapsed });
+      }
+    } catch (e) {
+      console.error('Restoring tab group failed:', e);
+    }
+  }
+}
+
+/**
+ * Applies a recorded layout: closes tabs recorded as closed, reopens tabs that
+ * no longer exist, recreates missing windows and moves every tab back to its
+ * recorded window, index, pinned state and group.
+ * @async
+ * @param {Object} layout - Layout returned by captureLayout()
+ * @returns {Promise<void>}
+ */
+async function applyLayout(layout) {
+  // Close tabs that should not exist in this layout
+  const toClose = [];
+  for (const state of layout.tabs) {
+    if (!state.closed) continue;
+    const live = await getLiveTab(state.tabId);
+    if (live) toClose.push(live.id);
+  }
+  if (toClose.length) {
+    await chrome.tabs.remove(toClose);
+  }
+
+  // Place remaining tabs in ascending index order so earlier moves do not
+  // shift the positions of later ones
+  const open = layout.tabs.filter(s => !s.closed).sort((a, b) => a.index - b.index);
+  for (const state of open) {
+    try {
+      const { windowId, seededTabId } = await ensureWindow(state.windowId, layout, state);
+      let live = await getLiveTab(state.tabId);
+
+      if (!live) {
+        live = await chrome.tabs.create({ windowId, index: state.index, url: state.url, pinned: state.pinned, active: false });
+        tabIdAliases.set(state.tabId, live.id);
+      } else if (live.id !== seededTabId || live.pinned !== state.pinned) {
+        if (live.pinned !== state.pinned) {
+          await chrome.tabs.update(live.id, { pinned: state.pinned });
+        }
+        await chrome.tabs.move(live.id, { windowId, index: state.index });
+      }
+    } catch (err) {
+      console.error('Restoring tab failed:', state, err);
+    }
+  }
+
+  await applyGroups(layout);
+}
+
+/**
+ * Pushes a completed operation onto the undo stack and clears the redo stack.
+ * @param {Object} entry - {label, before, after}
+ * @returns {void}
+ */
+function pushHistoryEntry(entry) {
+  undoStack.push(entry);
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  notifyHistoryChange();
+}
+
+/**
+ * Runs a destructive operation and records the layout of the affected tabs
+ * before and after it so it can be undone. The entry is recorded even if the
+ * operation throws part way through, so partial moves can still be reverted.
+ * @async
+ * @param {string} label - Human readable operation name (e.g. 'Merge All')
+ * @param {number[]} tabIds - Tabs affected by the operation
+ * @param {Function} run - Async function performing the operation
+ * @returns {Promise<*>} Whatever `run` resolves to
+ */
+async function recordOperation(label, tabIds, run) {
+  const ids = Array.from(new Set(tabIds));
+  const before = await captureLayout(ids);
+  try {
+    return await run();
+  } finally {
+    const after = await captureLayout(ids);
+    pushHistoryEntry({ label, before, after });
+  }
+}
+
+/**
+ * Reverts the most recent operation.
+ * @async
+ * @returns {Promise<boolean>} True if an operation was undone
+ */
+async function undoLastOperation() {
+  if (!canUndo()) return false;
+  const entry = undoStack.pop();
+  historyBusy = true;
+  notifyHistoryChange();
+  try {
+    await applyLayout(entry.before);
+  } finally {
+    historyBusy = false;
+    redoStack.push(entry);
+    notifyHistoryChange();
+  }
+  return true;
+}
+
+/**
+ * Re-applies the most recently undone operation.
+ * @async
+ * @returns {Promise<boolean>} True if an operation was redone
+ */
+async function redoLastOperation() {
+  if (!canRedo()) return false;
+  const entry = redoStack.pop();
+  historyBusy = true;
+  notifyHistoryChange();
+  try {
+    await applyLayout(entry.after);
+  } finally {
+    historyBusy = false;
+    undoStack.push(entry);
+    notifyHistoryChange();
+  }
+  return true;
+}
@@ -0,0 +1,406 @@
+/**
+ * Keyboard operation of the window viewer and the Ctrl+K command palette.
+ *
+ * Keys (ignored while typing in a text field):
+ * - Arrow keys move the keyboard focus between page cards, Shift+Arrow extends
+ *   the blue selection from the anchor card, Space toggles the focused card
+ * - Ctrl/Cmd+A selects every tab of the active window, 1–9 switch windows
+ * - M, Shift+M and S trigger Merge, Merge All and Split
+ * - Delete closes the selected tabs, Enter activates the focused tab
+ * - Ctrl/Cmd+K opens the command palette
+ */
+
+/**
+ * Tab id of the card that has keyboard focus, and the card a Shift+Arrow
+ * range selection starts from.
+ */
+let focusedTabId = null;
+let selectionAnchorId = null;
+
+/**
+ * @returns {HTMLElement[]} Visible page cards in DOM order
+ */
+function getNavigableCards() {
+  return Array.from(document.querySelectorAll('#windowContent .page-card'))
+    .filter(card => card.offsetParent !== null);
+}
+
+/**
+ * Moves the keyboard focus marker to a card and scrolls it into view.
+ * @param {number} tabId - Tab id of the card to focus
+ * @returns {void}
+ */
+function setFocusedCard(tabId) {
+  focusedTabId = tabId;
+  document.querySelectorAll('.page-card.keyboard-focus').forEach(c => c.classList.remove('keyboard-focus'));
+  const card = document.querySelector(`#windowContent .page-card[data-tab-id="${tabId}"]`);
+  if (card) {
+    card.classList.add('keyboard-focus');
+    card.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+/**
+ * Finds the card to move to from `current` for an arrow key. Left/Right step
+ * through DOM order; Up/Down pick the nearest card in the row above/below.
+ * @param {HTMLElement[]} cards - Visible cards
+ * @param {HTMLElement|null} current - Currently focused card
+ * @param {string} key - 'ArrowLeft', 'ArrowRight', 'ArrowUp' or 'ArrowDown'
+ * @returns {HTMLElement|null}
+ */
+function findNeighborCard(cards, current, key) {
+  if (!current) return cards[0] || null;
+  const i = cards.indexOf(current);
+  if (key === 'ArrowLeft') return cards[Math.max(0, i - 1)];
+  if (key === 'ArrowRight') return cards[Math.min(cards.length - 1, i + 1)];
+
+  const from = current.getBoundingClientRect();
+  const cx = from.left + from.width / 2;
+  let best = null;
+  let bestScore = Infinity;
+  cards.forEach(card => {
+    if (card === current) return;
+    const r = card.getBoundingClientRect();
+    const dy = key === 'ArrowDown' ? r.top - from.bottom : from.top - r.bottom;
+    if (dy < -1) return; // not in the requested direction
+    const dx = Math.abs(r.left + r.width / 2 - cx);
+    const score = dy * 1000 + dx;
+    if (score < bestScore) {
+      bestScore = score;
+      best = card;
+    }
+  });
+  return best || current;
+}
+
+/**
+ * Handles an arrow key: moves focus and, with Shift, selects the range between
+ * the anchor card and the newly focused card.
+ * @param {KeyboardEvent} e - The keydown event
+ * @returns {void}
+ */
+function handleArrowKey(e) {
+  let ids;
+  let nextId;
+  let hasCurrent;
+  if (virtualList) {
+    // most cards of a virtualized window are not in the page: use the grid
+    ids = virtualList.tabIds;
+    if (ids.length === 0) return;
+    hasCurrent = ids.includes(focusedTabId);
+    nextId = getVirtualNeighborTab(focusedTabId, e.key);
+    scrollVirtualTabIntoView(nextId);
+  } else {
+    const cards = getNavigableCards();
+    if (cards.length === 0) return;
+    const current = cards.find(c => Number(c.dataset.tabId) === focusedTabId) || null;
+    const next = findNeighborCard(cards, current, e.key);
+    if (!next) return;
+    ids = cards.map(c => Number(c.dataset.tabId));
+    hasCurrent = Boolean(current);
+    nextId = Number(next.dataset.tabId);
+  }
+
+  if (e.shiftKey) {
+    if (selectionAnchorId === null || !ids.includes(selectionAnchorId)) {
+      selectionAnchorId = hasCurrent ? focusedTabId : nextId;
+    }
+    const a = ids.indexOf(selectionAnchorId);
+    const b = ids.indexOf(nextId);
+    blueSelection = ids.slice(Math.min(a, b), Math.max(a, b) + 1)
+      .filter(id => !redSelection.includes(id) && !yellowSelection.includes(id));
+  } else {
+    selectionAnchorId = nextId;
+  }
+  focusedTabId = nextId;
+  renderWindowContent();
+  setFocusedCard(nextId);
+}
+
+/**
+ * Closes the blue selection. Recorded in the undo history.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function closeSelectedTabs() {
+  if (blueSelection.length === 0) return;
+  const ids = blueSelection.slice();
+  try {
+    await recordOperation('Close tabs', ids, async () => {
+      await chrome.tabs.remove(ids);
+    });
+  } catch (err) {
+    console.error('Closing tabs failed:', err);
+  }
+  blueSelection = [];
+  loadWindowsAndTabs();
+}
+
+/**
+ * Activates a tab in the browser and focuses its window.
+ * @async
+ * @param {number} tabId - Tab to activate
+ * @returns {Promise<void>}
+ */
+async function activateTab(tabId) {
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (err) {
+    console.error('Activating tab failed:', err);
+  }
+}
+
+/**
+ * Replaces the blue selection with every tab of the active window.
+ * @returns {void}
+ */
+function selectActiveWindowTabs() {
+  const win = windowsData.find(w => w.id === activeWindowId);
+  if (win) blueSelection = win.tabs.map(t => t.id);
+  renderWindowContent();
+}
+
+/**
+ * Switches the UI to a window and shows it.
+ * @param {number} windowId - Window to show
+ * @returns {void}
+ */
+function switchToWindow(windowId) {
+  activeWindowId = windowId;
+  focusedTabId = null;
+  renderWindowContent();
+}
+
+/**
+ * Global keydown handler for keyboard navigation.
+ * @param {KeyboardEvent} e - The keydown event
+ * @returns {void}
+ */
+function handleNavigationKey(e) {
+  if (e.target.closest && e.target.closest('input, textarea, select')) return;
+  if (e.altKey) return;
+  const mod = e.ctrlKey || e.metaKey;
+  const key = e.key;
+
+  if (mod && key.toLowerCase() === 'k') {
+    e.preventDefault();
+    openCommandPalette();
+    return;
+  }
+  if (mod && key.toLowerCase() === 'a') {
+    e.preventDefault();
+    selectActiveWindowTabs();
+    return;
+  }
+  if (mod) return;
+
+  if (key.startsWith('Arrow')) {
+    e.preventDefault();
+    handleArrowKey(e);
+  } else if (key === ' ') {
+    e.preventDefault();
+    if (focusedTabId !== null && !redSelection.includes(focusedTabId) && !yellowSelection.includes(focusedTabId)) {
+      toggleTabSelection(focusedTabId);
+      selectionAnchorId = focusedTabId;
+      renderWindowContent();
+      setFocusedCard(focusedTabId);
+    }
+  } else if (key === 'Enter') {
+    if (focusedTabId !== null) activateTab(focusedTabId);
+  } else if (key === 'Delete') {
+    closeSelectedTabs();
+  } else if (/^[1-9]$/.test(key)) {
+    const win = windowsData[Number(key) - 1];
+    if (win) switchToWindow(win.id);
+  } else if (key === 'm' || key === 'M') {
+    document.getElementById(e.shiftKey ? 'mergeAllBtn' : 'mergeBtn').click();
+  } else if (key === 's' || key === 'S') {
+    document.getElementById('splitBtn').click();
+  }
+}
+
+/**
+ * Builds the list of palette entries: every action, every window and every tab.
+ * @returns {Object[]} Array of {label, detail, kind, run}
+ */
+function getPaletteEntries() {
+  const click = id => () => document.getElementById(id).click();
+  const actions = [
+    ['Merge', 'M', click('mergeBtn')],
+    ['Merge All', 'Shift+M', click('mergeAllBtn')],
+    ['Split', 'S', click('splitBtn')],
+    ['Undo', 'Ctrl+Z', () => runUndo()],
+    ['Redo', 'Ctrl+Shift+Z', () => runRedo()],
+    ['New window', '', () => newBtn.click()],
+    ['Close selected tabs', 'Delete', () => closeSelectedTabs()],
+    ['Select all tabs in window', 'Ctrl+A', () => selectActiveWindowTabs()],
+    ['Clear selection', 'Escape', () => { blueSelection = []; renderWindowContent(); }],
+    ['Invert selection', '', () => invertSelection()],
+    ['Select tabs on the same domain', '', () => selectSameDomain()],
+    ['Reload selected tabs', '', () => reloadSelectedTabs()],
+    ['Duplicate selected tabs', '', () => duplicateSelectedTabs()],
+    ['Pin or unpin selected tabs', '', () => togglePinSelectedTabs()],
+    ['Mute or unmute selected tabs', '', () => toggleMuteSelectedTabs()],
+    ['Bookmark selected tabs', '', () => bookmarkSelectedTabs()],
+    ['Copy URLs of selected tabs', '', () => copySelectedUrls()],
+    ['Group selected tabs', '', click('groupBtn')],
+    ['Ungroup selected tabs', '', click('ungroupBtn')],
+    ['Search tabs', 'Ctrl+F', () => document.getElementById('tabSearch').focus()],
+    ['Overview of all windows', '', () => setOverviewMode()],
+    ['Workspaces', '', click('workspacesBtn')],
+    ['Import/Export', '', click('sessionsBtn')],
+    ['Duplicates', '', click('duplicatesBtn')],
+    ['Select duplicates', '', () => selectDuplicates()],
+    ['Organize', '', click('organizeBtn')],
+    ['Merge target', '', click('mergeTargetBtn')],
+    ['Name window', '', click('windowNameBtn')],
+    ['Window rules', '', click('rulesBtn')],
+    ['Apply window rules', '', () => applyRulesNow()],
+    ['Suspend selected tabs', '', () => suspendSelectedTabs()],
+    ['Suspend window', '', () => suspendActiveWindow()],
+    ['Reload suspended tabs in window', '', () => reloadSuspendedInActiveWindow()]
+  ].map(([label, detail, run]) => ({ label, detail, kind: 'action', run }));
+
+  Object.entries(SORT_KEYS).forEach(([key, name]) => {
+    actions.push({
+      label: `Sort window by ${name.toLowerCase()}`,
+      detail: '',
+      kind: 'action',
+      run: async () => { await sortWindowTabs(activeWindowId, key); loadWindowsAndTabs(); }
+    });
+  });
+
+  const windows = windowsData.map((w, i) => ({
+    label: getWindowLabel(w),
+    detail: `${w.tabs.length} tabs${i < 9 ? ` · ${i + 1}` : ''}`,
+    kind: 'window',
+    run: () => switchToWindow(w.id)
+  }));
+
+  const tabs = windowsData.flatMap(w => w.tabs.map(t => ({
+    label: t.title || t.url || 'Untitled',
+    detail: t.url || '',
+    kind: 'tab',
+    run: () => {
+      switchToWindow(w.id);
+      blueSelection = [t.id];
+      selectionAnchorId = t.id;
+      renderWindowContent();
+      setFocusedCard(t.id);
+    }
+  })));
+
+  return actions.concat(windows, tabs);
+}
+
+/**
+ * Filters and ranks palette entries by fuzzy match on label and detail.
+ * @param {Object[]} entries - Palette entries
+ * @param {string} query - Text typed in the palette
+ * @returns {Object[]} At most 50 matching entries, best first
+ */
+function filterPaletteEntries(entries, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return entries.slice(0, 50);
+  return entries
+    .map(entry => ({ entry, score: Math.max(fuzzyScore(q, entry.label) * 1.5, fuzzyScore(q, entry.detail)) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 50)
+    .map(r => r.entry);
+}
+
+/**
+ * Opens the command palette: an input that fuzzy-filters actions, windows and
+ * tabs. Up/Down move the highlight, Enter runs it and Escape closes.
+ * @returns {void}
+ */
+function openCommandPalette() {
+  if (document.getElementById('commandPalette')) return;
+  const entries = getPaletteEntries();
+  let results = [];
+  let highlighted = 0;
+
+  const overlay = document.createElement('div');
+  overlay.id = 'commandPalette';
+  overlay.className = 'palette-overlay';
+  const box = document.createElement('div');
+  box.className = 'palette';
+  const input = document.createElement('input');
+  input.className = 'palette-input';
+  input.type = 'text';
+  input.placeholder = 'Type an action, window or tab…';
+  const list = document.createElement('div');
+  list.className = 'palette-list';
+  box.appendChild(input);
+  box.appendChild(list);
+  overlay.appendChild(box);
+
+  const close = () => overlay.remove();
+  const run = (entry) => {
+    close();
+    if (entry) Promise.resolve(entry.run()).catch(err => console.error('Palette action failed:', err));
+  };
+
+  const render = () => {
+    list.innerHTML = '';
+    results.forEach((entry, i) => {
+      const row = document.createElement('div');
+      row.className = 'palette-item' + (i === highlighted ? ' highlighted' : '');
+      const kind = document.createElement('span');
+      kind.className = 'palette-kind';
+      kind.textContent = entry.kind;
+      const label = document.createElement('span');
+      label.className = 'palette-label';
+      label.textContent = entry.label;
+      const detail = document.createElement('span');
+      detail.className = 'palette-detail';
+      detail.textContent = entry.detail;
+      row.appendChild(kind);
+      row.appendChild(label);
+      row.appendChild(detail);
+      row.addEventListener('mousedown', (e) => { e.preventDefault(); run(entry); });
+      list.appendChild(row);
+    });
+    const current = list.children[highlighted];
+    if (current) current.scrollIntoView({ block: 'nearest' });
+  };
+
+  const update = () => {
+    results = filterPaletteEntries(entries, input.value);
+    highlighted = 0;
+    render();
+  };
+
+  input.addEventListener('input', update);
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation(); // keep UI shortcuts out of the palette
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      highlighted = (highlighted + step + results.length) % Math.max(results.length, 1);
+      render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      run(results[highlighted]);
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  });
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  document.body.appendChild(overlay);
+  update();
+  input.focus();
+}
+
+/**
+ * Registers the keyboard navigation handler.
+ * @returns {void}
+ */
+function attachKeyboardNavigation() {
+  document.addEventListener('keydown', handleNavigationKey);
+}
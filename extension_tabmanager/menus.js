@@ -0,0 +1,193 @@
+// Context menus on pages and on the action icon, loaded by background.js via
+// importScripts. The "Move tab to window" submenu lists every other window and
+// is rebuilt whenever windows are created, removed, focused or renamed.
+
+/**
+ * Menu item ids. Submenu items of MOVE_TO_WINDOW are `${MOVE_TO_WINDOW}:<windowId>`.
+ */
+const MENU_IDS = {
+  MOVE_TO_WINDOW: 'move-to-window',
+  MERGE_ALL_HERE: 'merge-all-here',
+  SPLIT_RIGHT: 'split-right',
+  CLOSE_OTHER_WINDOWS: 'close-other-windows'
+};
+
+const MENU_CONTEXTS = ['page', 'action'];
+const MENU_TITLE_LENGTH = 40;
+
+/**
+ * How long a first click on "Close other windows" waits for the second one
+ */
+const CLOSE_OTHERS_CONFIRM_MS = 10000;
+
+/**
+ * The armed "Close other windows": {windowId, count, until}, null otherwise
+ */
+let closeOthersPending = null;
+
+/**
+ * Pending rebuild, so overlapping window events never interleave
+ * removeAll/create calls (which would fail with duplicate ids).
+ */
+let menuRebuild = Promise.resolve();
+let menuRebuildQueued = false;
+
+/**
+ * Shortens a label for use as a menu title.
+ * @param {string} text - Label text
+ * @returns {string}
+ */
+function truncateMenuTitle(text) {
+  return text.length > MENU_TITLE_LENGTH ? `${text.slice(0, MENU_TITLE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Wraps chrome.contextMenus.create in a promise.
+ * @param {Object} props - Menu item properties
+ * @returns {Promise<void>}
+ */
+function createMenuItem(props) {
+  return new Promise((resolve) => {
+    chrome.contextMenus.create(props, () => {
+      if (chrome.runtime.lastError) console.error('Creating menu item failed:', chrome.runtime.lastError.message);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Returns the label shown for a window in menus: its name (see windownames.js)
+ * and tab count.
+ * @param {Object} win - Populated Chrome window
+ * @param {Map<number, Object>} identities - Result of resolveWindowIdentities()
+ * @returns {string}
+ */
+function getWindowMenuLabel(win, identities) {
+  return `${getWindowName(win, identities)} (${win.tabs.length} tabs)`;
+}
+
+/**
+ * Removes and recreates every menu item. The submenu lists every normal
+ * window except the focused one (the window the menu is opened from).
+ * @async
+ * @returns {Promise<void>}
+ */
+async function buildContextMenus() {
+  await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const others = windows.filter(w => !w.focused).sort((a, b) => a.id - b.id);
+  const identities = await resolveWindowIdentities(windows);
+
+  await createMenuItem({ id: MENU_IDS.MOVE_TO_WINDOW, title: 'Move tab to window', contexts: MENU_CONTEXTS, enabled: others.length > 0 });
+  for (const win of others) {
+    await createMenuItem({
+      id: `${MENU_IDS.MOVE_TO_WINDOW}:${win.id}`,
+      parentId: MENU_IDS.MOVE_TO_WINDOW,
+      title: truncateMenuTitle(getWindowMenuLabel(win, identities)),
+      contexts: MENU_CONTEXTS
+    });
+  }
+  await createMenuItem({ id: MENU_IDS.MERGE_ALL_HERE, title: 'Merge all windows here', contexts: MENU_CONTEXTS, enabled: windows.length > 1 });
+  await createMenuItem({ id: MENU_IDS.SPLIT_RIGHT, title: 'Split tabs to the right into new window', contexts: MENU_CONTEXTS });
+  await createMenuItem({ id: MENU_IDS.CLOSE_OTHER_WINDOWS, title: getCloseOthersTitle(), contexts: MENU_CONTEXTS, enabled: windows.length > 1 });
+}
+
+/**
+ * @returns {string} Title of the "Close other windows" item, asking for the
+ *   second click while it is armed
+ */
+function getCloseOthersTitle() {
+  if (!closeOthersPending || Date.now() >= closeOthersPending.until) return 'Close other windows';
+  const { count } = closeOthersPending;
+  return `Click again to close ${count} other window${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Closes the other normal windows of the window a tab is in, only those on
+ * the same side of the incognito boundary. Closing cannot be undone from the
+ * UI's history, so the first click only arms the item (its title asks for a
+ * second click) and a second click from the same window within
+ * CLOSE_OTHERS_CONFIRM_MS closes the windows.
+ * @async
+ * @param {Object} tab - The tab the menu was used on
+ * @returns {Promise<void>}
+ */
+async function closeOtherWindows(tab) {
+  const current = await chrome.windows.get(tab.windowId);
+  const windows = (await chrome.windows.getAll({ windowTypes: ['normal'] }))
+    .filter(w => w.id !== current.id && Boolean(w.incognito) === Boolean(current.incognito));
+  const armed = closeOthersPending && closeOthersPending.windowId === current.id && Date.now() < closeOthersPending.until;
+  if (!armed) {
+    if (!windows.length) return;
+    closeOthersPending = { windowId: current.id, count: windows.length, until: Date.now() + CLOSE_OTHERS_CONFIRM_MS };
+    chrome.contextMenus.update(MENU_IDS.CLOSE_OTHER_WINDOWS, { title: getCloseOthersTitle() });
+    setTimeout(() => scheduleMenuRebuild(), CLOSE_OTHERS_CONFIRM_MS);
+    return;
+  }
+  closeOthersPending = null;
+  for (const win of windows) await chrome.windows.remove(win.id);
+}
+
+/**
+ * Schedules a menu rebuild after any rebuild already in progress. Bursts of
+ * window events collapse into a single extra rebuild.
+ * @returns {Promise<void>}
+ */
+function scheduleMenuRebuild() {
+  if (menuRebuildQueued) return menuRebuild;
+  menuRebuildQueued = true;
+  menuRebuild = menuRebuild.then(() => {
+    menuRebuildQueued = false;
+    return buildContextMenus();
+  }).catch(err => console.error('Building context menus failed:', err));
+  return menuRebuild;
+}
+
+/**
+ * Handles a click on one of the extension's menu items.
+ * @async
+ * @param {Object} info - chrome.contextMenus.OnClickData
+ * @param {Object} [tab] - The tab the menu was opened on
+ * @returns {Promise<void>}
+ */
+async function handleMenuClick(info, tab) {
+  const menuId = String(info.menuItemId);
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab) return;
+  }
+  if (menuId.startsWith(`${MENU_IDS.MOVE_TO_WINDOW}:`)) {
+    const targetWindowId = Number(menuId.slice(MENU_IDS.MOVE_TO_WINDOW.length + 1));
+    // move every highlighted tab when the clicked tab is part of a multi-selection
+    const highlighted = tab.highlighted ? await chrome.tabs.query({ windowId: tab.windowId, highlighted: true }) : [];
+    const tabIds = highlighted.length > 1 ? highlighted.map(t => t.id) : [tab.id];
+    await runOperation({ op: 'move', tabIds, windowId: targetWindowId });
+  } else if (menuId === MENU_IDS.MERGE_ALL_HERE) {
+    await runOperation({ op: 'mergeAll', windowId: tab.windowId });
+  } else if (menuId === MENU_IDS.SPLIT_RIGHT) {
+    const tabs = await chrome.tabs.query({ windowId: tab.windowId });
+    const tabIds = tabs.filter(t => t.index > tab.index).sort((a, b) => a.index - b.index).map(t => t.id);
+    if (tabIds.length) {
+      await runOperation({ op: 'split', tabIds });
+    }
+  } else if (menuId === MENU_IDS.CLOSE_OTHER_WINDOWS) {
+    await closeOtherWindows(tab);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => scheduleMenuRebuild());
+chrome.runtime.onStartup.addListener(() => scheduleMenuRebuild());
+chrome.windows.onCreated.addListener(() => scheduleMenuRebuild());
+chrome.windows.onRemoved.addListener(() => scheduleMenuRebuild());
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) scheduleMenuRebuild();
+});
+// submenu labels show each window's active tab unless it is named
+chrome.tabs.onActivated.addListener(() => scheduleMenuRebuild());
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[WINDOW_IDENTITIES_KEY]) scheduleMenuRebuild();
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleMenuClick(info, tab).catch(err => console.error(`Menu action ${info.menuItemId} failed:`, err));
+});
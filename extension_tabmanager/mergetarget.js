@@ -0,0 +1,194 @@
+/**
+ * Where stage 3 of the three-stage Merge sends the red (source) and yellow
+ * (target) tabs. The mode is picked per merge from the popover on the Merge
+ * button (▾) and falls back to the default set on the options page
+ * (mergeTargetMode in chrome.storage.sync) once the merge has run.
+ */
+
+/**
+ * Merge target modes and their labels:
+ * - new: a new window from the first red tab, followed by the rest (the original behavior)
+ * - intoYellow: red tabs go into the yellow tabs' window, before the first yellow tab
+ * - intoRed: yellow tabs go into the red tabs' window, right after the last red tab
+ * - interleave: red and yellow tabs alternate in the yellow tabs' window, from the first yellow tab on
+ * - window: both go into a chosen window, at a chosen position (per merge only)
+ */
+const MERGE_TARGET_MODES = {
+  new: 'New window',
+  intoYellow: 'Red into the yellow window',
+  intoRed: 'Yellow into the red window',
+  interleave: 'Interleave in the yellow window',
+  window: 'Both into a chosen window'
+};
+
+/**
+ * Default mode from the options page, and the mode picked for the next merge.
+ */
+let defaultMergeTargetMode = 'new';
+let mergeTargetMode = 'new';
+
+/**
+ * Window and position for the 'window' mode: {windowId, index}; index -1 is the end.
+ */
+let mergeTargetWindow = { windowId: null, index: -1 };
+
+/**
+ * Reads the default merge target mode from storage.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadMergeTargetMode() {
+  const items = await chrome.storage.sync.get({ mergeTargetMode: 'new' });
+  defaultMergeTargetMode = MERGE_TARGET_MODES[items.mergeTargetMode] && items.mergeTargetMode !== 'window' ? items.mergeTargetMode : 'new';
+  mergeTargetMode = defaultMergeTargetMode;
+}
+
+/**
+ * Counts the tabs of a window in front of a tab, leaving out tabs that are
+ * being moved: moveTabsToWindow counts its index among the tabs that stay.
+ * @param {Object} win - Populated Chrome window
+ * @param {number} tabId - Tab to count up to
+ * @param {number[]} movingIds - Tabs being moved
+ * @param {boolean} [inclusive=false] - Count the tab itself too
+ * @returns {number}
+ */
+function countTabsBefore(win, tabId, movingIds, inclusive = false) {
+  const at = win.tabs.findIndex(t => t.id === tabId);
+  return win.tabs.slice(0, inclusive ? at + 1 : at).filter(t => !movingIds.includes(t.id)).length;
+}
+
+/**
+ * Alternates the tabs of two lists: a1, b1, a2, b2, … followed by the rest
+ * of the longer list.
+ * @param {number[]} a - Tab ids
+ * @param {number[]} b - Tab ids
+ * @returns {number[]}
+ */
+function interleaveTabIds(a, b) {
+  const result = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (i < a.length) result.push(a[i]);
+    if (i < b.length) result.push(b[i]);
+  }
+  return result;
+}
+
+/**
+ * Builds the operation request for stage 3 of a merge.
+ * @param {string} mode - Key of MERGE_TARGET_MODES
+ * @param {number[]} red - Red (source) tab ids, in selection order
+ * @param {number[]} yellow - Yellow (target) tab ids, in selection order
+ * @param {Object[]} windows - Populated Chrome windows with tabs in strip order
+ * @param {Object} [target] - For the 'window' mode: {windowId, index}
+ * @returns {Object} A merge request (new window) or a move request {tabIds, windowId, index}
+ * @throws {Error} If the window of the red or yellow tabs, or the chosen window, is unknown
+ */
+function getMergeRequest(mode, red, yellow, windows, target = mergeTargetWindow) {
+  const windowOf = (tabId) => {
+    const win = windows.find(w => w.tabs.some(t => t.id === tabId));
+    if (!win) throw new Error(`Tab ${tabId} is no longer open`);
+    return win;
+  };
+  switch (mode) {
+    case 'intoYellow': {
+      const win = windowOf(yellow[0]);
+      return { op: 'move', tabIds: red, windowId: win.id, index: countTabsBefore(win, yellow[0], red) };
+    }
+    case 'intoRed': {
+      const win = windowOf(red[0]);
+      const lastRed = win.tabs.filter(t => red.includes(t.id)).pop();
+      return { op: 'move', tabIds: yellow, windowId: win.id, index: countTabsBefore(win, lastRed.id, yellow, true) };
+    }
+    case 'interleave': {
+      const tabIds = interleaveTabIds(red, yellow);
+      const win = windowOf(yellow[0]);
+      const firstYellow = win.tabs.find(t => yellow.includes(t.id));
+      return { op: 'move', tabIds, windowId: win.id, index: countTabsBefore(win, firstYellow.id, tabIds) };
+    }
+    case 'window': {
+      if (!windows.some(w => w.id === target.windowId)) throw new Error('Choose a window to merge into');
+      return { op: 'move', tabIds: [...red, ...yellow], windowId: target.windowId, index: target.index };
+    }
+    default:
+      return { op: 'merge', tabIds: [...red, ...yellow] };
+  }
+}
+
+/**
+ * Fills the window choice of the popover with the windows in the list.
+ * @returns {void}
+ */
+function renderMergeTargetWindows() {
+  const select = document.getElementById('mergeTargetWindow');
+  select.innerHTML = '';
+  windowsData.forEach(win => {
+    const opt = document.createElement('option');
+    opt.value = win.id;
+    opt.textContent = `${getWindowLabel(win)} (${win.tabs.length})`;
+    select.appendChild(opt);
+  });
+  if (!windowsData.some(w => w.id === mergeTargetWindow.windowId)) {
+    mergeTargetWindow = { ...mergeTargetWindow, windowId: activeWindowId };
+  }
+  select.value = String(mergeTargetWindow.windowId);
+}
+
+/**
+ * Shows the picked mode on the popover's radio buttons and in the ▾ button's tooltip.
+ * @returns {void}
+ */
+function updateMergeTargetControls() {
+  document.querySelectorAll('input[name="mergeTarget"]').forEach(radio => {
+    radio.checked = radio.value === mergeTargetMode;
+  });
+  document.getElementById('mergeTargetBtn').title = `Merge target: ${MERGE_TARGET_MODES[mergeTargetMode]}`;
+}
+
+/**
+ * Goes back to the default mode after a merge ran.
+ * @returns {void}
+ */
+function resetMergeTargetMode() {
+  mergeTargetMode = defaultMergeTargetMode;
+  updateMergeTargetControls();
+}
+
+/**
+ * Wires the merge target popover.
+ * @returns {void}
+ */
+function attachMergeTargetPopover() {
+  const toggleBtn = document.getElementById('mergeTargetBtn');
+  if (!toggleBtn) return;
+  const list = document.getElementById('mergeTargetModes');
+  Object.entries(MERGE_TARGET_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('label');
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'mergeTarget';
+    radio.value = mode;
+    radio.onchange = () => {
+      mergeTargetMode = mode;
+      updateMergeTargetControls();
+    };
+    option.append(radio, ` ${label}`);
+    list.appendChild(option);
+  });
+
+  const select = document.getElementById('mergeTargetWindow');
+  const indexInput = document.getElementById('mergeTargetIndex');
+  const pickWindowMode = () => {
+    const index = parseInt(indexInput.value, 10);
+    mergeTargetWindow = { windowId: Number(select.value), index: Number.isNaN(index) || index < 0 ? -1 : index };
+    mergeTargetMode = 'window';
+    updateMergeTargetControls();
+  };
+  select.onchange = pickWindowMode;
+  indexInput.oninput = pickWindowMode;
+  indexInput.onkeydown = (e) => e.stopPropagation(); // keep UI shortcuts out of the field
+
+  toggleBtn.onclick = () => {
+    if (toggleControlPanel('mergeTargetPanel')) renderMergeTargetWindows();
+  };
+  updateMergeTargetControls();
+}
@@ -0,0 +1,142 @@
+/**
+ * Tab operations API. The UI, the keyboard commands and the context menus all
+ * go through runOperation(); extension pages reach it with
+ * chrome.runtime.sendMessage({op, ...}) (see sendOperation), which the
+ * service worker dispatches here.
+ *
+ * Requests:
+ * - {op: 'move', tabIds, windowId, index?}: move tabs into a window (index -1 = end)
+ * - {op: 'split', tabIds}: move tabs into a new window
+ * - {op: 'merge', tabIds}: move tabs into a new window, using the merge pinned-tab setting
+ * - {op: 'mergeWindow', windowId, sourceWindowId}: move every tab of one window into another
+ * - {op: 'mergeAll', windowId}: move every other window's tabs into a window
+ * - {op: 'applyRules', dryRun?}: move tabs as the window rules say (rules.js);
+ *   the result also lists the planned moves in `plan`, and with `dryRun`
+ *   nothing is moved
+ *
+ * Every request may carry `pinnedMode` ('keep', 'unpin' or 'leave'); without
+ * it the pinned-tab setting of the operation is used. Likewise
+ * `reopenAcrossProfiles` (boolean) overrides the setting of that name, which
+ * reopens tabs by URL where Chrome cannot move them between incognito and
+ * regular windows. Group membership is
+ * preserved across the move. Every operation resolves to an operation result
+ * (see createOperationResult in tabops.js).
+ */
+
+/**
+ * Operation handlers by name. `pinned` names the pinnedHandling setting the
+ * operation falls back to.
+ */
+const OPERATIONS = {
+  move: {
+    pinned: 'move',
+    run: (req, pinnedMode, options) => moveTabsToWindow(req.tabIds, req.windowId, pinnedMode, typeof req.index === 'number' ? req.index : -1, options)
+  },
+  split: {
+    pinned: 'split',
+    run: (req, pinnedMode, options) => createWindowWithTabs(req.tabIds, pinnedMode, options)
+  },
+  merge: {
+    pinned: 'merge',
+    run: (req, pinnedMode, options) => createWindowWithTabs(req.tabIds, pinnedMode, options)
+  },
+  mergeWindow: {
+    pinned: 'merge',
+    run: (req, pinnedMode, options) => mergeFromWindow(req.windowId, req.sourceWindowId, pinnedMode, options)
+  },
+  mergeAll: {
+    pinned: 'merge',
+    run: (req, pinnedMode, options) => mergeAllWindows(req.windowId, pinnedMode, options)
+  },
+  applyRules: {
+    pinned: 'move',
+    // rules never move pinned tabs and only target windows of the tab's kind
+    run: req => runRules({ dryRun: Boolean(req.dryRun) })
+  }
+};
+
+/**
+ * Checks that a request carries the fields its operation needs.
+ * @param {Object} request - Operation request
+ * @returns {void}
+ * @throws {Error} If the operation is unknown or a field is missing
+ */
+function validateOperationRequest(request) {
+  if (!request || !OPERATIONS[request.op]) {
+    throw new Error(`Unknown operation: ${request && request.op}`);
+  }
+  const needsTabs = ['move', 'split', 'merge'].includes(request.op);
+  if (needsTabs && !(Array.isArray(request.tabIds) && request.tabIds.length)) {
+    throw new Error(`Operation ${request.op} needs tabIds`);
+  }
+  const needsWindow = ['move', 'mergeWindow', 'mergeAll'].includes(request.op);
+  if (needsWindow && typeof request.windowId !== 'number') {
+    throw new Error(`Operation ${request.op} needs windowId`);
+  }
+  if (request.op === 'mergeWindow' && typeof request.sourceWindowId !== 'number') {
+    throw new Error('Operation mergeWindow needs sourceWindowId');
+  }
+}
+
+/**
+ * Runs a tab operation in the current context.
+ * @async
+ * @param {Object} request - Operation request, see the top of this file
+ * @returns {Promise<Object>} Operation result {moved, failed, createdWindows, reopened}
+ * @throws {Error} If the request is invalid or the operation fails as a whole
+ */
+async function runOperation(request) {
+  validateOperationRequest(request);
+  const operation = OPERATIONS[request.op];
+  let pinnedMode = request.pinnedMode;
+  if (!pinnedMode) {
+    const pinnedHandling = await loadPinnedHandling();
+    pinnedMode = pinnedHandling[operation.pinned];
+  }
+  const options = {
+    reopenAcrossProfiles: typeof request.reopenAcrossProfiles === 'boolean' ? request.reopenAcrossProfiles : await loadReopenAcrossProfiles()
+  };
+  // mergeWindow and mergeAll preserve groups window by window themselves
+  if (!request.tabIds) return operation.run(request, pinnedMode, options);
+  return withGroupsPreserved(request.tabIds, () => operation.run(request, pinnedMode, options));
+}
+
+/**
+ * Builds the request that retries the tabs an operation failed to move:
+ * they follow the other tabs into the operation's target window (the window
+ * it created, for split and merge), or repeat the request if no window was
+ * created.
+ * @param {Object} request - The original operation request
+ * @param {Object} result - Its operation result
+ * @returns {Object|null} The retry request, or null if nothing failed
+ */
+function getRetryRequest(request, result) {
+  const tabIds = result.failed.map(f => f.tabId);
+  if (tabIds.length === 0) return null;
+  const pinned = request.pinnedMode ? { pinnedMode: request.pinnedMode } : {};
+  if (request.op === 'move') return { ...request, tabIds };
+  // the rules work out the targets again
+  if (request.op === 'applyRules') return { op: 'applyRules' };
+  if (request.op === 'mergeWindow' || request.op === 'mergeAll') {
+    return { op: 'move', tabIds, windowId: request.windowId, ...pinned };
+  }
+  if (result.createdWindows.length) {
+    return { op: 'move', tabIds, windowId: result.createdWindows[0], ...pinned };
+  }
+  return { op: request.op, tabIds, ...pinned };
+}
+
+/**
+ * Asks the service worker to run a tab operation. For extension pages; the
+ * service worker itself calls runOperation directly.
+ * @async
+ * @param {Object} request - Operation request, see the top of this file
+ * @returns {Promise<Object>} Operation result {moved, failed, createdWindows, reopened}
+ * @throws {Error} With the service worker's message if the operation failed
+ */
+async function sendOperation(request) {
+  const response = await chrome.runtime.sendMessage(request);
+  if (!response) throw new Error(`No response to operation ${request.op}`);
+  if (response.error) throw new Error(response.error);
+  return response;
+}
@@ -1,9 +1,62 @@
 /**
- * Load settings from storage and restore checkbox state
+ * Merge target modes offered as the default (MERGE_TARGET_MODES from
+ * mergetarget.js; choosing a specific window is only possible per merge)
+ */
+const MERGE_TARGET_DEFAULTS = Object.fromEntries(
+  Object.entries(MERGE_TARGET_MODES).filter(([mode]) => mode !== 'window')
+);
+
+/**
+ * Choices for how each operation treats pinned tabs
+ */
+const PINNED_MODES = {
+  keep: 'Keep pinned',
+  unpin: 'Unpin on move',
+  leave: 'Leave behind'
+};
+
+/**
+ * Show the "Settings saved" message briefly
+ */
+function showSaved() {
+  const msg = document.getElementById('statusMessage');
+  msg.classList.add('success');
+  setTimeout(() => {
+    msg.classList.remove('success');
+  }, 2000);
+}
+
+/**
+ * Load settings from storage and restore checkbox and select state
  */
 function loadSettings() {
-  chrome.storage.sync.get({ moveTabsEnabled: false }, (items) => {
+  chrome.storage.sync.get({ moveTabsEnabled: false, reopenAcrossProfiles: false, pinnedHandling: DEFAULT_PINNED_HANDLING, skipOperationPreview: DEFAULT_SKIP_OPERATION_PREVIEW, mergeTargetMode: 'new' }, (items) => {
     document.getElementById('enableMoveTabs').checked = items.moveTabsEnabled;
+    const mergeTarget = document.getElementById('mergeTargetMode');
+    mergeTarget.innerHTML = '';
+    Object.entries(MERGE_TARGET_DEFAULTS).forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      mergeTarget.appendChild(opt);
+    });
+    mergeTarget.value = MERGE_TARGET_DEFAULTS[items.mergeTargetMode] ? items.mergeTargetMode : 'new';
+    const skipOperationPreview = { ...DEFAULT_SKIP_OPERATION_PREVIEW, ...items.skipOperationPreview };
+    document.querySelectorAll('input[data-preview]').forEach(box => {
+      box.checked = !skipOperationPreview[box.dataset.preview];
+    });
+    document.getElementById('reopenAcrossProfiles').checked = items.reopenAcrossProfiles;
+    const pinnedHandling = { ...DEFAULT_PINNED_HANDLING, ...items.pinnedHandling };
+    document.querySelectorAll('select[data-operation]').forEach(select => {
+      select.innerHTML = '';
+      Object.entries(PINNED_MODES).forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        select.appendChild(opt);
+      });
+      select.value = pinnedHandling[select.dataset.operation];
+    });
   });
 }
 
@@ -12,15 +65,284 @@ function loadSettings() {
  */
 document.getElementById('enableMoveTabs').addEventListener('change', (e) => {
   const enabled = e.target.checked;
-  chrome.storage.sync.set({ moveTabsEnabled: enabled }, () => {
-    // Show success message briefly
-    const msg = document.getElementById('statusMessage');
-    msg.classList.add('success');
-    setTimeout(() => {
-      msg.classList.remove('success');
-    }, 2000);
+  chrome.storage.sync.set({ moveTabsEnabled: enabled }, showSaved);
+});
+
+/**
+ * Restore and save whether page thumbnails are captured. Turning them on asks
+ * for host access to all sites first and stays off if it is refused; turning
+ * them off gives the access back.
+ */
+async function loadThumbnailSettings() {
+  document.getElementById('thumbnailsEnabled').checked = await loadThumbnailsEnabled() && await hasThumbnailPermissions();
+}
+
+document.getElementById('thumbnailsEnabled').addEventListener('change', (e) => {
+  const box = e.target;
+  if (!box.checked) {
+    chrome.storage.sync.set({ [THUMBNAILS_ENABLED_KEY]: false }, showSaved);
+    chrome.permissions.remove(THUMBNAIL_PERMISSIONS).catch(() => {});
+    return;
+  }
+  // requested straight from the click: Chrome only asks during a user gesture
+  chrome.permissions.request(THUMBNAIL_PERMISSIONS).then((granted) => {
+    box.checked = granted;
+    if (granted) chrome.storage.sync.set({ [THUMBNAILS_ENABLED_KEY]: true }, showSaved);
+  }).catch((err) => {
+    console.error('Requesting host access failed:', err);
+    box.checked = false;
+  });
+});
+
+/**
+ * Save the default merge target mode when it changes
+ */
+document.getElementById('mergeTargetMode').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ mergeTargetMode: e.target.value }, showSaved);
+});
+
+/**
+ * Save which operations are previewed when any of their checkboxes is toggled
+ */
+document.querySelectorAll('input[data-preview]').forEach(box => {
+  box.addEventListener('change', () => {
+    const skipOperationPreview = {};
+    document.querySelectorAll('input[data-preview]').forEach(b => {
+      skipOperationPreview[b.dataset.preview] = !b.checked;
+    });
+    chrome.storage.sync.set({ skipOperationPreview }, showSaved);
+  });
+});
+
+/**
+ * Save the reopen-across-incognito fallback when its checkbox is toggled
+ */
+document.getElementById('reopenAcrossProfiles').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ reopenAcrossProfiles: e.target.checked }, showSaved);
+});
+
+/**
+ * Save pinned-tab handling when any of its selects changes
+ */
+document.querySelectorAll('select[data-operation]').forEach(select => {
+  select.addEventListener('change', () => {
+    const pinnedHandling = {};
+    document.querySelectorAll('select[data-operation]').forEach(s => {
+      pinnedHandling[s.dataset.operation] = s.value;
+    });
+    chrome.storage.sync.set({ pinnedHandling }, showSaved);
+  });
+});
+
+/**
+ * Restore the auto-suspend policy controls
+ */
+async function loadSuspendSettings() {
+  const policy = await loadSuspendPolicy();
+  document.getElementById('suspendEnabled').checked = policy.enabled;
+  document.getElementById('suspendIdleMinutes').value = policy.idleMinutes;
+  document.getElementById('suspendSkipAudible').checked = policy.skipAudible;
+  document.getElementById('suspendSkipPinned').checked = policy.skipPinned;
+  document.getElementById('suspendWhitelist').value = policy.whitelist.join('\n');
+}
+
+/**
+ * Save the auto-suspend policy when any of its controls changes
+ */
+function saveSuspendSettings() {
+  const minutes = Math.max(1, Math.round(Number(document.getElementById('suspendIdleMinutes').value)) || DEFAULT_SUSPEND_POLICY.idleMinutes);
+  const suspendPolicy = {
+    enabled: document.getElementById('suspendEnabled').checked,
+    idleMinutes: minutes,
+    skipAudible: document.getElementById('suspendSkipAudible').checked,
+    skipPinned: document.getElementById('suspendSkipPinned').checked,
+    whitelist: parseSuspendWhitelist(document.getElementById('suspendWhitelist').value)
+  };
+  document.getElementById('suspendIdleMinutes').value = minutes;
+  chrome.storage.sync.set({ suspendPolicy }, showSaved);
+}
+
+['suspendEnabled', 'suspendIdleMinutes', 'suspendSkipAudible', 'suspendSkipPinned', 'suspendWhitelist'].forEach(id => {
+  document.getElementById(id).addEventListener('change', saveSuspendSettings);
+});
+
+/**
+ * Rules being edited, in order; saved on every change. savedRules are the
+ * ones last stored, which the editor goes back to if saving fails.
+ */
+let editedRules = [];
+let savedRules = [];
+
+/**
+ * Save the edited rules and redraw them. If they cannot be stored (the
+ * chrome.storage.sync item quota is 8 KB), say why and show the stored rules again.
+ */
+function saveEditedRules() {
+  const rules = editedRules.slice();
+  const message = document.getElementById('rulesMessage');
+  saveRules(rules).then(() => {
+    savedRules = rules;
+    message.textContent = '';
+    showSaved();
+  }).catch((err) => {
+    console.error('Saving rules failed:', err);
+    editedRules = savedRules.slice();
+    renderRules();
+    message.textContent = `Saving the rules failed: ${describeError(err)}`;
+  });
+  renderRules();
+}
+
+/**
+ * Builds a select with the given choices
+ * @param {Object} choices - value -> label
+ * @param {string} value - Selected value
+ * @param {Function} onChange - Called with the new value
+ * @returns {HTMLSelectElement}
+ */
+function createChoiceSelect(choices, value, onChange) {
+  const select = document.createElement('select');
+  Object.entries(choices).forEach(([key, label]) => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = label;
+    select.appendChild(opt);
   });
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+/**
+ * Draw one row per rule: what it matches, where it sends tabs, and buttons to
+ * enable, move up and delete it
+ */
+function renderRules() {
+  const list = document.getElementById('rulesList');
+  list.innerHTML = '';
+  editedRules.forEach((rule, i) => {
+    const update = (field, value) => {
+      editedRules[i] = { ...editedRules[i], [field]: value };
+      saveEditedRules();
+    };
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled !== false;
+    enabled.title = 'Enabled';
+    enabled.addEventListener('change', () => update('enabled', enabled.checked));
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.value = rule.pattern;
+    pattern.placeholder = 'Pattern';
+    pattern.addEventListener('change', () => update('pattern', pattern.value.trim()));
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = rule.name;
+    name.placeholder = 'Name';
+    name.addEventListener('change', () => update('name', name.value.trim()));
+
+    const up = document.createElement('button');
+    up.textContent = '↑';
+    up.title = 'Check this rule earlier';
+    up.disabled = i === 0;
+    up.addEventListener('click', () => {
+      editedRules.splice(i - 1, 0, editedRules.splice(i, 1)[0]);
+      saveEditedRules();
+    });
+
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Delete this rule';
+    remove.addEventListener('click', () => {
+      editedRules.splice(i, 1);
+      saveEditedRules();
+    });
+
+    row.append(enabled, createChoiceSelect(RULE_MATCH_TYPES, rule.match, value => update('match', value)), pattern,
+      '→', createChoiceSelect(RULE_TARGET_TYPES, rule.target, value => update('target', value)), name, up, remove);
+    list.appendChild(row);
+
+    const error = getRuleError(rule);
+    if (error) {
+      row.classList.add('invalid');
+      const message = document.createElement('div');
+      message.className = 'rule-error';
+      message.textContent = error;
+      list.appendChild(message);
+    }
+  });
+}
+
+/**
+ * Restore the rules and whether they are applied automatically
+ */
+async function loadRulesSettings() {
+  editedRules = await loadRules();
+  savedRules = editedRules.slice();
+  document.getElementById('autoApplyRules').checked = await loadAutoApplyRules();
+  renderRules();
+}
+
+document.getElementById('autoApplyRules').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ [AUTO_APPLY_RULES_KEY]: e.target.checked }, showSaved);
+});
+
+document.getElementById('addRuleBtn').addEventListener('click', () => {
+  editedRules.push({ match: 'domain', pattern: '', target: 'window', name: '', enabled: true });
+  saveEditedRules();
+});
+
+/**
+ * List what the saved rules would move right now, without moving anything
+ */
+document.getElementById('previewRulesBtn').addEventListener('click', async () => {
+  const list = document.getElementById('rulesPreview');
+  const message = document.getElementById('rulesMessage');
+  message.textContent = '';
+  list.innerHTML = '';
+  try {
+    const preview = await sendOperation({ op: 'applyRules', dryRun: true });
+    const lines = preview.plan.length ? preview.plan.map(describeRuleMove) : ['No tab would move'];
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+  } catch (err) {
+    message.textContent = `Preview failed: ${describeError(err)}`;
+  }
+});
+
+document.getElementById('exportRulesBtn').addEventListener('click', () => {
+  const json = exportRulesJson(editedRules);
+  document.getElementById('rulesJson').value = json;
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  link.download = 'tab-manager-rules.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+});
+
+document.getElementById('importRulesBtn').addEventListener('click', () => {
+  const message = document.getElementById('rulesMessage');
+  try {
+    editedRules = parseRulesJson(document.getElementById('rulesJson').value);
+    message.textContent = '';
+    saveEditedRules();
+  } catch (err) {
+    message.textContent = `Import failed: ${err.message}`;
+  }
 });
 
 // Load settings on page load
-document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  loadSuspendSettings();
+  loadRulesSettings();
+  loadThumbnailSettings();
+});
@@ -0,0 +1,167 @@
+/**
+ * Window organization: sorting the tabs of a window and splitting a window
+ * into one window per domain. Sorting leaves pinned tabs at the front of
+ * their window; splitting goes through the split operation (operations.js),
+ * so pinned tabs follow the split pinned-tab setting, groups are kept and
+ * failed tabs are reported.
+ */
+
+/**
+ * Sort keys offered in the Organize panel.
+ */
+const SORT_KEYS = {
+  title: 'Title',
+  url: 'URL',
+  domain: 'Domain',
+  lastAccessed: 'Last accessed',
+  created: 'Creation order'
+};
+
+/**
+ * Returns the domain used for sorting and splitting: the hostname without a
+ * leading "www.", or the URL scheme for URLs without a host (e.g. "chrome:").
+ * @param {Object} tab - Chrome tab
+ * @returns {string}
+ */
+function getTabDomain(tab) {
+  const url = tab.url || tab.pendingUrl || '';
+  const host = getHostname(url).replace(/^www\./, '');
+  if (host) return host;
+  const scheme = url.match(/^[a-z-]+:/i);
+  return scheme ? scheme[0].toLowerCase() : '';
+}
+
+/**
+ * Returns a comparator for the given sort key.
+ * @param {string} key - One of the keys of SORT_KEYS
+ * @returns {Function} Comparator over Chrome tabs
+ */
+function getTabComparator(key) {
+  const text = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+  switch (key) {
+    case 'title':
+      return (a, b) => text(a.title || '', b.title || '');
+    case 'url':
+      return (a, b) => text(a.url || '', b.url || '');
+    case 'domain':
+      return (a, b) => text(getTabDomain(a), getTabDomain(b)) || text(a.url || '', b.url || '');
+    case 'lastAccessed':
+      // most recently used first; tabs without the field keep creation order
+      return (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0) || a.id - b.id;
+    case 'created':
+    default:
+      // tab ids increase as tabs are created
+      return (a, b) => a.id - b.id;
+  }
+}
+
+/**
+ * Sorts the unpinned tabs of a window with a single batched chrome.tabs.move
+ * call, leaving pinned tabs at the front in their current order. Tabs stay
+ * in their groups. Recorded in the undo history.
+ * @async
+ * @param {number} windowId - Window to sort
+ * @param {string} key - One of the keys of SORT_KEYS
+ * @returns {Promise<void>}
+ */
+async function sortWindowTabs(windowId, key) {
+  const win = await chrome.windows.get(windowId, { populate: true });
+  const pinned = win.tabs.filter(t => t.pinned);
+  const unpinned = win.tabs.filter(t => !t.pinned);
+  const sorted = unpinned.slice().sort(getTabComparator(key));
+  if (sorted.every((t, i) => t.id === unpinned[i].id)) return; // already in order
+
+  const ids = sorted.map(t => t.id);
+  await recordOperation(`Sort by ${SORT_KEYS[key] || key}`, ids, async () => {
+    await withGroupsPreserved(ids, () => chrome.tabs.move(ids, { windowId, index: pinned.length }));
+  });
+}
+
+/**
+ * Splits a window by domain. With `topN` of 0 every domain moves to its own
+ * new window; otherwise only the `topN` largest domains get their own window
+ * and the remaining tabs stay together in the original window. The UI tab
+ * stays, and so does the largest domain if nothing else would be left. Each
+ * domain is a split operation; together they are one step in the undo
+ * history and one report, whose retry sends the failed tabs to the window of
+ * the first domain that had failures.
+ * @async
+ * @param {number} windowId - Window to split
+ * @param {number} [topN=0] - Number of largest domains to split off (0 = all)
+ * @returns {Promise<number[]>} Ids of the windows created
+ */
+async function splitWindowByDomain(windowId, topN = 0) {
+  const win = await chrome.windows.get(windowId, { populate: true });
+  const uiUrl = chrome.runtime.getURL('ui.html');
+  const movable = win.tabs.filter(t => !(t.url || '').startsWith(uiUrl));
+
+  const byDomain = new Map();
+  movable.forEach(tab => {
+    const domain = getTabDomain(tab);
+    if (!byDomain.has(domain)) byDomain.set(domain, []);
+    byDomain.get(domain).push(tab);
+  });
+
+  let groups = Array.from(byDomain.values()).sort((a, b) => b.length - a.length);
+  if (topN > 0) groups = groups.slice(0, topN);
+  // moving every tab out would leave the window with the UI tab alone, or close it
+  if (groups.reduce((count, group) => count + group.length, 0) === movable.length) groups = groups.slice(1);
+  if (groups.length === 0) return [];
+
+  const label = 'Split by domain';
+  const splits = [];
+  await recordOperation(label, groups.flatMap(g => g.map(t => t.id)), async () => {
+    for (const group of groups) {
+      const request = { op: 'split', tabIds: group.map(t => t.id) };
+      splits.push({ request, result: await sendOperation(request) });
+    }
+  });
+  splits.sort((a, b) => Number(b.result.failed.length > 0) - Number(a.result.failed.length > 0));
+  const result = splits.reduce((all, split) => mergeOperationResults(all, split.result), createOperationResult());
+  reportOperationResult(label, splits[0].request, result);
+  return result.createdWindows;
+}
+
+/**
+ * Wires the Organize panel: sort buttons and split-by-domain for the active window.
+ * @returns {void}
+ */
+function attachOrganizePanel() {
+  const toggleBtn = document.getElementById('organizeBtn');
+  const sortButtons = document.getElementById('sortButtons');
+  if (!toggleBtn || !sortButtons) return;
+  const topNInput = document.getElementById('splitTopN');
+
+  toggleBtn.onclick = () => toggleControlPanel('organizePanel');
+  topNInput.onkeydown = (e) => e.stopPropagation(); // keep UI shortcuts out of the field
+
+  Object.entries(SORT_KEYS).forEach(([key, label]) => {
+    const btn = document.createElement('button');
+    btn.className = 'control-btn';
+    btn.textContent = label;
+    btn.title = `Sort the active window by ${label.toLowerCase()}`;
+    btn.onclick = async () => {
+      if (!activeWindowId) return;
+      try {
+        await sortWindowTabs(activeWindowId, key);
+        loadWindowsAndTabs();
+      } catch (err) {
+        console.error('Sort failed:', err);
+        showToast('Sort failed', 'error');
+      }
+    };
+    sortButtons.appendChild(btn);
+  });
+
+  document.getElementById('splitByDomainBtn').onclick = async () => {
+    if (!activeWindowId) return;
+    const topN = Math.max(0, parseInt(topNInput.value, 10) || 0);
+    try {
+      await splitWindowByDomain(activeWindowId, topN);
+      loadWindowsAndTabs();
+    } catch (err) {
+      console.error('Split by domain failed:', err);
+      showToast('Split by domain failed', 'error');
+    }
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * Overview mode: every shown window side by side as a lane of compact page
+ * cards, instead of one window at a time. The marquee selects across lanes
+ * and selected tabs are dragged straight into any lane, at the position
+ * under the pointer. A zoom slider switches between full cards, title-only
+ * rows and a favicon grid. Mode and zoom are kept in chrome.storage.sync
+ * (overviewMode, overviewZoom).
+ */
+
+/**
+ * Zoom levels of the slider, from largest to smallest, with their labels
+ */
+const OVERVIEW_ZOOM_LEVELS = { cards: 'Cards', rows: 'Titles', icons: 'Favicons' };
+
+/**
+ * Whether the content area shows the overview, and its zoom level
+ */
+let overviewMode = false;
+let overviewZoom = 'cards';
+
+/**
+ * Marker showing where dragged tabs would be dropped in a lane
+ */
+let overviewDropMarker = null;
+
+/**
+ * Lanes kept between renders: window id -> {el, signature}, see render.js
+ */
+const overviewLaneElements = new Map();
+
+/**
+ * Reads the overview mode and zoom from storage.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadOverviewSettings() {
+  const items = await chrome.storage.sync.get({ overviewMode: false, overviewZoom: 'cards' });
+  overviewMode = Boolean(items.overviewMode);
+  overviewZoom = OVERVIEW_ZOOM_LEVELS[items.overviewZoom] ? items.overviewZoom : 'cards';
+}
+
+/**
+ * Renders one lane per shown window into the content area, keeping the
+ * lanes and cards of the last render that did not change.
+ * @param {HTMLElement} contentArea - #windowContent
+ * @returns {void}
+ */
+function renderOverview(contentArea) {
+  contentArea.classList.add('active', 'overview');
+  contentArea.dataset.zoom = overviewZoom;
+  patchChildren(contentArea, windowsData.map(win => {
+    const label = `${getWindowLabel(win)} (${win.tabs.length})`;
+    const color = getWindowColor(win);
+    const lane = keyedElement(overviewLaneElements, win.id, JSON.stringify([label, color]), () => createOverviewLane(win.id, label, color));
+    const nodes = getWindowTabNodes(win);
+    // the favicon grid hides the titles, so they go in the tooltip
+    nodes.forEach(node => node.querySelectorAll('.page-card-title').forEach(title => {
+      title.closest('.page-card').title = title.title;
+    }));
+    if (!win.tabs.length) {
+      const empty = document.createElement('div');
+      empty.className = 'overview-lane-empty';
+      empty.textContent = 'No tabs';
+      nodes.push(empty);
+    }
+    patchChildren(lane.querySelector('.overview-lane-tabs'), nodes);
+    return lane;
+  }));
+  updateOverviewLanes();
+}
+
+/**
+ * Builds the lane of one window with an empty list for its tabs: a header
+ * with its color, label and tab count. Clicking the header makes the window
+ * the active one, double-clicking it selects all of its tabs.
+ * @param {number} windowId - Window id
+ * @param {string} label - Window label and tab count
+ * @param {string} color - Window color name, or '' for none
+ * @returns {HTMLElement}
+ */
+function createOverviewLane(windowId, label, color) {
+  const lane = document.createElement('div');
+  lane.className = 'overview-lane';
+  lane.dataset.windowId = windowId;
+  if (color) lane.style.setProperty('--window-color', GROUP_COLORS[color]);
+
+  const header = document.createElement('div');
+  header.className = 'overview-lane-header';
+  header.textContent = label;
+  header.title = `Window ${windowId} — click to make it the active window, double-click to select its tabs`;
+  header.addEventListener('click', () => {
+    activeWindowId = windowId;
+    renderWindowTabs();
+  });
+  header.addEventListener('dblclick', () => {
+    activeWindowId = windowId;
+    selectAllTabsInWindow(windowId);
+  });
+
+  const list = document.createElement('div');
+  list.className = 'overview-lane-tabs';
+  lane.append(header, list);
+  return lane;
+}
+
+/**
+ * Marks the active lane and, during a move-drag, the lanes the selection
+ * cannot be dropped into (same as the window buttons, see getDropBlockers).
+ * @returns {void}
+ */
+function updateOverviewLanes() {
+  document.querySelectorAll('#windowContent .overview-lane').forEach(lane => {
+    const windowId = Number(lane.dataset.windowId);
+    const blocker = moveDragBlockers && moveDragBlockers.get(windowId);
+    lane.classList.toggle('active', windowId === activeWindowId);
+    lane.classList.toggle('drop-disabled', Boolean(blocker));
+    if (blocker) lane.title = blocker;
+    else lane.removeAttribute('title');
+  });
+}
+
+/**
+ * Measures the cards of every lane once, when a move-drag starts, so the drop
+ * position is not worked out by measuring cards on every mouse move (see
+ * measureCardBoxes). Dragged cards are hidden by then and measure empty.
+ * @param {HTMLElement} contentArea - #windowContent
+ * @returns {Map<number, Object[]>} Window id -> [{card, box}] with boxes
+ *   relative to the lane's scrolled list of tabs
+ */
+function measureOverviewDropBoxes(contentArea) {
+  const boxes = new Map();
+  contentArea.querySelectorAll('.overview-lane').forEach(lane => {
+    const list = lane.querySelector('.overview-lane-tabs');
+    const rect = list.getBoundingClientRect();
+    boxes.set(Number(lane.dataset.windowId), Array.from(list.querySelectorAll('.page-card')).map(card => {
+      const r = card.getBoundingClientRect();
+      const left = r.left - rect.left + list.scrollLeft;
+      const top = r.top - rect.top + list.scrollTop;
+      return { card, box: { left, top, right: left + r.width, bottom: top + r.height, width: r.width, height: r.height } };
+    }));
+  });
+  return boxes;
+}
+
+/**
+ * Works out where dragged tabs would land for a pointer position: the lane
+ * under the pointer, and in front of the first card the pointer is above
+ * (or, in the favicon grid, to the left of on the same row).
+ * @param {HTMLElement|null} el - Element under the pointer
+ * @param {number} x - Client x
+ * @param {number} y - Client y
+ * @param {Map<number, Object[]>} boxes - Result of measureOverviewDropBoxes()
+ * @returns {Object|null} {windowId, index, before} where index counts all of the
+ *   window's tabs (-1 for the end) and before is the card to insert in front of,
+ *   or null if the pointer is not over a lane that takes the drop
+ */
+function getOverviewDropTarget(el, x, y, boxes) {
+  const lane = el && boxes ? el.closest('.overview-lane:not(.drop-disabled)') : null;
+  if (!lane) return null;
+  const windowId = Number(lane.dataset.windowId);
+  const win = windowsData.find(w => w.id === windowId);
+  if (!win) return null;
+  const list = lane.querySelector('.overview-lane-tabs');
+  const rect = list.getBoundingClientRect();
+  const px = x - rect.left + list.scrollLeft;
+  const py = y - rect.top + list.scrollTop;
+  const grid = overviewZoom === 'icons';
+  const hit = (boxes.get(windowId) || []).find(({ box }) => {
+    if (box.width === 0) return false; // a dragged card
+    if (py < box.top) return true;
+    if (py > box.bottom) return false;
+    return grid ? px < box.left + box.width / 2 : py < box.top + box.height / 2;
+  });
+  const before = hit ? hit.card : null;
+  const index = before ? win.tabs.findIndex(t => t.id === Number(before.dataset.tabId)) : -1;
+  return { windowId, index, before };
+}
+
+/**
+ * Shows the drop marker in front of the target card, or at the end of the
+ * target lane.
+ * @param {Object|null} target - Result of getOverviewDropTarget()
+ * @returns {void}
+ */
+function showOverviewDropMarker(target) {
+  if (!target) {
+    clearOverviewDropMarker();
+    return;
+  }
+  if (!overviewDropMarker) {
+    overviewDropMarker = document.createElement('div');
+    overviewDropMarker.className = 'overview-drop-marker';
+  }
+  if (target.before) {
+    if (target.before.previousSibling !== overviewDropMarker) target.before.parentNode.insertBefore(overviewDropMarker, target.before);
+  } else {
+    const list = document.querySelector(`#windowContent .overview-lane[data-window-id="${target.windowId}"] .overview-lane-tabs`);
+    if (list && list.lastChild !== overviewDropMarker) list.appendChild(overviewDropMarker);
+  }
+}
+
+/**
+ * Removes the drop marker.
+ * @returns {void}
+ */
+function clearOverviewDropMarker() {
+  if (overviewDropMarker) overviewDropMarker.remove();
+  overviewDropMarker = null;
+}
+
+/**
+ * Shows the overview toggle and the zoom slider in their current state.
+ * @returns {void}
+ */
+function updateOverviewControls() {
+  const toggleBtn = document.getElementById('overviewBtn');
+  toggleBtn.textContent = overviewMode ? 'One window' : 'Overview';
+  toggleBtn.title = overviewMode ? 'Show one window at a time' : 'Show every window side by side';
+  const zoom = document.getElementById('overviewZoom');
+  zoom.hidden = !overviewMode;
+  zoom.value = String(Object.keys(OVERVIEW_ZOOM_LEVELS).indexOf(overviewZoom));
+  zoom.title = `Zoom: ${OVERVIEW_ZOOM_LEVELS[overviewZoom]}`;
+}
+
+/**
+ * Switches between the overview and the one-window view.
+ * @param {boolean} [enabled=!overviewMode] - Show the overview
+ * @returns {void}
+ */
+function setOverviewMode(enabled = !overviewMode) {
+  overviewMode = enabled;
+  chrome.storage.sync.set({ overviewMode });
+  updateOverviewControls();
+  renderWindowContent();
+}
+
+/**
+ * Wires the overview toggle and the zoom slider.
+ * @returns {void}
+ */
+function attachOverviewControls() {
+  const toggleBtn = document.getElementById('overviewBtn');
+  if (!toggleBtn) return;
+  toggleBtn.onclick = () => setOverviewMode();
+  const zoom = document.getElementById('overviewZoom');
+  zoom.max = String(Object.keys(OVERVIEW_ZOOM_LEVELS).length - 1);
+  zoom.oninput = () => {
+    overviewZoom = Object.keys(OVERVIEW_ZOOM_LEVELS)[Number(zoom.value)] || 'cards';
+    chrome.storage.sync.set({ overviewZoom });
+    updateOverviewControls();
+    document.getElementById('windowContent').dataset.zoom = overviewZoom;
+  };
+  zoom.onkeydown = (e) => e.stopPropagation(); // arrow keys move the slider, not the card focus
+  updateOverviewControls();
+}
@@ -0,0 +1,266 @@
+/**
+ * Dry-run preview before Merge, Merge All and Split: works out the window
+ * layout the operation would leave behind (following the same pinned-tab,
+ * window type and incognito rules as tabops.js) and shows it in an overlay
+ * that asks for confirmation. "Don't ask again" is remembered per operation
+ * in chrome.storage.sync (skipOperationPreview).
+ */
+
+/**
+ * Operations the preview can be turned off for, with their labels
+ */
+const PREVIEW_OPERATIONS = { merge: 'Merge', mergeAll: 'Merge All', split: 'Split' };
+const DEFAULT_SKIP_OPERATION_PREVIEW = { merge: false, mergeAll: false, split: false };
+
+/**
+ * Operation -> true if its preview is skipped; loaded by loadFeatureFlags()
+ */
+let skipOperationPreview = { ...DEFAULT_SKIP_OPERATION_PREVIEW };
+
+/**
+ * Works out the layout an operation would leave behind, without moving
+ * anything.
+ * @param {Object[]} windows - Populated Chrome windows, in id order
+ * @param {Object} request - Operation request: merge or split {tabIds}, mergeAll {windowId}
+ *   or move {tabIds, windowId, index}
+ * @param {string} pinnedMode - 'keep', 'unpin' or 'leave'
+ * @param {boolean} reopen - Whether tabs crossing the incognito boundary are reopened by URL
+ * @returns {Object} {windows: [{id, win, status, before, tabs}], blocked}: status is 'new',
+ *   'changed', 'removed' or 'unchanged'; tabs are {id, title, pinned, moved}; blocked
+ *   counts the tabs that would not move
+ */
+function simulateOperationLayout(windows, request, pinnedMode, reopen) {
+  const layout = windows.map(win => ({
+    id: win.id,
+    win,
+    before: win.tabs.map(t => t.id),
+    tabs: win.tabs.map(t => ({ id: t.id, title: t.title || t.url || `Tab ${t.id}`, pinned: Boolean(t.pinned), moved: false }))
+  }));
+  const entryOf = tabId => layout.find(e => e.tabs.some(t => t.id === tabId));
+  let blocked = 0;
+
+  // mirrors prepareTabsForMove and moveTabsToWindow: kept pinned tabs go after
+  // the target's pinned tabs, the others to `index` (counted among the tabs
+  // that stay) or the end
+  const moveInto = (tabIds, target, index = -1) => {
+    const moving = [];
+    tabIds.forEach(id => {
+      const source = entryOf(id);
+      if (!source) return;
+      const tab = source.tabs.find(t => t.id === id);
+      if (tab.pinned && pinnedMode === 'leave') return;
+      if (source !== target && getMoveBlocker(source.win, target.win) && !(reopen && canReopenAcrossProfiles(source.win, target.win))) {
+        blocked++;
+        return;
+      }
+      source.tabs.splice(source.tabs.indexOf(tab), 1);
+      moving.push({ ...tab, pinned: tab.pinned && pinnedMode !== 'unpin', moved: true });
+    });
+    const pinned = moving.filter(t => t.pinned);
+    const pinnedCount = target.tabs.filter(t => t.pinned).length;
+    target.tabs.splice(index !== -1 && index < pinnedCount ? index : pinnedCount, 0, ...pinned);
+    const unpinned = moving.filter(t => !t.pinned);
+    if (index === -1) target.tabs.push(...unpinned);
+    else target.tabs.splice(Math.max(index + pinned.length, pinnedCount + pinned.length), 0, ...unpinned);
+  };
+
+  if (request.op === 'mergeAll') {
+    const target = layout.find(e => e.id === request.windowId);
+    layout.filter(e => e !== target).forEach(e => moveInto(e.tabs.map(t => t.id), target));
+  } else if (request.op === 'move') {
+    const target = layout.find(e => e.id === request.windowId);
+    if (target) moveInto(request.tabIds, target, typeof request.index === 'number' ? request.index : -1);
+  } else {
+    // mirrors createWindowWithTabs: the first tab that can leave its window seeds the new one
+    const ids = request.tabIds.filter((id) => {
+      const source = entryOf(id);
+      if (!source) return false;
+      const tab = source.tabs.find(t => t.id === id);
+      if (tab.pinned && pinnedMode === 'leave') return false;
+      if (getMoveBlocker(source.win, null)) {
+        blocked++;
+        return false;
+      }
+      return true;
+    });
+    if (ids.length) {
+      const source = entryOf(ids[0]);
+      const first = source.tabs.find(t => t.id === ids[0]);
+      source.tabs.splice(source.tabs.indexOf(first), 1);
+      const created = {
+        id: null,
+        win: { id: null, type: 'normal', incognito: Boolean(source.win.incognito) },
+        before: [],
+        tabs: [{ ...first, pinned: first.pinned && pinnedMode !== 'unpin', moved: true }]
+      };
+      layout.push(created);
+      moveInto(ids.slice(1), created);
+    }
+  }
+
+  layout.forEach(e => {
+    const after = e.tabs.map(t => t.id);
+    if (e.id === null) e.status = 'new';
+    else if (after.length === 0) e.status = 'removed';
+    else if (after.join() !== e.before.join()) e.status = 'changed';
+    else e.status = 'unchanged';
+  });
+  return { windows: layout, blocked };
+}
+
+/**
+ * @param {Object} simulation - Result of simulateOperationLayout()
+ * @returns {string} E.g. "1 window created, 2 changed, 1 removed"
+ */
+function summarizeLayoutChanges(simulation) {
+  const count = status => simulation.windows.filter(e => e.status === status).length;
+  const parts = [];
+  const created = count('new');
+  if (created) parts.push(`${created} window${created === 1 ? '' : 's'} created`);
+  if (count('changed')) parts.push(`${count('changed')} changed`);
+  if (count('removed')) parts.push(`${count('removed')} removed`);
+  if (simulation.blocked) parts.push(`${simulation.blocked} tab${simulation.blocked === 1 ? '' : 's'} cannot move`);
+  return parts.length ? parts.join(', ') : 'Nothing would change';
+}
+
+/**
+ * Builds the card of one window in the preview: its label, status and tab
+ * count before and after, and its tabs in their new order.
+ * @param {Object} entry - Window entry of simulateOperationLayout()
+ * @returns {HTMLElement}
+ */
+function createPreviewWindow(entry) {
+  const card = document.createElement('div');
+  card.className = `preview-window preview-${entry.status}`;
+  const heading = document.createElement('div');
+  heading.className = 'preview-window-heading';
+  const label = entry.id === null ? 'New window' : getWindowLabel(entry.win);
+  const status = { new: 'New', changed: 'Changed', removed: 'Closed', unchanged: '' }[entry.status];
+  heading.textContent = `${label} · ${entry.before.length} → ${entry.tabs.length} tabs`;
+  if (status) {
+    const badge = document.createElement('span');
+    badge.className = 'preview-status';
+    badge.textContent = status;
+    heading.appendChild(badge);
+  }
+  card.appendChild(heading);
+  const list = document.createElement('ol');
+  list.className = 'preview-tabs';
+  entry.tabs.forEach(tab => {
+    const item = document.createElement('li');
+    item.textContent = `${tab.pinned ? '📌 ' : ''}${tab.title}`;
+    if (tab.moved) item.className = 'preview-tab-moved';
+    list.appendChild(item);
+  });
+  card.appendChild(list);
+  return card;
+}
+
+/**
+ * Shows the preview overlay and waits for the user's answer. Enter (or the
+ * confirm button) runs the operation; Escape, Cancel or a click outside
+ * the dialog cancel it.
+ * @param {string} op - Key of PREVIEW_OPERATIONS
+ * @param {Object} simulation - Result of simulateOperationLayout()
+ * @returns {Promise<boolean>} True if the user confirmed
+ */
+function showOperationPreview(op, simulation) {
+  return new Promise((resolve) => {
+    const label = PREVIEW_OPERATIONS[op];
+    const overlay = document.createElement('div');
+    overlay.id = 'operationPreview';
+    overlay.className = 'palette-overlay';
+    const dialog = document.createElement('div');
+    dialog.className = 'preview-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', `${label} preview`);
+
+    const title = document.createElement('div');
+    title.className = 'panel-heading';
+    title.textContent = `${label} preview`;
+    const summary = document.createElement('div');
+    summary.id = 'operationPreviewSummary';
+    summary.className = 'preview-summary';
+    summary.textContent = summarizeLayoutChanges(simulation);
+
+    const body = document.createElement('div');
+    body.className = 'preview-windows';
+    const shown = simulation.windows.filter(e => e.status !== 'unchanged');
+    shown.forEach(entry => body.appendChild(createPreviewWindow(entry)));
+    const unchanged = simulation.windows.length - shown.length;
+    if (unchanged) {
+      const note = document.createElement('div');
+      note.className = 'preview-unchanged';
+      note.textContent = `${unchanged} other window${unchanged === 1 ? '' : 's'} unchanged`;
+      body.appendChild(note);
+    }
+
+    const row = document.createElement('div');
+    row.className = 'session-row';
+    const skipLabel = document.createElement('label');
+    skipLabel.className = 'panel-summary';
+    const skip = document.createElement('input');
+    skip.type = 'checkbox';
+    skip.id = 'operationPreviewSkip';
+    skipLabel.append(skip, ` Don't ask again for ${label}`);
+    const cancelBtn = document.createElement('button');
+    cancelBtn.id = 'operationPreviewCancel';
+    cancelBtn.className = 'control-btn';
+    cancelBtn.textContent = 'Cancel';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.id = 'operationPreviewConfirm';
+    confirmBtn.className = 'control-btn';
+    confirmBtn.textContent = label;
+    row.append(skipLabel, cancelBtn, confirmBtn);
+
+    dialog.append(title, summary, body, row);
+    overlay.appendChild(dialog);
+
+    const finish = (confirmed) => {
+      overlay.remove();
+      if (confirmed && skip.checked) {
+        skipOperationPreview = { ...skipOperationPreview, [op]: true };
+        chrome.storage.sync.set({ skipOperationPreview });
+      }
+      resolve(confirmed);
+    };
+    confirmBtn.onclick = () => finish(true);
+    cancelBtn.onclick = () => finish(false);
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.target === overlay) finish(false);
+    });
+    // keep the page's shortcuts (Escape clears the selection) out of the dialog
+    overlay.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
+      } else if (e.key === 'Enter' && e.target !== cancelBtn && e.target !== skip) {
+        e.preventDefault();
+        finish(true);
+      }
+    });
+
+    document.body.appendChild(overlay);
+    confirmBtn.focus();
+  });
+}
+
+/**
+ * Asks the user to confirm a bulk operation after previewing its result,
+ * unless they chose not to be asked for it again.
+ * @async
+ * @param {Object} request - Operation request: merge, split, mergeAll or move
+ * @param {string} [op=request.op] - Key of PREVIEW_OPERATIONS the request carries out
+ *   (a merge into an existing window is a move request)
+ * @returns {Promise<boolean>} True if the operation should run
+ */
+async function confirmOperation(request, op = request.op) {
+  if (document.getElementById('operationPreview')) return false; // already asking
+  if (skipOperationPreview[op]) return true;
+  const windows = (await chrome.windows.getAll({ populate: true, windowTypes: WINDOW_TYPES })).sort((a, b) => a.id - b.id);
+  const pinnedHandling = await loadPinnedHandling();
+  const pinnedMode = request.pinnedMode || pinnedHandling[op === 'split' ? 'split' : 'merge'];
+  const simulation = simulateOperationLayout(windows, request, pinnedMode, reopenAcrossProfiles);
+  return showOperationPreview(op, simulation);
+}
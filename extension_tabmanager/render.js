@@ -0,0 +1,136 @@
+/**
+ * Incremental rendering for the window viewer. Page cards, group sections,
+ * pinned rows, overview lanes and window buttons are kept between renders,
+ * keyed by tab, group or window id, and only rebuilt when something they
+ * show changed; containers are patched into the new order instead of being
+ * wiped. Bursts of tab and window events are coalesced into one refresh, and
+ * held back while a marquee or move-drag is in progress.
+ */
+
+/**
+ * A refresh waits this long for more events, but never longer than
+ * REFRESH_MAX_DELAY_MS after the first one, so a long burst (Merge All of
+ * many windows) still shows progress.
+ */
+const REFRESH_DELAY_MS = 50;
+const REFRESH_MAX_DELAY_MS = 250;
+
+/**
+ * Tab properties shown in the UI: tabs.onUpdated events that change none of
+ * them are ignored.
+ */
+const RENDERED_TAB_FIELDS = ['title', 'favIconUrl', 'status', 'audible', 'mutedInfo', 'discarded', 'url', 'pinned', 'groupId'];
+
+/**
+ * Elements the drag handlers put among the cards (see
+ * attachDragSelectionHandlers); patchChildren() leaves them in place.
+ */
+const DRAG_OVERLAY_SELECTOR = '.marquee, .insertion-placeholder';
+
+let refreshTimer = null;
+let refreshBurstStart = 0;
+let refreshDeferred = false;
+
+/**
+ * @returns {boolean} True while a marquee or a move-drag is in progress
+ */
+function isDragInProgress() {
+  return isDragging || isMoveDragging;
+}
+
+/**
+ * Schedules loadWindowsAndTabs(), coalescing the calls made within
+ * REFRESH_DELAY_MS of each other. During a drag the refresh waits for
+ * flushDeferredRefresh(): re-rendering would move the cards the drag measured.
+ * @returns {void}
+ */
+function scheduleRefresh() {
+  if (isDragInProgress()) {
+    refreshDeferred = true;
+    return;
+  }
+  const now = Date.now();
+  if (refreshTimer) clearTimeout(refreshTimer);
+  else refreshBurstStart = now;
+  const delay = Math.max(0, Math.min(REFRESH_DELAY_MS, refreshBurstStart + REFRESH_MAX_DELAY_MS - now));
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    if (isDragInProgress()) refreshDeferred = true;
+    else loadWindowsAndTabs();
+  }, delay);
+}
+
+/**
+ * Schedules the refresh held back by a drag, once the drag has ended.
+ * @returns {void}
+ */
+function flushDeferredRefresh() {
+  if (!refreshDeferred) return;
+  refreshDeferred = false;
+  scheduleRefresh();
+}
+
+/**
+ * @param {Object} changeInfo - tabs.onUpdated change info
+ * @returns {boolean} True if the change is visible in the UI
+ */
+function isRenderedTabChange(changeInfo) {
+  return RENDERED_TAB_FIELDS.some(field => field in changeInfo);
+}
+
+/**
+ * Returns the element kept under `key` if it was built for the same
+ * signature, otherwise builds (and keeps) a new one.
+ * @param {Map} cache - Key -> {el, signature}
+ * @param {*} key - Tab, group or window id
+ * @param {string} signature - Everything the element shows, serialized
+ * @param {Function} build - Returns a new element
+ * @returns {HTMLElement}
+ */
+function keyedElement(cache, key, signature, build) {
+  const cached = cache.get(key);
+  if (cached && cached.signature === signature) return cached.el;
+  const el = build();
+  cache.set(key, { el, signature });
+  return el;
+}
+
+/**
+ * Forgets the kept elements that the last render left out of the page.
+ * @param {Map} cache - Key -> {el, signature}
+ * @returns {void}
+ */
+function pruneElementCache(cache) {
+  cache.forEach((entry, key) => {
+    if (!entry.el.isConnected) cache.delete(key);
+  });
+}
+
+/**
+ * @param {Node} node - Child of a patched container
+ * @returns {boolean} True for the marquee and the insertion placeholder of a drag
+ */
+function isDragOverlay(node) {
+  return node.nodeType === Node.ELEMENT_NODE && node.matches(DRAG_OVERLAY_SELECTOR);
+}
+
+/**
+ * Makes `nodes` the children of `parent`, in order, moving only the nodes
+ * that are out of place and removing the rest. Drag overlays stay where they are.
+ * @param {HTMLElement} parent - Container
+ * @param {Node[]} nodes - Wanted children
+ * @returns {void}
+ */
+function patchChildren(parent, nodes) {
+  let current = parent.firstChild;
+  nodes.forEach((node) => {
+    while (current && current !== node && isDragOverlay(current)) current = current.nextSibling;
+    if (current === node) current = current.nextSibling;
+    else parent.insertBefore(node, current);
+  });
+  while (current) {
+    const next = current.nextSibling;
+    if (!isDragOverlay(current)) parent.removeChild(current);
+    current = next;
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * Window rules: user-defined rules that send tabs to a named window or tab
+ * group, e.g. every Jira tab into the window named "Jira". Shared by the UI
+ * ("Apply rules now" and its preview), the options page (where rules are
+ * edited, imported and exported) and the service worker, which applies them
+ * to tabs as they are opened or navigate (via importScripts).
+ *
+ * A rule is {match, pattern, target, name, enabled}:
+ * - match 'url': `pattern` is matched against the whole URL, with `*` as a
+ *   wildcard; without a `*` it only has to occur somewhere in the URL
+ * - match 'domain': the tab's host is `pattern` or one of its subdomains
+ * - match 'title': `pattern` is a case-insensitive regular expression
+ * - target 'window': the tab goes to the window the user named `name` (see
+ *   windownames.js); if there is none, a new window is created and named
+ * - target 'group': the tab joins the tab group titled `name`, in whatever
+ *   window it lives; if there is none, a group is created in the tab's window
+ * The first enabled rule that matches a tab wins. Pinned tabs and the
+ * extension's own pages are never moved by rules.
+ *
+ * Nothing in here touches the DOM or UI state.
+ */
+
+const RULES_KEY = 'windowRules';
+const AUTO_APPLY_RULES_KEY = 'autoApplyRules';
+
+/**
+ * What a rule can match on, and what it can target, with their labels.
+ */
+const RULE_MATCH_TYPES = { url: 'URL pattern', domain: 'Domain', title: 'Title regex' };
+const RULE_TARGET_TYPES = { window: 'Window', group: 'Group' };
+
+/**
+ * Reads the rules from storage.
+ * @async
+ * @returns {Promise<Object[]>} Rules in order
+ */
+async function loadRules() {
+  const items = await chrome.storage.sync.get({ [RULES_KEY]: [] });
+  return Array.isArray(items[RULES_KEY]) ? items[RULES_KEY] : [];
+}
+
+/**
+ * Stores the rules.
+ * @async
+ * @param {Object[]} rules - Rules in order
+ * @returns {Promise<void>}
+ */
+async function saveRules(rules) {
+  await chrome.storage.sync.set({ [RULES_KEY]: rules });
+}
+
+/**
+ * Reads whether the service worker applies the rules to new and updated tabs.
+ * @async
+ * @returns {Promise<boolean>}
+ */
+async function loadAutoApplyRules() {
+  const items = await chrome.storage.sync.get({ [AUTO_APPLY_RULES_KEY]: true });
+  return Boolean(items[AUTO_APPLY_RULES_KEY]);
+}
+
+/**
+ * Checks a rule and returns it with only the known fields.
+ * @param {Object} raw - Rule as stored or imported
+ * @returns {Object} {match, pattern, target, name, enabled}
+ * @throws {Error} If a field is missing or invalid
+ */
+function normalizeRule(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('not an object');
+  const rule = {
+    match: raw.match,
+    pattern: typeof raw.pattern === 'string' ? raw.pattern.trim() : '',
+    target: raw.target,
+    name: typeof raw.name === 'string' ? raw.name.trim() : '',
+    enabled: raw.enabled !== false
+  };
+  if (!RULE_MATCH_TYPES[rule.match]) throw new Error(`unknown match "${rule.match}"`);
+  if (!RULE_TARGET_TYPES[rule.target]) throw new Error(`unknown target "${rule.target}"`);
+  const error = getRuleError(rule);
+  if (error) throw new Error(error);
+  return rule;
+}
+
+/**
+ * Returns what is wrong with a rule, or null if it can be applied.
+ * @param {Object} rule - Rule
+ * @returns {string|null}
+ */
+function getRuleError(rule) {
+  if (!rule.pattern) return 'The pattern is empty';
+  if (!rule.name) return 'The window or group name is empty';
+  if (rule.match === 'title') {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (err) {
+      return `Invalid regular expression: ${describeError(err)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses rules exported by exportRulesJson() (or a bare array of rules).
+ * @param {string} text - JSON text
+ * @returns {Object[]} Normalized rules
+ * @throws {Error} Naming the first invalid rule
+ */
+function parseRulesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Not valid JSON');
+  }
+  const list = Array.isArray(data) ? data : data && data.rules;
+  if (!Array.isArray(list)) throw new Error('Expected a list of rules');
+  return list.map((raw, i) => {
+    try {
+      return normalizeRule(raw);
+    } catch (err) {
+      throw new Error(`Rule ${i + 1}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * @param {Object[]} rules - Rules
+ * @returns {string} The rules as JSON, for parseRulesJson()
+ */
+function exportRulesJson(rules) {
+  return JSON.stringify({ version: 1, rules }, null, 2);
+}
+
+/**
+ * Turns a rule into a tab predicate.
+ * @param {Object} rule - Rule
+ * @returns {Function|null} (tab) => boolean, or null for disabled and invalid rules
+ */
+function compileRule(rule) {
+  if (rule.enabled === false || getRuleError(rule)) return null;
+  const pattern = rule.pattern;
+  if (rule.match === 'title') {
+    const regex = new RegExp(pattern, 'i');
+    return tab => regex.test(tab.title || '');
+  }
+  if (rule.match === 'domain') {
+    const domain = pattern.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, '').replace(/^www\./, '');
+    return (tab) => {
+      const host = getUrlHost(tab.url || tab.pendingUrl || '').toLowerCase();
+      return host === domain || host.endsWith(`.${domain}`);
+    };
+  }
+  if (!pattern.includes('*')) {
+    const needle = pattern.toLowerCase();
+    return tab => (tab.url || tab.pendingUrl || '').toLowerCase().includes(needle);
+  }
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const regex = new RegExp(`^${escaped}$`, 'i');
+  return tab => regex.test(tab.url || tab.pendingUrl || '');
+}
+
+/**
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {boolean} True if the names are equal ignoring case and surrounding spaces
+ */
+function sameRuleName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Works out where the rules send each tab, without moving anything. Tabs
+ * already where their rule wants them are left out. Targets are looked up
+ * among windows of the tab's own kind (incognito or regular), since Chrome
+ * cannot move tabs between the two.
+ * @param {Object[]} windows - Populated normal Chrome windows
+ * @param {Object[]} rules - Rules in order
+ * @param {Map<number, Object>} identities - Result of resolveWindowIdentities()
+ * @param {Object[]} groups - Chrome tab groups
+ * @param {number[]|null} [tabIds=null] - Only plan these tabs
+ * @returns {Object[]} Moves {tabId, title, rule, target, name, windowId, groupId}: for a
+ *   window target, windowId is the named window or null for a new one; for a group
+ *   target, windowId is the group's window and groupId null for a new group
+ */
+function planRuleMoves(windows, rules, identities, groups, tabIds = null) {
+  const matchers = rules.map(compileRule);
+  const ownPages = chrome.runtime.getURL('');
+  const windowById = new Map(windows.map(w => [w.id, w]));
+  const newGroupWindows = new Map(); // group name -> window the new group goes to
+  const plan = [];
+  windows.forEach(win => {
+    win.tabs.forEach(tab => {
+      if (tabIds && !tabIds.includes(tab.id)) return;
+      if (tab.pinned || (tab.url || tab.pendingUrl || '').startsWith(ownPages)) return;
+      const index = matchers.findIndex(matches => matches && matches(tab));
+      if (index === -1) return;
+      const rule = rules[index];
+      const move = { tabId: tab.id, title: tab.title || tab.url || '', rule: index, target: rule.target, name: rule.name, windowId: null, groupId: null };
+      const sameKind = w => Boolean(w.incognito) === Boolean(win.incognito);
+
+      if (rule.target === 'window') {
+        const target = windows.find(w => sameKind(w) && identities.has(w.id) && sameRuleName(identities.get(w.id).name, rule.name));
+        if (target && target.id === win.id) return;
+        move.windowId = target ? target.id : null;
+      } else {
+        const inWindow = groups.find(g => g.windowId === win.id && sameRuleName(g.title, rule.name));
+        const group = inWindow || groups.find(g => windowById.has(g.windowId) && sameKind(windowById.get(g.windowId)) && sameRuleName(g.title, rule.name));
+        if (group && tab.groupId === group.id) return;
+        if (group) {
+          move.windowId = group.windowId;
+          move.groupId = group.id;
+        } else {
+          const key = `${win.incognito ? 'incognito' : 'regular'}:${rule.name.toLowerCase()}`;
+          if (!newGroupWindows.has(key)) newGroupWindows.set(key, win.id);
+          move.windowId = newGroupWindows.get(key);
+        }
+      }
+      plan.push(move);
+    });
+  });
+  return plan;
+}
+
+/**
+ * Describes a planned move for the previews, e.g. 'Board → window "Jira" (new)'.
+ * @param {Object} move - Entry of planRuleMoves()
+ * @returns {string}
+ */
+function describeRuleMove(move) {
+  const isNew = move.target === 'window' ? move.windowId === null : move.groupId === null;
+  return `${move.title} → ${move.target} "${move.name}"${isNew ? ' (new)' : ''}`;
+}
+
+/**
+ * Carries out planned moves: tabs for the same target are moved together;
+ * new windows are named and new groups titled after the rule.
+ * @async
+ * @param {Object[]} plan - Result of planRuleMoves()
+ * @returns {Promise<Object>} Operation result (see createOperationResult)
+ */
+async function applyRulePlan(plan) {
+  const result = createOperationResult();
+  const batches = new Map();
+  plan.forEach(move => {
+    const key = `${move.target}:${move.windowId}:${move.groupId}:${move.name.toLowerCase()}`;
+    if (!batches.has(key)) batches.set(key, { ...move, tabIds: [] });
+    batches.get(key).tabIds.push(move.tabId);
+  });
+
+  for (const batch of batches.values()) {
+    try {
+      if (batch.target === 'window') {
+        if (batch.windowId !== null) {
+          mergeOperationResults(result, await moveTabsToWindow(batch.tabIds, batch.windowId, 'keep'));
+          continue;
+        }
+        const created = await createWindowWithTabs(batch.tabIds, 'keep');
+        mergeOperationResults(result, created);
+        if (created.createdWindows.length) {
+          await setWindowIdentity(await chrome.windows.get(created.createdWindows[0], { populate: true }), { name: batch.name });
+        }
+        continue;
+      }
+      const moved = await moveTabsToWindow(batch.tabIds, batch.windowId, 'keep');
+      result.failed.push(...moved.failed);
+      const tabIds = batch.tabIds.filter(id => !moved.failed.some(f => f.tabId === id));
+      if (!tabIds.length) continue;
+      if (batch.groupId !== null) {
+        await chrome.tabs.group({ groupId: batch.groupId, tabIds });
+      } else {
+        const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: batch.windowId } });
+        await chrome.tabGroups.update(groupId, { title: batch.name });
+      }
+      result.moved.push(...tabIds);
+    } catch (err) {
+      batch.tabIds.filter(id => !result.moved.includes(id) && !result.failed.some(f => f.tabId === id))
+        .forEach(tabId => result.failed.push({ tabId, reason: describeError(err) }));
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies the rules to every tab in normal windows (or only to the given
+ * tabs), or with `dryRun` only works out what would move.
+ * @async
+ * @param {Object} [options={}]
+ * @param {number[]} [options.tabIds] - Only consider these tabs
+ * @param {boolean} [options.dryRun=false] - Plan without moving anything
+ * @returns {Promise<Object>} Operation result with the planned moves in `plan`
+ */
+async function runRules({ tabIds = null, dryRun = false } = {}) {
+  const rules = await loadRules();
+  if (!rules.some(rule => rule.enabled !== false)) return { ...createOperationResult(), plan: [] };
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const identities = await resolveWindowIdentities(windows);
+  const groups = chrome.tabGroups ? await chrome.tabGroups.query({}) : [];
+  const plan = planRuleMoves(windows, rules, identities, groups, tabIds);
+  if (dryRun || !plan.length) return { ...createOperationResult(), plan };
+  return { ...(await applyRulePlan(plan)), plan };
+}
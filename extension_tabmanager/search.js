@@ -0,0 +1,290 @@
+/**
+ * Live search across the tabs of every window in `windowsData`.
+ *
+ * Query syntax (terms are AND-ed; prefix any term with `-` to negate it):
+ * - plain words: fuzzy match against title and URL
+ * - "quoted phrase": exact substring of title or URL
+ * - /regex/flags: regular expression tested against title and URL
+ * - domain:example.com, title:foo, url:foo, window:<id>|active,
+ *   pinned:yes|no, audible:yes|no, muted:yes|no
+ */
+
+/**
+ * Current search query; while non-empty, renderWindowContent() shows search
+ * results grouped by window instead of the active window's tabs.
+ */
+let searchQuery = '';
+
+/**
+ * Parses a boolean operator value.
+ * @param {string} value - e.g. 'yes', 'no', 'true', 'false'
+ * @returns {boolean|null} Parsed value, or null if not recognized
+ */
+function parseBooleanValue(value) {
+  const v = value.toLowerCase();
+  if (['yes', 'y', 'true', '1', 'on'].includes(v)) return true;
+  if (['no', 'n', 'false', '0', 'off'].includes(v)) return false;
+  return null;
+}
+
+/**
+ * Splits a query into tokens and turns each into a predicate description.
+ * @param {string} query - Raw query text
+ * @returns {Object[]} Array of {type, value, negate} where type is 'fuzzy',
+ *   'phrase', 'regex' or an operator name
+ */
+function parseSearchQuery(query) {
+  const tokens = query.match(/-?[a-z]+:"[^"]*"|-?"[^"]*"?|-?\/(?:\\.|[^/])+\/[a-z]*|\S+/gi) || [];
+  const operators = ['domain', 'title', 'url', 'window', 'pinned', 'audible', 'muted'];
+
+  return tokens.map(raw => {
+    let token = raw;
+    let negate = false;
+    if (token.length > 1 && token[0] === '-') {
+      negate = true;
+      token = token.slice(1);
+    }
+
+    const op = token.match(/^([a-z]+):(.*)$/i);
+    if (op && operators.includes(op[1].toLowerCase())) {
+      return { type: op[1].toLowerCase(), value: op[2].replace(/^"|"$/g, ''), negate };
+    }
+
+    const re = token.match(/^\/((?:\\.|[^/])+)\/([a-z]*)$/);
+    if (re) {
+      try {
+        return { type: 'regex', value: new RegExp(re[1], re[2].replace(/[gy]/g, '')), negate };
+      } catch (e) {
+        return { type: 'phrase', value: token.toLowerCase(), negate };
+      }
+    }
+
+    if (token[0] === '"') {
+      return { type: 'phrase', value: token.replace(/^"|"$/g, '').toLowerCase(), negate };
+    }
+    return { type: 'fuzzy', value: token.toLowerCase(), negate };
+  }).filter(t => t.type === 'regex' || t.value !== '');
+}
+
+/**
+ * Scores a fuzzy match of `needle` in `haystack`. Substring matches score
+ * highest; otherwise the characters of the needle must appear in order and
+ * close together, with a bonus for consecutive characters and word starts.
+ * @param {string} needle - Lower-case search term
+ * @param {string} haystack - Text to search
+ * @returns {number} Score greater than 0 on match, 0 otherwise
+ */
+function fuzzyScore(needle, haystack) {
+  const text = haystack.toLowerCase();
+  const pos = text.indexOf(needle);
+  if (pos !== -1) {
+    return 100 + needle.length * 2 - Math.min(pos, 50) / 10;
+  }
+
+  let score = 0;
+  let ti = 0;
+  let first = -1;
+  let prev = -2;
+  for (const ch of needle) {
+    ti = text.indexOf(ch, ti);
+    if (ti === -1) return 0;
+    if (first === -1) first = ti;
+    score += 1;
+    if (ti === prev + 1) score += 3;
+    if (ti === 0 || /[\s/._\-?=&:]/.test(text[ti - 1])) score += 2;
+    prev = ti;
+    ti++;
+  }
+  // reject matches scattered over a long stretch of text
+  if (prev - first + 1 > needle.length * 4) return 0;
+  return score;
+}
+
+/**
+ * Returns the hostname of a URL, or '' if it cannot be parsed.
+ * @param {string} url - URL
+ * @returns {string}
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Tests a tab against parsed query terms.
+ * @param {Object} tab - Chrome tab
+ * @param {Object} win - Chrome window containing the tab
+ * @param {Object[]} terms - Result of parseSearchQuery()
+ * @returns {number} Match score (greater than 0) or 0 if the tab does not match
+ */
+function scoreTab(tab, win, terms) {
+  const title = tab.title || '';
+  const url = tab.url || tab.pendingUrl || '';
+  let total = 1;
+
+  for (const term of terms) {
+    let score = 0;
+    switch (term.type) {
+      case 'fuzzy':
+        score = Math.max(fuzzyScore(term.value, title) * 1.2, fuzzyScore(term.value, url));
+        break;
+      case 'phrase':
+        score = (title.toLowerCase().includes(term.value) || url.toLowerCase().includes(term.value)) ? 100 : 0;
+        break;
+      case 'regex':
+        score = (term.value.test(title) || term.value.test(url)) ? 50 : 0;
+        break;
+      case 'title':
+        score = fuzzyScore(term.value.toLowerCase(), title);
+        break;
+      case 'url':
+        score = fuzzyScore(term.value.toLowerCase(), url);
+        break;
+      case 'domain':
+        score = getHostname(url).includes(term.value.toLowerCase()) ? 10 : 0;
+        break;
+      case 'window': {
+        const v = term.value.toLowerCase();
+        const matches = (v === 'active' || v === 'current') ? win.id === activeWindowId : String(win.id) === v;
+        score = matches ? 10 : 0;
+        break;
+      }
+      case 'pinned':
+      case 'audible': {
+        const wanted = parseBooleanValue(term.value);
+        score = (wanted === null || !!tab[term.type] === wanted) ? 10 : 0;
+        break;
+      }
+      case 'muted': {
+        const wanted = parseBooleanValue(term.value);
+        const muted = !!(tab.mutedInfo && tab.mutedInfo.muted);
+        score = (wanted === null || muted === wanted) ? 10 : 0;
+        break;
+      }
+    }
+    if (term.negate) score = score > 0 ? 0 : 10;
+    if (score <= 0) return 0;
+    total += score;
+  }
+  return total;
+}
+
+/**
+ * Searches every window in `windowsData`.
+ * @param {string} query - Raw query text
+ * @returns {Object[]} Non-empty groups of {window, tabs} in window order, tabs
+ *   sorted by descending score (ties keep tab order)
+ */
+function searchTabs(query) {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) return [];
+  return windowsData.map(win => {
+    const scored = win.tabs
+      .map(tab => ({ tab, score: scoreTab(tab, win, terms) }))
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score || a.tab.index - b.tab.index);
+    return { window: win, tabs: scored.map(r => r.tab) };
+  }).filter(group => group.tabs.length > 0);
+}
+
+/**
+ * Returns the ids of every tab matching the current search query.
+ * @returns {number[]}
+ */
+function getSearchResultIds() {
+  return searchTabs(searchQuery).flatMap(group => group.tabs.map(t => t.id));
+}
+
+/**
+ * Window headers of the search results kept between renders: window id ->
+ * {el, signature}, see render.js
+ */
+const searchHeaderElements = new Map();
+
+/**
+ * Renders search results into the content area, grouped by window with a
+ * header per window. Cards are regular page cards so selection, marquee and
+ * move-drag keep working; headers and cards are kept by id between renders
+ * and the content area is patched, not rebuilt.
+ * @param {HTMLElement} contentArea - The window content element
+ * @returns {void}
+ */
+function renderSearchResults(contentArea) {
+  const groups = searchTabs(searchQuery);
+
+  if (groups.length === 0) {
+    contentArea.innerHTML = '<div class="empty-state">No matching tabs</div>';
+    contentArea.classList.remove('active');
+    return;
+  }
+  contentArea.classList.add('active');
+
+  patchChildren(contentArea, groups.flatMap(group => {
+    const label = `${getWindowLabel(group.window)} — ${group.tabs.length} of ${group.window.tabs.length} tabs`;
+    const header = keyedElement(searchHeaderElements, group.window.id, label, () => createSearchGroupHeader(group.window.id, label));
+    return [header, ...group.tabs.map(tab => getPageCard(tab, group.window.id))];
+  }));
+}
+
+/**
+ * Builds the header of one window's search results. Clicking it ends the
+ * search and shows the window.
+ * @param {number} windowId - Window id
+ * @param {string} label - Window label and number of matching tabs
+ * @returns {HTMLElement}
+ */
+function createSearchGroupHeader(windowId, label) {
+  const header = document.createElement('div');
+  header.className = 'search-group-header';
+  header.textContent = label;
+  header.title = 'Click to show this window';
+  header.addEventListener('click', () => {
+    activeWindowId = windowId;
+    searchQuery = '';
+    document.getElementById('tabSearch').value = '';
+    renderWindowContent();
+  });
+  return header;
+}
+
+/**
+ * Wires the search box in the window tabs bar. Typing filters live; Enter
+ * loads every result into the blue selection (Shift+Enter adds to it);
+ * Escape clears the search. Ctrl/Cmd+F or "/" focuses the box.
+ * @returns {void}
+ */
+function attachSearchBar() {
+  const input = document.getElementById('tabSearch');
+  if (!input) return;
+
+  input.addEventListener('input', () => {
+    searchQuery = input.value.trim();
+    renderWindowContent();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation(); // keep UI shortcuts out of the text field
+    if (e.key === 'Enter') {
+      const ids = getSearchResultIds();
+      blueSelection = e.shiftKey ? Array.from(new Set([...blueSelection, ...ids])) : ids;
+      renderWindowContent();
+    } else if (e.key === 'Escape') {
+      input.value = '';
+      searchQuery = '';
+      input.blur();
+      renderWindowContent();
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    const inField = e.target.closest && e.target.closest('input, textarea, select');
+    if (((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') || (e.key === '/' && !inField)) {
+      e.preventDefault();
+      input.focus();
+      input.select();
+    }
+  });
+}
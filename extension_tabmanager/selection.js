@@ -0,0 +1,281 @@
+/**
+ * Selection toolbar: shown while the blue selection is not empty, with the
+ * number of selected tabs and bulk actions on them (close, reload,
+ * duplicate, pin/unpin, mute/unmute, suspend, bookmark into a folder, copy
+ * URLs, move to another window). Invert and Same domain change the
+ * selection among the tabs in view: the search results, every lane of the
+ * overview, or the active window.
+ */
+
+/**
+ * @returns {Object[]} The selected tabs, in window order
+ */
+function getSelectedTabs() {
+  return windowsData.flatMap(w => w.tabs).filter(t => blueSelection.includes(t.id));
+}
+
+/**
+ * @returns {Object[]} The tabs shown in the content area
+ */
+function getTabsInView() {
+  const tabs = windowsData.flatMap(w => w.tabs);
+  if (searchQuery) {
+    const ids = getSearchResultIds();
+    return tabs.filter(t => ids.includes(t.id));
+  }
+  if (overviewMode) return tabs;
+  const win = windowsData.find(w => w.id === activeWindowId);
+  return win ? win.tabs : [];
+}
+
+/**
+ * @param {number} tabId - Tab id
+ * @returns {boolean} True if the tab can join the blue selection (it is not red or yellow)
+ */
+function isBlueSelectable(tabId) {
+  return !redSelection.includes(tabId) && !yellowSelection.includes(tabId);
+}
+
+/**
+ * Selects the tabs in view that are not selected, and unselects the others.
+ * @returns {void}
+ */
+function invertSelection() {
+  blueSelection = getTabsInView().map(t => t.id).filter(id => !blueSelection.includes(id) && isBlueSelectable(id));
+  renderWindowContent();
+}
+
+/**
+ * Adds the tabs in view whose domain is the domain of a selected tab.
+ * @returns {void}
+ */
+function selectSameDomain() {
+  const domains = new Set(getSelectedTabs().map(getTabDomain));
+  const added = getTabsInView().filter(t => domains.has(getTabDomain(t)) && isBlueSelectable(t.id)).map(t => t.id);
+  blueSelection = Array.from(new Set([...blueSelection, ...added]));
+  renderWindowContent();
+}
+
+/**
+ * @param {number} count - Number of tabs
+ * @returns {string} "1 tab" or "N tabs"
+ */
+function countTabs(count) {
+  return `${count} tab${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Runs a bulk action on the selected tabs, reports failures and refreshes.
+ * @async
+ * @param {string} label - Action name for the error message
+ * @param {Function} run - Async function given the selected tabs; may return a success message
+ * @returns {Promise<void>}
+ */
+async function runSelectionAction(label, run) {
+  const tabs = getSelectedTabs();
+  if (tabs.length === 0) {
+    showToast('No tabs selected');
+    return;
+  }
+  try {
+    const message = await run(tabs);
+    if (message) showToast(message, 'success');
+  } catch (err) {
+    console.error(`${label} failed:`, err);
+    showToast(`${label} failed: ${describeError(err)}`, 'error');
+  }
+  loadWindowsAndTabs();
+}
+
+/**
+ * Pins the selected tabs, or unpins them if they are all pinned. Recorded in
+ * the undo history.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function togglePinSelectedTabs() {
+  await runSelectionAction('Pin', async (tabs) => {
+    const pinned = !tabs.every(t => t.pinned);
+    const ids = tabs.map(t => t.id);
+    // each tab moves to the edge of the pinned tabs: unpinning back to front keeps their order
+    const order = pinned ? ids : ids.slice().reverse();
+    await recordOperation(pinned ? 'Pin tabs' : 'Unpin tabs', ids, async () => {
+      for (const id of order) await chrome.tabs.update(id, { pinned });
+    });
+  });
+}
+
+/**
+ * Mutes the selected tabs, or unmutes them if they are all muted.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function toggleMuteSelectedTabs() {
+  await runSelectionAction('Mute', async (tabs) => {
+    const muted = !tabs.every(t => t.mutedInfo && t.mutedInfo.muted);
+    for (const tab of tabs) await chrome.tabs.update(tab.id, { muted });
+  });
+}
+
+/**
+ * Reloads the selected tabs.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function reloadSelectedTabs() {
+  await runSelectionAction('Reload', async (tabs) => {
+    for (const tab of tabs) await chrome.tabs.reload(tab.id);
+    return `Reloaded ${countTabs(tabs.length)}`;
+  });
+}
+
+/**
+ * Duplicates the selected tabs; each copy opens next to its tab.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function duplicateSelectedTabs() {
+  await runSelectionAction('Duplicate', async (tabs) => {
+    for (const tab of tabs) await chrome.tabs.duplicate(tab.id);
+    return `Duplicated ${countTabs(tabs.length)}`;
+  });
+}
+
+/**
+ * Bookmarks the selected tabs into a folder of Other Bookmarks, asking for
+ * its name. A folder with that name is reused.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function bookmarkSelectedTabs() {
+  if (blueSelection.length === 0) {
+    showToast('No tabs selected');
+    return;
+  }
+  const name = await promptInPage('Bookmark the selected tabs into folder:', `Tabs ${new Date().toLocaleDateString()}`);
+  if (!name || !name.trim()) return;
+  const title = name.trim();
+  await runSelectionAction('Bookmark', async (tabs) => {
+    const existing = (await chrome.bookmarks.search({ title })).find(node => !node.url);
+    const folder = existing || await chrome.bookmarks.create({ title });
+    const pages = tabs.filter(t => t.url);
+    for (const tab of pages) await chrome.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+    return `Bookmarked ${countTabs(pages.length)} in "${title}"`;
+  });
+}
+
+/**
+ * Copies the URLs of the selected tabs to the clipboard, one per line.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function copySelectedUrls() {
+  await runSelectionAction('Copy URLs', async (tabs) => {
+    await navigator.clipboard.writeText(tabs.map(t => t.url).join('\n'));
+    return `Copied ${tabs.length} URL${tabs.length === 1 ? '' : 's'}`;
+  });
+}
+
+/**
+ * Moves the selected tabs to the end of a window, as one undoable step.
+ * @async
+ * @param {number} windowId - Target window
+ * @returns {Promise<void>}
+ */
+async function moveSelectedTabsTo(windowId) {
+  const tabIds = blueSelection.slice();
+  if (tabIds.length === 0) return;
+  try {
+    await runTabOperation('Move', { op: 'move', tabIds, windowId, index: -1 });
+  } catch (err) {
+    console.error('Move failed:', err);
+    showToast(`Move failed: ${describeError(err)}`, 'error');
+  }
+  blueSelection = [];
+  loadWindowsAndTabs();
+}
+
+/**
+ * Fills the Move to drop-down with the shown windows. Windows the selection
+ * cannot move to (see getDropBlockers) are disabled, with the reason.
+ * @param {HTMLSelectElement} select - #selectionMoveTarget
+ * @returns {void}
+ */
+function fillSelectionMoveTargets(select) {
+  const blockers = getDropBlockers(blueSelection);
+  const options = windowsData.map(win => ({
+    value: String(win.id),
+    label: `${getWindowLabel(win)} (${win.tabs.length})`,
+    blocker: blockers.get(win.id) || ''
+  }));
+  const signature = JSON.stringify(options);
+  if (select.dataset.signature === signature) return;
+  select.dataset.signature = signature;
+  select.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Move to…';
+  select.appendChild(placeholder);
+  options.forEach(({ value, label, blocker }) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    opt.disabled = Boolean(blocker);
+    if (blocker) opt.title = blocker;
+    select.appendChild(opt);
+  });
+  select.value = '';
+}
+
+/**
+ * Shows the toolbar while tabs are selected, with the count and the labels
+ * of the toggles for the current selection.
+ * @returns {void}
+ */
+function updateSelectionToolbar() {
+  const toolbar = document.getElementById('selectionToolbar');
+  if (!toolbar) return;
+  toolbar.hidden = blueSelection.length === 0;
+  if (toolbar.hidden) return;
+  const tabs = getSelectedTabs();
+  document.getElementById('selectionCount').textContent = `${countTabs(blueSelection.length)} selected`;
+  const allPinned = tabs.length > 0 && tabs.every(t => t.pinned);
+  const allMuted = tabs.length > 0 && tabs.every(t => t.mutedInfo && t.mutedInfo.muted);
+  document.getElementById('selectionPinBtn').textContent = allPinned ? 'Unpin' : 'Pin';
+  document.getElementById('selectionMuteBtn').textContent = allMuted ? 'Unmute' : 'Mute';
+  fillSelectionMoveTargets(document.getElementById('selectionMoveTarget'));
+}
+
+/**
+ * Wires the selection toolbar.
+ * @returns {void}
+ */
+function attachSelectionToolbar() {
+  const toolbar = document.getElementById('selectionToolbar');
+  if (!toolbar) return;
+  const actions = {
+    selectionCloseBtn: () => closeSelectedTabs(),
+    selectionReloadBtn: () => reloadSelectedTabs(),
+    selectionDuplicateBtn: () => duplicateSelectedTabs(),
+    selectionPinBtn: () => togglePinSelectedTabs(),
+    selectionMuteBtn: () => toggleMuteSelectedTabs(),
+    selectionSuspendBtn: () => suspendSelectedTabs(),
+    selectionBookmarkBtn: () => bookmarkSelectedTabs(),
+    selectionCopyBtn: () => copySelectedUrls(),
+    selectionInvertBtn: () => invertSelection(),
+    selectionSameDomainBtn: () => selectSameDomain(),
+    selectionClearBtn: () => { blueSelection = []; renderWindowContent(); }
+  };
+  Object.entries(actions).forEach(([id, run]) => {
+    document.getElementById(id).onclick = run;
+  });
+
+  const moveTarget = document.getElementById('selectionMoveTarget');
+  moveTarget.onchange = () => {
+    const windowId = Number(moveTarget.value);
+    moveTarget.value = '';
+    if (windowId) moveSelectedTabsTo(windowId);
+  };
+  moveTarget.onkeydown = (e) => e.stopPropagation(); // arrow keys pick a window, not a card
+  updateSelectionToolbar();
+}
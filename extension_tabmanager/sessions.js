@@ -0,0 +1,307 @@
+/**
+ * Import and export of tab sets. Exports the selected tabs, the active window
+ * or all windows from `windowsData` as JSON, a plain URL list, Markdown links
+ * or OneTab's "url | title" text, and imports the same formats into new or
+ * existing windows.
+ */
+
+/**
+ * Export formats offered in the Import/Export panel.
+ */
+const EXPORT_FORMATS = {
+  json: 'JSON',
+  urls: 'URL list',
+  markdown: 'Markdown links',
+  onetab: 'OneTab'
+};
+
+/**
+ * URL schemes that extensions may open with chrome.tabs.create. Anything else
+ * (chrome://, chrome-extension://, file://, javascript:, data: ...) is skipped
+ * on import.
+ */
+const IMPORTABLE_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Collects the tabs to export, grouped by window, from `windowsData`.
+ * @param {string} scope - 'selected' (blue selection), 'window' (active window) or 'all'
+ * @returns {Object[]} Array of {label, tabs: [{url, title, pinned}]}
+ */
+function collectExportWindows(scope) {
+  const toEntry = t => ({ url: t.url || t.pendingUrl || '', title: t.title || '', pinned: !!t.pinned });
+  return windowsData
+    .filter(w => scope !== 'window' || w.id === activeWindowId)
+    .map(w => ({
+      label: getWindowLabel(w),
+      tabs: w.tabs.filter(t => scope !== 'selected' || blueSelection.includes(t.id)).map(toEntry)
+    }))
+    .filter(w => w.tabs.length > 0);
+}
+
+/**
+ * Escapes characters that would break a Markdown link label.
+ * @param {string} text - Link text
+ * @returns {string}
+ */
+function escapeMarkdownLabel(text) {
+  return text.replace(/([\\[\]])/g, '\\$1');
+}
+
+/**
+ * Serializes windows to the given format. Text formats separate windows with
+ * a blank line (a heading per window for Markdown).
+ * @param {Object[]} windows - Result of collectExportWindows()
+ * @param {string} format - One of the keys of EXPORT_FORMATS
+ * @returns {string}
+ */
+function formatExport(windows, format) {
+  if (format === 'json') {
+    return JSON.stringify({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      windows: windows.map(w => ({ name: w.label, tabs: w.tabs }))
+    }, null, 2);
+  }
+
+  const blocks = windows.map(w => {
+    if (format === 'markdown') {
+      const heading = windows.length > 1 ? [`## ${w.label}`, ''] : [];
+      return heading.concat(w.tabs.map(t => `- [${escapeMarkdownLabel(t.title || t.url)}](${t.url.replace(/\)/g, '%29')})`)).join('\n');
+    }
+    if (format === 'onetab') {
+      return w.tabs.map(t => `${t.url} | ${t.title}`).join('\n');
+    }
+    return w.tabs.map(t => t.url).join('\n');
+  });
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Parses one line of a text import: Markdown link, OneTab "url | title" or a bare URL.
+ * @param {string} line - Trimmed, non-empty line
+ * @returns {{url: string, title: string}}
+ */
+function parseImportLine(line) {
+  const md = line.match(/^(?:[-*+]\s+)?\[((?:\\.|[^\]])*)\]\((\S+)\)$/);
+  if (md) return { url: md[2], title: md[1].replace(/\\(.)/g, '$1') };
+  const sep = line.indexOf(' | ');
+  if (sep !== -1) return { url: line.slice(0, sep).trim(), title: line.slice(sep + 3).trim() };
+  return { url: line, title: '' };
+}
+
+/**
+ * Turns one tab of a JSON import into {url, title, pinned}. Entries that are
+ * neither a URL string nor a tab object carry a skipReason instead, and their
+ * JSON as the url to report them by.
+ * @param {*} entry - Parsed JSON value
+ * @returns {{url: string, title: string, pinned: boolean, skipReason?: string}}
+ */
+function toImportTab(entry) {
+  if (typeof entry === 'string') return { url: entry, title: '', pinned: false };
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { url: JSON.stringify(entry), title: '', pinned: false, skipReason: 'not a tab' };
+  }
+  return { url: String(entry.url || ''), title: String(entry.title || ''), pinned: !!entry.pinned };
+}
+
+/**
+ * Parses imported text in any of the export formats. JSON may be our export
+ * object, an array of windows, or a flat array of tabs or URL strings.
+ * @param {string} text - Imported text
+ * @returns {Object[][]} Windows, each an array of {url, title, pinned}, see toImportTab()
+ * @throws {Error} If the text looks like JSON but cannot be parsed
+ */
+function parseImport(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  if (trimmed[0] === '{' || trimmed[0] === '[') {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error('Invalid JSON: ' + err.message);
+    }
+    const windows = Array.isArray(data) ? data : data.windows;
+    if (!Array.isArray(windows)) throw new Error('JSON has no windows');
+    // flat array of tabs/urls → a single window
+    if (windows.every(w => typeof w === 'string' || (w && w.url))) return [windows.map(toImportTab)];
+    return windows.map(w => (Array.isArray(w) ? w : (w && Array.isArray(w.tabs) ? w.tabs : [])).map(toImportTab)).filter(w => w.length);
+  }
+
+  const windows = [];
+  let current = [];
+  trimmed.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) {
+      if (current.length) windows.push(current);
+      current = [];
+      return;
+    }
+    const { url, title } = parseImportLine(line);
+    current.push({ url, title, pinned: false });
+  });
+  if (current.length) windows.push(current);
+  return windows;
+}
+
+/**
+ * Checks whether a URL can be opened by the extension.
+ * @param {string} url - URL to check
+ * @returns {string|null} Reason the URL is skipped, or null if it can be opened
+ */
+function importSkipReason(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'invalid URL';
+  }
+  if (!IMPORTABLE_PROTOCOLS.includes(parsed.protocol)) {
+    return `${parsed.protocol.replace(/:$/, '')} URLs cannot be opened by extensions`;
+  }
+  return null;
+}
+
+/**
+ * Opens imported tabs. With destination 'new' each imported window becomes a
+ * new browser window; otherwise every tab is appended to the given window.
+ * @async
+ * @param {string} text - Imported text
+ * @param {string|number} destination - 'new' or a window id
+ * @returns {Promise<{opened: number, skipped: {url: string, reason: string}[]}>}
+ */
+async function importTabs(text, destination) {
+  const windows = parseImport(text);
+  const skipped = [];
+  let opened = 0;
+
+  const valid = windows.map(tabs => tabs.filter(t => {
+    const reason = t.skipReason || importSkipReason(t.url);
+    if (reason) skipped.push({ url: t.url, reason });
+    return !reason;
+  })).filter(tabs => tabs.length);
+
+  for (const tabs of valid) {
+    let windowId = destination === 'new' ? null : Number(destination);
+    let rest = tabs;
+    if (windowId === null) {
+      try {
+        const win = await chrome.windows.create({ url: tabs[0].url, state: 'normal' });
+        windowId = win.id;
+        opened++;
+        if (tabs[0].pinned && win.tabs && win.tabs[0]) await chrome.tabs.update(win.tabs[0].id, { pinned: true });
+      } catch (err) {
+        skipped.push({ url: tabs[0].url, reason: err.message || 'could not create window' });
+        continue;
+      }
+      rest = tabs.slice(1);
+    }
+    for (const t of rest) {
+      try {
+        await chrome.tabs.create({ windowId, url: t.url, pinned: t.pinned, active: false });
+        opened++;
+      } catch (err) {
+        skipped.push({ url: t.url, reason: err.message || 'could not open tab' });
+      }
+    }
+  }
+  return { opened, skipped };
+}
+
+/**
+ * Wires the Import/Export panel: export scope/format selection, copy and
+ * download, file loading and import with a report of skipped URLs.
+ * @returns {void}
+ */
+function attachSessionPanel() {
+  const toggleBtn = document.getElementById('sessionsBtn');
+  const panel = document.getElementById('sessionPanel');
+  if (!toggleBtn || !panel) return;
+  const text = document.getElementById('sessionText');
+  const scopeSel = document.getElementById('exportScope');
+  const formatSel = document.getElementById('exportFormat');
+  const destSel = document.getElementById('importDestination');
+  const report = document.getElementById('sessionReport');
+  const fileInput = document.getElementById('importFile');
+
+  Object.entries(EXPORT_FORMATS).forEach(([value, label]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    formatSel.appendChild(opt);
+  });
+
+  toggleBtn.onclick = () => {
+    if (toggleControlPanel('sessionPanel')) fillImportDestinations(destSel);
+  };
+  text.onkeydown = (e) => e.stopPropagation(); // keep UI shortcuts out of the text area
+
+  document.getElementById('exportBtn').onclick = async () => {
+    const windows = collectExportWindows(scopeSel.value);
+    if (windows.length === 0) {
+      report.textContent = scopeSel.value === 'selected' ? 'No tabs selected' : 'Nothing to export';
+      return;
+    }
+    text.value = formatExport(windows, formatSel.value);
+    const count = windows.reduce((n, w) => n + w.tabs.length, 0);
+    try {
+      await navigator.clipboard.writeText(text.value);
+      report.textContent = `Exported ${count} tabs (copied to clipboard)`;
+    } catch (e) {
+      report.textContent = `Exported ${count} tabs`;
+    }
+  };
+
+  document.getElementById('downloadBtn').onclick = () => {
+    if (!text.value) return;
+    const ext = formatSel.value === 'json' ? 'json' : formatSel.value === 'markdown' ? 'md' : 'txt';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text.value], { type: 'text/plain' }));
+    link.download = `tabs-${new Date().toISOString().slice(0, 10)}.${ext}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  };
+
+  fileInput.onchange = async () => {
+    const file = fileInput.files && fileInput.files[0];
+    if (file) text.value = await file.text();
+    fileInput.value = '';
+  };
+
+  document.getElementById('importBtn').onclick = async () => {
+    try {
+      const { opened, skipped } = await importTabs(text.value, destSel.value);
+      report.textContent = `Opened ${opened} tabs` + (skipped.length ? `, skipped ${skipped.length}:` : '');
+      skipped.forEach(s => {
+        const line = document.createElement('div');
+        line.className = 'session-skipped';
+        line.textContent = `${s.url} — ${s.reason}`;
+        report.appendChild(line);
+      });
+      loadWindowsAndTabs();
+    } catch (err) {
+      console.error('Import failed:', err);
+      report.textContent = `Import failed: ${err.message}`;
+    }
+  };
+}
+
+/**
+ * Fills the import destination dropdown with "New windows" and every open window.
+ * @param {HTMLSelectElement} select - The destination select element
+ * @returns {void}
+ */
+function fillImportDestinations(select) {
+  const previous = select.value;
+  select.innerHTML = '';
+  const add = (value, label) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  };
+  add('new', 'New windows');
+  windowsData.forEach(w => add(String(w.id), `${getWindowLabel(w)} (${w.tabs.length})`));
+  if (Array.from(select.options).some(o => o.value === previous)) select.value = previous;
+}
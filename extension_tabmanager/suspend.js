@@ -0,0 +1,170 @@
+/**
+ * Tab suspension: discarding tabs with chrome.tabs.discard to free their
+ * memory (the tab stays in its window and reloads when activated), and the
+ * auto-suspend policy the service worker applies on a chrome.alarms timer.
+ * Shared by the UI (ui.html) and the service worker (via importScripts).
+ *
+ * Nothing in here touches the DOM or UI state.
+ */
+
+const AUTO_SUSPEND_ALARM = 'auto-suspend';
+const AUTO_SUSPEND_PERIOD_MINUTES = 5;
+
+/**
+ * Auto-suspend policy, stored in chrome.storage.sync as `suspendPolicy`:
+ * - enabled: whether the service worker suspends idle tabs
+ * - idleMinutes: how long a tab must go unused before it is suspended
+ * - whitelist: domains never suspended (subdomains included)
+ * - skipAudible / skipPinned: leave tabs playing sound / pinned tabs alone
+ */
+const DEFAULT_SUSPEND_POLICY = {
+  enabled: false,
+  idleMinutes: 60,
+  whitelist: [],
+  skipAudible: true,
+  skipPinned: true
+};
+
+/**
+ * Reads the auto-suspend policy from storage.
+ * @async
+ * @returns {Promise<Object>} See DEFAULT_SUSPEND_POLICY
+ */
+async function loadSuspendPolicy() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ suspendPolicy: DEFAULT_SUSPEND_POLICY }, (items) => {
+      resolve({ ...DEFAULT_SUSPEND_POLICY, ...items.suspendPolicy });
+    });
+  });
+}
+
+/**
+ * Parses the whitelist as typed in the options page: one domain per line (or
+ * separated by commas/spaces), with or without scheme and "www.".
+ * @param {string} text - Whitelist text
+ * @returns {string[]} Lower-case domains
+ */
+function parseSuspendWhitelist(text) {
+  return Array.from(new Set(String(text || '')
+    .split(/[\s,]+/)
+    .map(d => d.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, '').replace(/^www\./, ''))
+    .filter(Boolean)));
+}
+
+/**
+ * @param {Object} tab - Chrome tab
+ * @param {string[]} whitelist - Domains never suspended
+ * @returns {boolean} True if the tab's host is a whitelisted domain or one of its subdomains
+ */
+function isTabWhitelisted(tab, whitelist) {
+  let host = '';
+  try { host = new URL(tab.url || tab.pendingUrl || '').hostname.toLowerCase(); } catch (e) { return false; }
+  return whitelist.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Returns why a tab cannot be suspended right now, or null if it can.
+ * @param {Object} tab - Chrome tab
+ * @returns {string|null}
+ */
+function getSuspendBlocker(tab) {
+  if (tab.discarded) return 'Already suspended';
+  if (tab.active) return 'Active tabs cannot be suspended';
+  return null;
+}
+
+/**
+ * Suspends (discards) tabs. Tabs that are active, already suspended or that
+ * Chrome refuses to discard are reported with the reason.
+ * @async
+ * @param {number[]} tabIds - Tabs to suspend
+ * @returns {Promise<Object>} {suspended: tab ids, failed: [{tabId, reason}]}
+ */
+async function suspendTabs(tabIds) {
+  const result = { suspended: [], failed: [] };
+  for (const id of tabIds) {
+    try {
+      const tab = await chrome.tabs.get(id);
+      const blocker = getSuspendBlocker(tab);
+      if (blocker) {
+        result.failed.push({ tabId: id, reason: blocker });
+        continue;
+      }
+      await chrome.tabs.discard(id);
+      result.suspended.push(id);
+    } catch (err) {
+      result.failed.push({ tabId: id, reason: describeError(err) });
+    }
+  }
+  return result;
+}
+
+/**
+ * Reloads every suspended tab of a window.
+ * @async
+ * @param {number} windowId - Window id
+ * @returns {Promise<number>} How many tabs were reloaded
+ */
+async function reloadSuspendedTabs(windowId) {
+  const tabs = await chrome.tabs.query({ windowId, discarded: true });
+  let reloaded = 0;
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.reload(tab.id);
+      reloaded++;
+    } catch (err) {
+      console.error('Reloading suspended tab failed:', err);
+    }
+  }
+  return reloaded;
+}
+
+/**
+ * Picks the tabs the auto-suspend policy would suspend: inactive tabs not
+ * used for `idleMinutes`, except whitelisted domains and (if so configured)
+ * audible and pinned tabs.
+ * @param {Object[]} tabs - Chrome tabs
+ * @param {Object} policy - See DEFAULT_SUSPEND_POLICY
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {Object[]} Tabs to suspend
+ */
+function getAutoSuspendCandidates(tabs, policy, now = Date.now()) {
+  const cutoff = now - policy.idleMinutes * 60 * 1000;
+  return tabs.filter(tab => {
+    if (getSuspendBlocker(tab)) return false;
+    if (policy.skipAudible && tab.audible) return false;
+    if (policy.skipPinned && tab.pinned) return false;
+    if (typeof tab.lastAccessed !== 'number' || tab.lastAccessed > cutoff) return false;
+    if (!/^https?:/.test(tab.url || '')) return false;
+    return !isTabWhitelisted(tab, policy.whitelist);
+  });
+}
+
+/**
+ * Applies the auto-suspend policy to every tab, if it is enabled.
+ * @async
+ * @returns {Promise<Object>} Result of suspendTabs (empty if the policy is off)
+ */
+async function runAutoSuspend() {
+  const policy = await loadSuspendPolicy();
+  if (!policy.enabled) return { suspended: [], failed: [] };
+  const tabs = await chrome.tabs.query({});
+  return suspendTabs(getAutoSuspendCandidates(tabs, policy).map(t => t.id));
+}
+
+/**
+ * Creates the auto-suspend alarm if the policy is enabled, or clears it.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function syncAutoSuspendAlarm() {
+  const policy = await loadSuspendPolicy();
+  if (!policy.enabled) {
+    await chrome.alarms.clear(AUTO_SUSPEND_ALARM);
+    return;
+  }
+  const existing = await chrome.alarms.get(AUTO_SUSPEND_ALARM);
+  if (!existing) {
+    await chrome.alarms.create(AUTO_SUSPEND_ALARM, { periodInMinutes: AUTO_SUSPEND_PERIOD_MINUTES });
+  }
+}
@@ -0,0 +1,504 @@
+/**
+ * Tab operations shared by the UI (ui.html) and the service worker
+ * (background.js, via importScripts): moving tabs between windows with
+ * pinned-tab handling, creating windows from tabs, merging windows, and
+ * preserving tab group membership across moves (chrome.tabs.move and
+ * chrome.windows.create({tabId}) drop tabs out of their group).
+ *
+ * Nothing in here touches the DOM or UI state.
+ */
+
+/**
+ * How pinned tabs are treated by each operation (merge, split, move-drag):
+ * - 'keep': stay pinned and are placed at the end of the target's pinned tabs
+ * - 'unpin': are unpinned before being moved
+ * - 'leave': are not moved at all
+ */
+const DEFAULT_PINNED_HANDLING = { merge: 'keep', split: 'keep', move: 'keep' };
+
+/**
+ * Reads the pinned-tab handling settings from storage.
+ * @async
+ * @returns {Promise<Object>} {merge, split, move}
+ */
+async function loadPinnedHandling() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ pinnedHandling: DEFAULT_PINNED_HANDLING }, (items) => {
+      resolve({ ...DEFAULT_PINNED_HANDLING, ...items.pinnedHandling });
+    });
+  });
+}
+
+/**
+ * Reads whether tabs that cannot move between an incognito and a regular
+ * window are reopened there by URL instead (and closed where they were).
+ * @async
+ * @returns {Promise<boolean>}
+ */
+async function loadReopenAcrossProfiles() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ reopenAcrossProfiles: false }, (items) => {
+      resolve(Boolean(items.reopenAcrossProfiles));
+    });
+  });
+}
+
+/**
+ * @param {Object} tab - Chrome tab
+ * @returns {boolean} True if the tab belongs to a group
+ */
+function isGroupedTab(tab) {
+  return typeof tab.groupId === 'number' && tab.groupId !== -1;
+}
+
+/**
+ * Records which group each of the given tabs belongs to, with the group's
+ * window, title, color and collapsed state.
+ * @async
+ * @param {number[]} tabIds - Tabs about to be moved
+ * @returns {Promise<Object[]>} Array of {groupId, windowId, title, color, collapsed, tabIds}
+ */
+async function captureGroupMembership(tabIds) {
+  if (!chrome.tabGroups) return [];
+  const byGroup = new Map();
+  for (const id of tabIds) {
+    let tab;
+    try { tab = await chrome.tabs.get(id); } catch (e) { continue; }
+    if (!isGroupedTab(tab)) continue;
+    if (!byGroup.has(tab.groupId)) {
+      try {
+        const group = await chrome.tabGroups.get(tab.groupId);
+        byGroup.set(tab.groupId, { groupId: group.id, windowId: group.windowId, title: group.title, color: group.color, collapsed: group.collapsed, tabIds: [] });
+      } catch (e) {
+        continue;
+      }
+    }
+    byGroup.get(tab.groupId).tabIds.push(id);
+  }
+  return Array.from(byGroup.values());
+}
+
+/**
+ * Puts tabs that lost their group by moving to another window back into a
+ * group. Tabs that stayed in their window keep whatever group Chrome gave
+ * them. In each target window one group is recreated per original group with
+ * the same title and color (or the original group is reused if it lives there).
+ * @async
+ * @param {Object[]} membership - Result of captureGroupMembership()
+ * @returns {Promise<void>}
+ */
+async function restoreGroupMembership(membership) {
+  for (const info of membership) {
+    const byWindow = new Map();
+    for (const id of info.tabIds) {
+      let tab;
+      try { tab = await chrome.tabs.get(id); } catch (e) { continue; }
+      if (tab.windowId === info.windowId || isGroupedTab(tab)) continue;
+      if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+      byWindow.get(tab.windowId).push(tab.id);
+    }
+
+    for (const [windowId, ids] of byWindow) {
+      try {
+        let existing = null;
+        try { existing = await chrome.tabGroups.get(info.groupId); } catch (e) {}
+        if (existing && existing.windowId === windowId) {
+          await chrome.tabs.group({ groupId: existing.id, tabIds: ids });
+        } else {
+          const groupId = await chrome.tabs.group({ tabIds: ids, createProperties: { windowId } });
+          await chrome.tabGroups.update(groupId, { title: info.title, color: info.color, collapsed: info.collapsed });
+        }
+      } catch (err) {
+        console.error('Restoring group membership failed:', err);
+      }
+    }
+  }
+}
+
+/**
+ * Runs a move operation and then restores the group membership of the moved
+ * tabs in their new windows.
+ * @async
+ * @param {number[]} tabIds - Tabs the operation moves
+ * @param {Function} run - Async function performing the moves
+ * @returns {Promise<*>} Whatever `run` resolves to
+ */
+async function withGroupsPreserved(tabIds, run) {
+  const membership = await captureGroupMembership(tabIds);
+  try {
+    return await run();
+  } finally {
+    await restoreGroupMembership(membership);
+  }
+}
+
+/**
+ * Creates an empty operation result. Every tab operation resolves to one:
+ * - moved: ids of the tabs that ended up where they were sent
+ * - failed: {tabId, reason} for tabs that could not be moved
+ * - createdWindows: ids of the windows the operation created
+ * - reopened: {tabId, newTabId} for tabs reopened by URL in another profile
+ *   (see the reopenAcrossProfiles option of moveTabsToWindow)
+ * Tabs skipped on purpose (pinned tabs in 'leave' mode) appear in none of the lists.
+ * @returns {Object} {moved, failed, createdWindows, reopened}
+ */
+function createOperationResult() {
+  return { moved: [], failed: [], createdWindows: [], reopened: [] };
+}
+
+/**
+ * Appends the lists of one operation result to another.
+ * @param {Object} target - Result to extend
+ * @param {Object} source - Result to append
+ * @returns {Object} The target result
+ */
+function mergeOperationResults(target, source) {
+  target.moved.push(...source.moved);
+  target.failed.push(...source.failed);
+  target.createdWindows.push(...source.createdWindows);
+  target.reopened.push(...source.reopened);
+  return target;
+}
+
+/**
+ * @param {*} err - Error thrown by a Chrome API call
+ * @returns {string} A message suitable for an operation result
+ */
+function describeError(err) {
+  return (err && err.message) || String(err);
+}
+
+/**
+ * Merges all tabs from a source window into a target window.
+ * Moves all tabs from the source to the end of the target and focuses the target.
+ * Grouped tabs are regrouped in the target window.
+ * @async
+ * @param {number} targetWindowId - The window to merge tabs into
+ * @param {number} sourceWindowId - The window to move tabs from
+ * @param {string} [pinnedMode='keep'] - 'keep', 'unpin' or 'leave'
+ * @param {Object} [options={}] - Move options, see moveTabsToWindow
+ * @returns {Promise<Object>} Operation result (see createOperationResult)
+ */
+async function mergeFromWindow(targetWindowId, sourceWindowId, pinnedMode = 'keep', options = {}) {
+  if (sourceWindowId === targetWindowId) return createOperationResult();
+  const source = await chrome.windows.get(sourceWindowId, { populate: true });
+  const tabIds = source.tabs.map(t => t.id).filter(Boolean);
+  if (tabIds.length === 0) return createOperationResult();
+  // Move all tabs to end of target window
+  const result = await withGroupsPreserved(tabIds, () => moveTabsToWindow(tabIds, targetWindowId, pinnedMode, -1, options));
+  // Optional: focus the target window after merge
+  await chrome.windows.update(targetWindowId, { focused: true });
+  return result;
+}
+
+/**
+ * Merges every other window into the target window, one window at a time,
+ * and focuses the target. A window whose tabs cannot be moved does not stop
+ * the others; its tabs are reported as failed.
+ * @async
+ * @param {number} targetWindowId - The window to merge tabs into
+ * @param {string} [pinnedMode='keep'] - 'keep', 'unpin' or 'leave'
+ * @param {Object} [options={}] - Move options, see moveTabsToWindow
+ * @returns {Promise<Object>} Operation result (see createOperationResult)
+ */
+async function mergeAllWindows(targetWindowId, pinnedMode = 'keep', options = {}) {
+  const result = createOperationResult();
+  const windows = await chrome.windows.getAll({ populate: true });
+  for (const win of windows.sort((a, b) => a.id - b.id)) {
+    if (win.id === targetWindowId) continue;
+    const tabIds = win.tabs.map(t => t.id).filter(Boolean);
+    if (tabIds.length === 0) continue;
+    try {
+      mergeOperationResults(result, await withGroupsPreserved(tabIds, () => moveTabsToWindow(tabIds, targetWindowId, pinnedMode, -1, options)));
+    } catch (err) {
+      tabIds.forEach(tabId => result.failed.push({ tabId, reason: describeError(err) }));
+    }
+  }
+  await chrome.windows.update(targetWindowId, { focused: true });
+  return result;
+}
+
+/**
+ * Returns why tabs of one window cannot be moved into another, or null if
+ * they can. Chrome only moves tabs between normal windows, and never between
+ * an incognito and a regular window.
+ * @param {Object} sourceWindow - Chrome window the tab is in
+ * @param {Object|null} targetWindow - Chrome window it goes to, or null for a new window
+ * @returns {string|null}
+ */
+function getMoveBlocker(sourceWindow, targetWindow) {
+  if (sourceWindow.type !== 'normal') return `Tabs in ${sourceWindow.type} windows cannot be moved`;
+  if (!targetWindow) return null;
+  if (targetWindow.type !== 'normal') return `Tabs cannot be moved into a ${targetWindow.type} window`;
+  if (isProfileMismatch(sourceWindow, targetWindow)) return 'Tabs cannot be moved between incognito and regular windows';
+  return null;
+}
+
+/**
+ * @param {Object} sourceWindow - Chrome window the tab is in
+ * @param {Object} targetWindow - Chrome window it goes to
+ * @returns {boolean} True if one window is incognito and the other is not
+ */
+function isProfileMismatch(sourceWindow, targetWindow) {
+  return Boolean(sourceWindow.incognito) !== Boolean(targetWindow.incognito);
+}
+
+/**
+ * Tells whether only the incognito boundary keeps tabs from moving between
+ * two windows, so that they can be reopened there by URL instead.
+ * @param {Object} sourceWindow - Chrome window the tab is in
+ * @param {Object|null} targetWindow - Chrome window it goes to
+ * @returns {boolean}
+ */
+function canReopenAcrossProfiles(sourceWindow, targetWindow) {
+  return Boolean(targetWindow) && sourceWindow.type === 'normal' && targetWindow.type === 'normal' &&
+    isProfileMismatch(sourceWindow, targetWindow);
+}
+
+/**
+ * Looks up the given tabs and applies a pinned-tab mode: 'leave' drops
+ * pinned tabs, 'unpin' unpins them. Tabs that no longer exist, sit in a
+ * window they cannot leave (see getMoveBlocker) or cannot be unpinned are
+ * reported as failed. With `reopenAcrossProfiles`, tabs that are only
+ * blocked by the incognito/regular boundary are returned in `reopen`.
+ * @async
+ * @param {number[]} tabIds - Tabs about to be moved
+ * @param {string} pinnedMode - 'keep', 'unpin' or 'leave'
+ * @param {number|null} [targetWindowId=null] - Window the tabs go to, or null for a new window
+ * @param {boolean} [reopenAcrossProfiles=false] - Collect cross-profile tabs in `reopen` instead of failing them
+ * @returns {Promise<Object>} {tabs, reopen, failed}: the tabs to move and to reopen in the given order, and {tabId, reason} failures
+ */
+async function prepareTabsForMove(tabIds, pinnedMode, targetWindowId = null, reopenAcrossProfiles = false) {
+  const tabs = [];
+  const reopen = [];
+  const failed = [];
+  const windows = new Map();
+  const getWindow = async (windowId) => {
+    if (!windows.has(windowId)) windows.set(windowId, await chrome.windows.get(windowId));
+    return windows.get(windowId);
+  };
+  const target = targetWindowId === null ? null : await getWindow(targetWindowId);
+  for (const id of tabIds) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(id);
+    } catch (e) {
+      failed.push({ tabId: id, reason: 'Tab no longer exists' });
+      continue;
+    }
+    if (tab.windowId === targetWindowId) {
+      tabs.push(tab);
+      continue;
+    }
+    const source = await getWindow(tab.windowId);
+    const blocker = getMoveBlocker(source, target);
+    if (!blocker) tabs.push(tab);
+    else if (reopenAcrossProfiles && canReopenAcrossProfiles(source, target)) reopen.push(tab);
+    else failed.push({ tabId: id, reason: blocker });
+  }
+  if (pinnedMode === 'leave') return { tabs: tabs.filter(t => !t.pinned), reopen: reopen.filter(t => !t.pinned), failed };
+  if (pinnedMode === 'unpin') {
+    for (const tab of tabs.slice()) {
+      if (!tab.pinned) continue;
+      try {
+        await chrome.tabs.update(tab.id, { pinned: false });
+        tab.pinned = false;
+      } catch (err) {
+        tabs.splice(tabs.indexOf(tab), 1);
+        failed.push({ tabId: tab.id, reason: describeError(err) });
+      }
+    }
+    reopen.forEach(tab => { tab.pinned = false; });
+  }
+  return { tabs, reopen, failed };
+}
+
+/**
+ * Reopens tabs by URL at the end of a window of the other profile and closes
+ * the originals. Only the URL and pinned state carry over; history, form
+ * data and group membership are lost.
+ * @async
+ * @param {Object[]} tabs - Chrome tabs to reopen, in order
+ * @param {number} windowId - Target window
+ * @param {Object} result - Operation result to record reopened and failed tabs in
+ * @returns {Promise<void>}
+ */
+async function reopenTabsInWindow(tabs, windowId, result) {
+  for (const tab of tabs) {
+    let created;
+    try {
+      created = await chrome.tabs.create({ windowId, url: tab.url, pinned: tab.pinned, active: false });
+    } catch (err) {
+      result.failed.push({ tabId: tab.id, reason: `Could not reopen: ${describeError(err)}` });
+      continue;
+    }
+    try {
+      await chrome.tabs.remove(tab.id);
+    } catch (err) {
+      // the original was closed meanwhile; the copy stays
+    }
+    result.reopened.push({ tabId: tab.id, newTabId: created.id });
+  }
+}
+
+/**
+ * Moves tabs with one batched chrome.tabs.move call. A single bad tab fails
+ * the whole batch, so on error the tabs are retried one by one to find out
+ * which of them cannot be moved.
+ * @async
+ * @param {number[]} tabIds - Tabs to move, in order
+ * @param {number} windowId - Target window
+ * @param {number} index - Target index, or -1 for the end
+ * @param {Object} result - Operation result to record moved and failed tabs in
+ * @returns {Promise<void>}
+ */
+async function moveTabsBatched(tabIds, windowId, index, result) {
+  try {
+    await chrome.tabs.move(tabIds, { windowId, index });
+    result.moved.push(...tabIds);
+    return;
+  } catch (err) {
+    if (tabIds.length === 1) {
+      result.failed.push({ tabId: tabIds[0], reason: describeError(err) });
+      return;
+    }
+  }
+  let next = index;
+  for (const id of tabIds) {
+    try {
+      await chrome.tabs.move(id, { windowId, index: next });
+      result.moved.push(id);
+      if (next !== -1) next++;
+    } catch (err) {
+      result.failed.push({ tabId: id, reason: describeError(err) });
+    }
+  }
+}
+
+/**
+ * Tells whether any of the tabs already sits in the window in front of the
+ * place where the block should start, i.e. before the `index`-th tab that
+ * is not being moved.
+ * @async
+ * @param {number[]} tabIds - Tabs to move
+ * @param {number} windowId - Target window
+ * @param {number} index - Index the first of the tabs should end up at
+ * @returns {Promise<boolean>}
+ */
+async function hasTabsBeforeBlock(tabIds, windowId, index) {
+  const strip = (await chrome.tabs.query({ windowId })).sort((a, b) => a.index - b.index).map(t => t.id);
+  const rest = strip.filter(id => !tabIds.includes(id));
+  const anchor = index < rest.length ? strip.indexOf(rest[index]) : strip.length;
+  return tabIds.some(id => {
+    const at = strip.indexOf(id);
+    return at !== -1 && at < anchor;
+  });
+}
+
+/**
+ * Moves tabs so that they end up side by side, in the given order, with the
+ * first one at `index`. chrome.tabs.move places the tabs of a batch one at a
+ * time, each at its final index, which scatters them when some already sit
+ * in the window in front of that index. Such tabs are first parked at the
+ * end of the window; from there one batched move keeps them together.
+ * @async
+ * @param {number[]} tabIds - Tabs to move, in order
+ * @param {number} windowId - Target window
+ * @param {number} index - Target index, or -1 for the end
+ * @param {Object} result - Operation result to record moved and failed tabs in
+ * @returns {Promise<void>}
+ */
+async function moveTabBatch(tabIds, windowId, index, result) {
+  let ids = tabIds;
+  if (index !== -1 && await hasTabsBeforeBlock(tabIds, windowId, index)) {
+    const parked = createOperationResult();
+    await moveTabsBatched(ids, windowId, -1, parked);
+    result.failed.push(...parked.failed);
+    ids = parked.moved;
+    if (ids.length === 0) return;
+  }
+  await moveTabsBatched(ids, windowId, index, result);
+}
+
+/**
+ * Moves tabs into a window honoring a pinned-tab mode. Pinned tabs that are
+ * kept are moved separately to the end of the target's pinned tabs (or to
+ * `index` if it falls inside them); unpinned tabs go to `index`. `index` is
+ * counted among the target's tabs that are not being moved, so the tabs land
+ * right after the first `index` of those.
+ *
+ * Chrome cannot move tabs between incognito and regular windows. With the
+ * `reopenAcrossProfiles` option such tabs are reopened by URL at the end of
+ * the target window instead (see reopenTabsInWindow); otherwise they fail.
+ * @async
+ * @param {number[]} tabIds - Tabs to move, in order
+ * @param {number} windowId - Target window
+ * @param {string} pinnedMode - 'keep', 'unpin' or 'leave'
+ * @param {number} [index=-1] - Target index, or -1 for the end
+ * @param {Object} [options={}] - {reopenAcrossProfiles}
+ * @returns {Promise<Object>} Operation result (see createOperationResult)
+ */
+async function moveTabsToWindow(tabIds, windowId, pinnedMode, index = -1, options = {}) {
+  const { tabs, reopen, failed } = await prepareTabsForMove(tabIds, pinnedMode, windowId, Boolean(options.reopenAcrossProfiles));
+  const result = createOperationResult();
+  result.failed.push(...failed);
+  const pinnedIds = tabs.filter(t => t.pinned).map(t => t.id);
+  const unpinnedIds = tabs.filter(t => !t.pinned).map(t => t.id);
+  let unpinnedIndex = index;
+
+  if (pinnedIds.length) {
+    const targetPinned = await chrome.tabs.query({ windowId, pinned: true });
+    const pinnedCount = targetPinned.filter(t => !pinnedIds.includes(t.id)).length;
+    const pinnedIndex = index !== -1 && index < pinnedCount ? index : pinnedCount;
+    await moveTabBatch(pinnedIds, windowId, pinnedIndex, result);
+    // `index` counts only tabs that stay put; the moved pinned tabs end up
+    // in front of the unpinned ones and shift their insertion point
+    const movedPinned = pinnedIds.filter(id => result.moved.includes(id)).length;
+    if (unpinnedIndex !== -1) unpinnedIndex += movedPinned;
+  }
+  if (unpinnedIds.length) {
+    await moveTabBatch(unpinnedIds, windowId, unpinnedIndex, result);
+  }
+  if (reopen.length) {
+    await reopenTabsInWindow(reopen, windowId, result);
+  }
+  return result;
+}
+
+/**
+ * Creates a new window from the first of the given tabs and moves the rest
+ * into it, honoring a pinned-tab mode. chrome.windows.create({tabId}) unpins
+ * the tab, so a kept pinned first tab is re-pinned afterwards. If a tab
+ * cannot seed the window, the next one is tried.
+ * @async
+ * @param {number[]} tabIds - Tabs for the new window, in order
+ * @param {string} pinnedMode - 'keep', 'unpin' or 'leave'
+ * @param {Object} [options={}] - Move options for the tabs after the first, see moveTabsToWindow
+ * @returns {Promise<Object>} Operation result; createdWindows is empty if no tab was left to move
+ */
+async function createWindowWithTabs(tabIds, pinnedMode, options = {}) {
+  const { tabs, failed } = await prepareTabsForMove(tabIds, pinnedMode);
+  const result = createOperationResult();
+  result.failed.push(...failed);
+
+  let newWin = null;
+  while (tabs.length && !newWin) {
+    const first = tabs.shift();
+    try {
+      newWin = await chrome.windows.create({ tabId: first.id, state: 'normal' });
+    } catch (err) {
+      result.failed.push({ tabId: first.id, reason: describeError(err) });
+      continue;
+    }
+    result.moved.push(first.id);
+    result.createdWindows.push(newWin.id);
+    if (first.pinned) {
+      await chrome.tabs.update(first.id, { pinned: true });
+    }
+  }
+  if (newWin && tabs.length) {
+    // pinned handling was already applied; the remaining pinned tabs are kept
+    mergeOperationResults(result, await moveTabsToWindow(tabs.map(t => t.id), newWin.id, 'keep', -1, options));
+  }
+  return result;
+}
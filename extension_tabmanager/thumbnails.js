@@ -0,0 +1,262 @@
+/**
+ * Page thumbnails: the service worker captures the visible part of a tab
+ * with chrome.tabs.captureVisibleTab when it becomes active (or finishes
+ * loading while active), scales it down and keeps it in IndexedDB, which the
+ * UI reads to show thumbnails on page cards. The store is kept under
+ * THUMBNAIL_LIMITS by dropping the oldest captures, and thumbnails of closed
+ * tabs are dropped. Incognito tabs are never captured. Capturing is off until
+ * it is turned on on the options page (thumbnailsEnabled in chrome.storage.sync),
+ * which asks for the optional host access captureVisibleTab needs; turning it
+ * off clears the store.
+ * Shared by the UI (ui.html) and the service worker (via importScripts).
+ */
+
+const THUMBNAIL_DB_NAME = 'thumbnails';
+const THUMBNAIL_STORE = 'thumbnails';
+const THUMBNAILS_ENABLED_KEY = 'thumbnailsEnabled';
+
+/**
+ * Optional host access (optional_host_permissions in manifest.json) that
+ * chrome.tabs.captureVisibleTab needs
+ */
+const THUMBNAIL_PERMISSIONS = { origins: ['<all_urls>'] };
+
+/**
+ * Size and JPEG quality of a stored thumbnail, and the most the store may hold
+ */
+const THUMBNAIL_SIZE = { width: 320, height: 200 };
+const THUMBNAIL_QUALITY = 0.6;
+const THUMBNAIL_LIMITS = { maxCount: 500, maxBytes: 20 * 1024 * 1024 };
+
+/**
+ * A capture waits this long after its tab became active, so the page has been
+ * painted; Chrome also allows only two captures per second.
+ */
+const THUMBNAIL_CAPTURE_DELAY_MS = 600;
+
+let thumbnailDb = null;
+const thumbnailCaptureTimers = new Map();
+
+/**
+ * Thumbnails shown by the UI: tab id -> {url, capturedAt, src} where src is an
+ * object URL of the stored image and url the page it was captured from
+ */
+const thumbnailUrls = new Map();
+
+/**
+ * Reads whether thumbnails are captured (off unless turned on).
+ * @async
+ * @returns {Promise<boolean>}
+ */
+async function loadThumbnailsEnabled() {
+  const items = await chrome.storage.sync.get({ [THUMBNAILS_ENABLED_KEY]: false });
+  return Boolean(items[THUMBNAILS_ENABLED_KEY]);
+}
+
+/**
+ * @async
+ * @returns {Promise<boolean>} True if the user has granted THUMBNAIL_PERMISSIONS
+ */
+async function hasThumbnailPermissions() {
+  if (!chrome.permissions) return false;
+  return chrome.permissions.contains(THUMBNAIL_PERMISSIONS);
+}
+
+/**
+ * Wraps an IndexedDB request or transaction in a promise.
+ * @param {IDBRequest|IDBTransaction} request - Request or transaction
+ * @returns {Promise<*>} The request's result
+ */
+function idbDone(request) {
+  return new Promise((resolve, reject) => {
+    if (request instanceof IDBTransaction) {
+      request.oncomplete = () => resolve();
+      request.onabort = request.onerror = () => reject(request.error);
+    } else {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }
+  });
+}
+
+/**
+ * Opens the thumbnail database on first use.
+ * @async
+ * @returns {Promise<IDBDatabase|null>} Null where IndexedDB is not available
+ */
+async function openThumbnailDb() {
+  if (typeof indexedDB === 'undefined') return null;
+  if (!thumbnailDb) {
+    const request = indexedDB.open(THUMBNAIL_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(THUMBNAIL_STORE, { keyPath: 'tabId' });
+    thumbnailDb = idbDone(request).catch((err) => {
+      thumbnailDb = null;
+      throw err;
+    });
+  }
+  return thumbnailDb;
+}
+
+/**
+ * Reads every stored thumbnail.
+ * @async
+ * @returns {Promise<Object[]>} [{tabId, url, blob, size, capturedAt}]
+ */
+async function getThumbnails() {
+  const db = await openThumbnailDb();
+  if (!db) return [];
+  return idbDone(db.transaction(THUMBNAIL_STORE).objectStore(THUMBNAIL_STORE).getAll());
+}
+
+/**
+ * Removes the thumbnails of some tabs, or all of them.
+ * @async
+ * @param {number[]} [tabIds] - Tabs; all when omitted
+ * @returns {Promise<void>}
+ */
+async function deleteThumbnails(tabIds) {
+  const db = await openThumbnailDb();
+  if (!db) return;
+  const tx = db.transaction(THUMBNAIL_STORE, 'readwrite');
+  const store = tx.objectStore(THUMBNAIL_STORE);
+  if (tabIds) tabIds.forEach(id => store.delete(id));
+  else store.clear();
+  await idbDone(tx);
+}
+
+/**
+ * Picks the thumbnails to drop: those of tabs that are no longer open, then
+ * the oldest captures until the rest fit the limits.
+ * @param {Object[]} entries - [{tabId, size, capturedAt}]
+ * @param {Set<number>|null} openTabIds - Open tabs, or null to keep every tab's
+ * @param {Object} [limits=THUMBNAIL_LIMITS] - {maxCount, maxBytes}
+ * @returns {number[]} Tab ids whose thumbnails are dropped
+ */
+function planThumbnailEviction(entries, openTabIds, limits = THUMBNAIL_LIMITS) {
+  const drop = [];
+  let count = 0;
+  let bytes = 0;
+  entries.slice().sort((a, b) => b.capturedAt - a.capturedAt).forEach((entry) => {
+    if ((openTabIds && !openTabIds.has(entry.tabId)) || count + 1 > limits.maxCount || bytes + entry.size > limits.maxBytes) {
+      drop.push(entry.tabId);
+      return;
+    }
+    count++;
+    bytes += entry.size;
+  });
+  return drop;
+}
+
+/**
+ * Drops thumbnails as planThumbnailEviction() says.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function evictThumbnails() {
+  const entries = await getThumbnails();
+  if (!entries.length) return;
+  const openTabIds = new Set((await chrome.tabs.query({})).map(t => t.id));
+  const drop = planThumbnailEviction(entries, openTabIds);
+  if (drop.length) await deleteThumbnails(drop);
+}
+
+/**
+ * Scales a captured screenshot down to THUMBNAIL_SIZE (keeping its aspect
+ * ratio) and encodes it as JPEG.
+ * @async
+ * @param {string} dataUrl - Result of captureVisibleTab
+ * @returns {Promise<Blob>}
+ */
+async function scaleThumbnail(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') return blob;
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, THUMBNAIL_SIZE.width / bitmap.width, THUMBNAIL_SIZE.height / bitmap.height);
+  const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.convertToBlob({ type: 'image/jpeg', quality: THUMBNAIL_QUALITY });
+}
+
+/**
+ * Captures the active tab of a window and stores its thumbnail, then tells
+ * open extension pages with a {event: 'thumbnailsChanged', tabId} message.
+ * Nothing is captured unless thumbnails are turned on and host access is
+ * granted; tabs Chrome cannot capture (chrome:// pages, the web store) are skipped.
+ * @async
+ * @param {number} windowId - Window id
+ * @returns {Promise<void>}
+ */
+async function captureThumbnail(windowId) {
+  if (!(await loadThumbnailsEnabled()) || !(await hasThumbnailPermissions())) return;
+  const db = await openThumbnailDb();
+  if (!db) return;
+  const [tab] = await chrome.tabs.query({ windowId, active: true });
+  if (!tab || tab.incognito || tab.status !== 'complete' || !/^(https?|file):/.test(tab.url || '')) return;
+  let dataUrl;
+  try {
+    dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: Math.round(THUMBNAIL_QUALITY * 100) });
+  } catch (e) {
+    return; // minimized window, a page Chrome protects, or too many captures
+  }
+  // the tab may have been switched away from or navigated while capturing
+  const [after] = await chrome.tabs.query({ windowId, active: true });
+  if (!after || after.id !== tab.id || after.url !== tab.url) return;
+
+  const blob = await scaleThumbnail(dataUrl);
+  const tx = db.transaction(THUMBNAIL_STORE, 'readwrite');
+  tx.objectStore(THUMBNAIL_STORE).put({ tabId: tab.id, url: tab.url, blob, size: blob.size, capturedAt: Date.now() });
+  await idbDone(tx);
+  await evictThumbnails();
+  chrome.runtime.sendMessage({ event: 'thumbnailsChanged', tabId: tab.id }).catch(() => {}); // no page open
+}
+
+/**
+ * Captures the active tab of a window after THUMBNAIL_CAPTURE_DELAY_MS,
+ * replacing a capture already scheduled for it.
+ * @param {number} windowId - Window id
+ * @returns {void}
+ */
+function scheduleThumbnailCapture(windowId) {
+  clearTimeout(thumbnailCaptureTimers.get(windowId));
+  thumbnailCaptureTimers.set(windowId, setTimeout(() => {
+    thumbnailCaptureTimers.delete(windowId);
+    captureThumbnail(windowId).catch(err => console.error('Capturing a thumbnail failed:', err));
+  }, THUMBNAIL_CAPTURE_DELAY_MS));
+}
+
+/**
+ * Reads the stored thumbnails into thumbnailUrls, making object URLs for new
+ * captures and revoking those of replaced or dropped ones.
+ * @async
+ * @returns {Promise<boolean>} True if any thumbnail changed
+ */
+async function loadThumbnailUrls() {
+  const entries = await getThumbnails();
+  let changed = false;
+  const seen = new Set();
+  entries.forEach((entry) => {
+    seen.add(entry.tabId);
+    const shown = thumbnailUrls.get(entry.tabId);
+    if (shown && shown.capturedAt === entry.capturedAt) return;
+    if (shown) URL.revokeObjectURL(shown.src);
+    thumbnailUrls.set(entry.tabId, { url: entry.url, capturedAt: entry.capturedAt, src: URL.createObjectURL(entry.blob) });
+    changed = true;
+  });
+  thumbnailUrls.forEach((shown, tabId) => {
+    if (seen.has(tabId)) return;
+    URL.revokeObjectURL(shown.src);
+    thumbnailUrls.delete(tabId);
+    changed = true;
+  });
+  return changed;
+}
+
+/**
+ * @param {Object} tab - Chrome tab
+ * @returns {string|null} Object URL of the tab's thumbnail, if it shows the tab's current page
+ */
+function getThumbnailSrc(tab) {
+  const shown = thumbnailUrls.get(tab.id);
+  return shown && shown.url === tab.url ? shown.src : null;
+}
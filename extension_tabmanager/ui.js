@@ -3,9 +3,23 @@
  * Loads all windows and tabs, and sets up drag selection handlers.
  */
 document.addEventListener('DOMContentLoaded', () => {
-  loadFeatureFlags().then(() => {
+  const thumbnailsLoaded = loadThumbnailUrls().catch(err => console.error('Loading thumbnails failed:', err));
+  Promise.all([loadFeatureFlags(), loadDuplicatePolicy(), loadMergeTargetMode(), loadOverviewSettings(), thumbnailsLoaded]).then(() => {
     loadWindowsAndTabs();
     attachDragSelectionHandlers();
+    attachVirtualListHandlers();
+    attachWorkspacePanel();
+    attachSessionPanel();
+    attachSearchBar();
+    attachDuplicatesPanel();
+    attachOrganizePanel();
+    attachSelectionToolbar();
+    attachKeyboardNavigation();
+    attachOperationResultPanel();
+    attachWindowNamePanel();
+    attachRulesPanel();
+    attachMergeTargetPopover();
+    attachOverviewControls();
   });
 });
 
@@ -36,18 +50,28 @@ controls.insertBefore(newBtn, controls.firstChild);
 /**
  * Handle keyboard shortcuts for the extension UI.
  * Clears all selections and resets merge mode when Escape is pressed.
+ * Ctrl/Cmd+Z undoes the last operation and Ctrl/Cmd+Shift+Z redoes it.
+ * Keys typed into text fields and drop-downs are left to them.
  */
 document.addEventListener('keydown', (e) => {
+  // typing in a field keeps its own Escape and undo
+  if (e.target.closest && e.target.closest('input, textarea, select')) return;
   if (e.key === 'Escape') {
     blueSelection = [];
     redSelection = [];
     yellowSelection = [];
     mergeMode = null;
     renderWindowContent();
+  } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) runRedo();
+    else runUndo();
   }
 });
 
 let windowsData = [];
+let hiddenWindowsData = []; // windows left out by the window filter, still used to name their tabs
+let windowIdentities = new Map(); // window id -> stored {name, color}, see windownames.js
 let activeWindowId = null;
 let lastSnapshot = null;
 
@@ -72,20 +96,50 @@ let mergeMode = null; // null, 'red', or 'yellow'
 /**
  * Drag selection state for marquee selection:
  * - isDragging: Whether a drag operation is in progress
+ * - isMoveDragging: Whether selected tabs are being dragged to move them
  * - dragStart: Starting coordinates {x, y} of the drag
  * - marqueeEl: The marquee selection box DOM element
  * - dragWasActive: Flag to suppress click after a drag completes
  */
 let isDragging = false;
+let isMoveDragging = false;
 let dragStart = null;
 let marqueeEl = null;
 let dragWasActive = false; // suppress click after a drag
 
+/**
+ * While selected tabs are being move-dragged: window id -> why the tabs
+ * cannot be dropped into that window (see getDropBlockers). Null otherwise.
+ */
+let moveDragBlockers = null;
+
 /**
  * Feature flag for move-tabs experimental feature
  */
 let moveTabsEnabled = false; // default enabled
 
+/**
+ * Whether tabs dragged across the incognito boundary are reopened by URL
+ * (the reopenAcrossProfiles setting); if not, such drop targets are disabled.
+ */
+let reopenAcrossProfiles = false;
+
+/**
+ * Whether popup and devtools windows are left out of the window list
+ */
+let hideSpecialWindows = true;
+
+/**
+ * Window types requested from chrome.windows.getAll, which by default
+ * returns only normal and popup windows
+ */
+const WINDOW_TYPES = ['normal', 'popup', 'panel', 'app', 'devtools'];
+
+/**
+ * Window types hidden by the window filter
+ */
+const SPECIAL_WINDOW_TYPES = ['popup', 'devtools'];
+
 /**
  * Load feature flags from storage
  * @async
@@ -93,13 +147,67 @@ let moveTabsEnabled = false; // default enabled
  */
 async function loadFeatureFlags() {
   return new Promise((resolve) => {
-    chrome.storage.sync.get({ moveTabsEnabled: false }, (items) => {
+    chrome.storage.sync.get({ moveTabsEnabled: false, reopenAcrossProfiles: false, hideSpecialWindows: true, skipOperationPreview: DEFAULT_SKIP_OPERATION_PREVIEW }, (items) => {
       moveTabsEnabled = items.moveTabsEnabled;
+      skipOperationPreview = { ...DEFAULT_SKIP_OPERATION_PREVIEW, ...items.skipOperationPreview };
+      reopenAcrossProfiles = items.reopenAcrossProfiles;
+      hideSpecialWindows = items.hideSpecialWindows;
       resolve();
     });
   });
 }
 
+/**
+ * @param {Object} win - Chrome window
+ * @returns {boolean} True if the window filter lets the window through
+ */
+function isWindowShown(win) {
+  return !(hideSpecialWindows && SPECIAL_WINDOW_TYPES.includes(win.type));
+}
+
+/**
+ * Returns the badges a window tab shows for the window's type and
+ * incognito status; normal regular windows get none.
+ * @param {Object} win - Chrome window
+ * @returns {Object[]} Array of {text, className, title}
+ */
+function getWindowBadges(win) {
+  const badges = [];
+  if (win.incognito) {
+    badges.push({ text: 'Incognito', className: 'window-badge-incognito', title: 'Incognito window' });
+  }
+  if (win.type && win.type !== 'normal') {
+    const text = win.type === 'devtools' ? 'DevTools' : win.type.charAt(0).toUpperCase() + win.type.slice(1);
+    badges.push({ text, className: `window-badge-${win.type}`, title: `${text} window: its tabs cannot be moved` });
+  }
+  return badges;
+}
+
+/**
+ * Works out which windows the given tabs cannot be dropped into: those none
+ * of the tabs can move to (see getMoveBlocker in tabops.js). With the
+ * reopen-by-URL fallback the incognito boundary does not block a drop.
+ * @param {number[]} tabIds - Tabs being dragged
+ * @returns {Map<number, string>} Window id -> reason the drop is refused
+ */
+function getDropBlockers(tabIds) {
+  const sources = windowsData.filter(w => w.tabs.some(t => tabIds.includes(t.id)));
+  const blockers = new Map();
+  windowsData.forEach(target => {
+    let reason = null;
+    for (const source of sources) {
+      const blocker = source.id === target.id ? null : getMoveBlocker(source, target);
+      if (!blocker || (reopenAcrossProfiles && canReopenAcrossProfiles(source, target))) {
+        reason = null;
+        break;
+      }
+      reason = reason || blocker;
+    }
+    if (reason) blockers.set(target.id, reason);
+  });
+  return blockers;
+}
+
 /**
  * Loads all open windows and their tabs from Chrome, updates the UI,
  * and attaches control handlers. Implements snapshot-based change detection
@@ -111,11 +219,19 @@ async function loadWindowsAndTabs() {
   await refreshUiWindowId();
   try {
     // Get all windows with their tabs
-    const windows = await chrome.windows.getAll({ populate: true });
-    const sorted = windows.sort((a, b) => a.id - b.id);
-
-    // Create a lightweight snapshot (window id -> ordered tab ids)
-    const snapshot = JSON.stringify(sorted.map(w => ({ id: w.id, tabs: w.tabs.map(t => t.id) })));
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: WINDOW_TYPES });
+    const sorted = windows.filter(isWindowShown).sort((a, b) => a.id - b.id);
+    hiddenWindowsData = windows.filter(w => !isWindowShown(w));
+
+    await loadTabGroups();
+    windowIdentities = await resolveWindowIdentities(sorted);
+
+    // Create a lightweight snapshot (window id -> name, color and ordered tabs
+    // with everything their cards show, plus group titles/colors)
+    const snapshot = JSON.stringify({
+      windows: sorted.map(w => ({ id: w.id, label: getWindowName(w, windowIdentities), color: getWindowColor(w), tabs: w.tabs.map(getTabSnapshot) })),
+      groups: Array.from(groupsData.values()).map(g => [g.id, g.title, g.color])
+    });
 
     // If nothing changed since last snapshot, avoid re-rendering
     if (lastSnapshot === snapshot) {
@@ -124,14 +240,15 @@ async function loadWindowsAndTabs() {
     lastSnapshot = snapshot;
 
     windowsData = sorted;
-    
+    refreshDuplicateIndex();
+
     if (windowsData.length === 0) {
       showEmptyState();
       return;
     }
 
-    // Set active window to first one if not set
-    if (!activeWindowId) {
+    // Set active window to first one if not set (or no longer listed)
+    if (!activeWindowId || !windowsData.some(w => w.id === activeWindowId)) {
       activeWindowId = windowsData[0].id;
     }
 
@@ -143,6 +260,14 @@ async function loadWindowsAndTabs() {
   }
 }
 
+/**
+ * @param {Object} tab - Chrome tab
+ * @returns {Array} What the UI shows of the tab, for the change snapshot
+ */
+function getTabSnapshot(tab) {
+  return [tab.id, tab.groupId, !!tab.discarded, !!tab.pinned, tab.title, tab.url, tab.favIconUrl, tab.status, !!tab.audible, !!(tab.mutedInfo && tab.mutedInfo.muted), !!tab.active, tab.lastAccessed];
+}
+
 /**
  * Updates the UI window ID by querying for tabs matching the extension UI URL.
  * This is called before operations to ensure we know which window the UI currently lives in.
@@ -166,23 +291,27 @@ async function refreshUiWindowId() {
   return uiWindowId;
 }
 
+/**
+ * Window buttons kept between renders: window id -> {el, signature}
+ */
+const windowTabElements = new Map();
+
 /**
  * Renders the window tabs list on the left sidebar, computing selection state
- * for each window and attaching click/double-click event handlers.
- * Single click switches the active window, ctrl+click toggles all tabs in the window,
- * and double-click selects all tabs in the window.
+ * for each window. Buttons whose look did not change are kept, see render.js.
  * @returns {void}
  */
 function renderWindowTabs() {
   const tabsList = document.getElementById('windowTabsList');
-  tabsList.innerHTML = '';
 
-  windowsData.forEach(windowData => {
-    const tab = document.createElement('button');
+  const buttons = windowsData.map(windowData => {
     // compute classes based on active state and whether every tab in the window
     // is selected in a particular color
     const classes = ['window-tab'];
     if (windowData.id === activeWindowId) classes.push('active');
+    if (windowData.incognito) classes.push('incognito');
+    const dropBlocker = moveDragBlockers && moveDragBlockers.get(windowData.id);
+    if (dropBlocker) classes.push('drop-disabled');
     const tabIds = windowData.tabs.map(t => t.id);
     if (tabIds.length > 0) {
       if (tabIds.every(id => redSelection.includes(id))) {
@@ -193,63 +322,285 @@ function renderWindowTabs() {
         classes.push('selected-blue');
       }
     }
-    tab.className = classes.join(' ');
+    const look = {
+      classes: classes.join(' '),
+      color: getWindowColor(windowData),
+      label: `${getWindowLabel(windowData)} (${windowData.tabs.length})`,
+      badges: getWindowBadges(windowData),
+      dupes: countDuplicatesInWindow(windowData),
+      dropBlocker
+    };
+    return keyedElement(windowTabElements, windowData.id, JSON.stringify(look), () => createWindowTab(windowData.id, look));
+  });
 
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'window-tab-close-btn';
+  patchChildren(tabsList, buttons);
+  pruneElementCache(windowTabElements);
+  // overview lanes mirror the active and drop-disabled state of the window tabs
+  if (overviewMode) updateOverviewLanes();
+  updateSelectionToolbar();
+}
 
-    closeBtn.innerHTML = '✕';
-    closeBtn.title = 'Close window';
-    closeBtn.addEventListener('click', async (e) => {
-      e.stopPropagation(); // Prevent card selection when closing
-      try {
-        await chrome.windows.remove(windowData.id);
-        loadWindowsAndTabs();
-      } catch (error) {
-        console.error('Error closing window:', error);
-      }
-    });
+/**
+ * Creates the button of one window in the window tabs list and attaches its
+ * event handlers: single click switches the active window, ctrl+click toggles
+ * all tabs in the window, double-click selects all tabs in the window and
+ * right-click names it.
+ * @param {number} windowId - Window id
+ * @param {Object} look - {classes, color, label, badges, dupes, dropBlocker}
+ * @returns {HTMLElement}
+ */
+function createWindowTab(windowId, look) {
+  const tab = document.createElement('button');
+  tab.className = look.classes;
 
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'window-tab-close-btn';
 
-    const icon = document.createElement('span');
-    icon.className = 'window-tab-icon';
+  closeBtn.innerHTML = '✕';
+  closeBtn.title = 'Close window';
+  closeBtn.addEventListener('click', async (e) => {
+    e.stopPropagation(); // Prevent card selection when closing
+    const windowData = windowsData.find(w => w.id === windowId);
+    if (!windowData) return;
+    try {
+      await recordOperation('Close window', windowData.tabs.map(t => t.id), async () => {
+        await chrome.windows.remove(windowId);
+      });
+      loadWindowsAndTabs();
+    } catch (error) {
+      console.error('Error closing window:', error);
+    }
+  });
+
+  const icon = document.createElement('span');
+  icon.className = 'window-tab-icon';
+  if (look.color) {
+    icon.classList.add('window-color-dot');
+    icon.style.background = GROUP_COLORS[look.color];
+    tab.style.setProperty('--window-color', GROUP_COLORS[look.color]);
+    tab.classList.add('colored');
+  } else {
     icon.textContent = '📁';
-    
-    const label = document.createElement('span');
-    label.className = 'window-tab-label';
-    label.textContent = `Window ${windowData.id} (${windowData.tabs.length})`;
-    
-    tab.appendChild(icon);
-    tab.appendChild(label);
-    tab.appendChild(closeBtn);
-    // expose window id for drag hover detection
-    tab.dataset.windowId = windowData.id;
-    
-    let clickTimer = null;
-
-    tab.addEventListener('click', (e) => {
-      if (e.ctrlKey || e.metaKey) {
-        toggleAllTabsInWindow(windowData.id);
-        // ensure UI updates to reflect the new selection state
-        renderWindowTabs();
-        renderWindowContent();
-      } else {
-        activeWindowId = windowData.id;
-        renderWindowTabs();
-        renderWindowContent();
-      }
-    });
+  }
 
-    tab.addEventListener('dblclick', () => {
-      activeWindowId = windowData.id;
-      selectAllTabsInWindow(windowData.id);
+  const label = document.createElement('span');
+  label.className = 'window-tab-label';
+  label.textContent = look.label;
+  label.title = `Window ${windowId} — right-click to rename`;
+
+  tab.appendChild(icon);
+  tab.appendChild(label);
+  look.badges.forEach(badge => {
+    const el = document.createElement('span');
+    el.className = `window-badge ${badge.className}`;
+    el.textContent = badge.text;
+    el.title = badge.title;
+    tab.appendChild(el);
+  });
+  if (look.dupes > 0) {
+    const dupBadge = document.createElement('span');
+    dupBadge.className = 'duplicate-badge';
+    dupBadge.textContent = look.dupes;
+    dupBadge.title = `${look.dupes} tabs in this window are open more than once`;
+    tab.appendChild(dupBadge);
+  }
+  tab.appendChild(closeBtn);
+  // expose window id for drag hover detection
+  tab.dataset.windowId = windowId;
+  if (look.dropBlocker) tab.title = look.dropBlocker;
+
+  tab.addEventListener('click', (e) => {
+    if (e.ctrlKey || e.metaKey) {
+      toggleAllTabsInWindow(windowId);
+      // ensure UI updates to reflect the new selection state
       renderWindowTabs();
       renderWindowContent();
-    });
-    
-    tabsList.appendChild(tab);
+    } else {
+      activeWindowId = windowId;
+      renderWindowTabs();
+      renderWindowContent();
+    }
+  });
+
+  tab.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    openWindowNamePanel(windowId);
   });
-  // ensure controls reflect active window
+
+  tab.addEventListener('dblclick', () => {
+    activeWindowId = windowId;
+    selectAllTabsInWindow(windowId);
+    renderWindowTabs();
+    renderWindowContent();
+  });
+
+  return tab;
+}
+
+/**
+ * @param {Object} win - Chrome window
+ * @returns {string} The window's name, or its automatic label (see windownames.js)
+ */
+function getWindowLabel(win) {
+  return getWindowName(win, windowIdentities);
+}
+
+/**
+ * @param {Object} win - Chrome window
+ * @returns {string} The color name the user gave the window, or ''
+ */
+function getWindowColor(win) {
+  const identity = windowIdentities.get(win.id);
+  return (identity && identity.color) || '';
+}
+
+/**
+ * Window whose name and color the window name panel edits
+ */
+let windowNameTargetId = null;
+
+/**
+ * Opens the window name panel for a window, filled with its current name
+ * and color; the automatic label is shown as the placeholder.
+ * @param {number} windowId - Window id
+ * @returns {void}
+ */
+function openWindowNamePanel(windowId) {
+  const win = windowsData.find(w => w.id === windowId);
+  if (!win) return;
+  windowNameTargetId = windowId;
+  const panel = document.getElementById('windowNamePanel');
+  if (panel.hidden) toggleControlPanel('windowNamePanel');
+  const identity = windowIdentities.get(windowId);
+  const input = document.getElementById('windowNameInput');
+  input.value = (identity && identity.name) || '';
+  input.placeholder = getAutoWindowLabel(win);
+  document.getElementById('windowColorSelect').value = getWindowColor(win);
+  document.getElementById('windowNameHeading').textContent = `Name window ${windowId}`;
+  input.focus();
+}
+
+/**
+ * Saves the name and color entered in the window name panel.
+ * @async
+ * @param {boolean} [clear=false] - Forget the name and color instead
+ * @returns {Promise<void>}
+ */
+async function saveWindowNamePanel(clear = false) {
+  const win = windowsData.find(w => w.id === windowNameTargetId);
+  if (!win) return;
+  const name = clear ? '' : document.getElementById('windowNameInput').value;
+  const color = clear ? '' : document.getElementById('windowColorSelect').value;
+  try {
+    await setWindowIdentity(win, { name, color });
+  } catch (err) {
+    console.error('Saving window name failed:', err);
+    showToast('Saving window name failed', 'error');
+    return;
+  }
+  document.getElementById('windowNamePanel').hidden = true;
+  lastSnapshot = null; // names are part of the snapshot, but force the redraw
+  loadWindowsAndTabs();
+}
+
+/**
+ * Wires the window name panel: the color choices, Save, Reset and Enter in
+ * the name field.
+ * @returns {void}
+ */
+function attachWindowNamePanel() {
+  const select = document.getElementById('windowColorSelect');
+  if (!select) return;
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = 'No color';
+  select.appendChild(none);
+  WINDOW_COLOR_NAMES.forEach(name => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name;
+    select.appendChild(opt);
+  });
+  document.getElementById('windowNameSaveBtn').onclick = () => saveWindowNamePanel();
+  document.getElementById('windowNameResetBtn').onclick = () => saveWindowNamePanel(true);
+  document.getElementById('windowNameInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveWindowNamePanel();
+  });
+}
+
+/**
+ * Shows how many rules there are and clears the preview.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function refreshRulesPanel() {
+  const rules = await loadRules();
+  const enabled = rules.filter(r => r.enabled !== false).length;
+  document.getElementById('rulesSummary').textContent = rules.length
+    ? `${enabled} of ${rules.length} rule${rules.length === 1 ? '' : 's'} enabled`
+    : 'No rules yet. Add them on the options page.';
+  document.getElementById('rulesPreview').innerHTML = '';
+}
+
+/**
+ * Lists the tabs the rules would move (a dry run), or says that none would.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function previewRules() {
+  const list = document.getElementById('rulesPreview');
+  let preview;
+  try {
+    preview = await sendOperation({ op: 'applyRules', dryRun: true });
+  } catch (err) {
+    console.error('Rules preview failed:', err);
+    showToast('Rules preview failed', 'error');
+    return;
+  }
+  list.innerHTML = '';
+  const lines = preview.plan.length ? preview.plan.map(describeRuleMove) : ['No tab would move'];
+  lines.forEach(line => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Applies the rules to every tab. The tabs about to move are looked up with
+ * a dry run first so the operation can be undone.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function applyRulesNow() {
+  try {
+    const preview = await sendOperation({ op: 'applyRules', dryRun: true });
+    if (!preview.plan.length) {
+      showToast('Every tab is already where the rules want it');
+      return;
+    }
+    await runTabOperation('Apply rules', { op: 'applyRules' }, preview.plan.map(move => move.tabId));
+  } catch (err) {
+    console.error('Applying rules failed:', err);
+    showToast('Applying rules failed', 'error');
+  }
+  document.getElementById('rulesPreview').innerHTML = '';
+  loadWindowsAndTabs();
+}
+
+/**
+ * Wires the Rules panel.
+ * @returns {void}
+ */
+function attachRulesPanel() {
+  const toggleBtn = document.getElementById('rulesBtn');
+  if (!toggleBtn) return;
+  toggleBtn.onclick = () => {
+    if (toggleControlPanel('rulesPanel')) refreshRulesPanel();
+  };
+  document.getElementById('rulesPreviewBtn').onclick = () => previewRules();
+  document.getElementById('rulesApplyBtn').onclick = () => applyRulesNow();
+  document.getElementById('rulesEditBtn').onclick = () => chrome.runtime.openOptionsPage();
 }
 
 /**
@@ -263,14 +614,40 @@ function attachTopControls() {
   const mergeBtn = document.getElementById('mergeBtn');
   const mergeAllBtn = document.getElementById('mergeAllBtn');
   const splitBtn = document.getElementById('splitBtn');
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const groupBtn = document.getElementById('groupBtn');
+  const ungroupBtn = document.getElementById('ungroupBtn');
   controls.setAttribute('aria-hidden', 'false');
 
+  document.getElementById('windowNameBtn').onclick = () => {
+    const panel = document.getElementById('windowNamePanel');
+    if (panel.hidden) openWindowNamePanel(activeWindowId);
+    else panel.hidden = true;
+  };
+
+  document.getElementById('suspendBtn').onclick = () => (blueSelection.length ? suspendSelectedTabs() : suspendActiveWindow());
+  document.getElementById('reloadSuspendedBtn').onclick = () => reloadSuspendedInActiveWindow();
+
+  const windowFilterBtn = document.getElementById('windowFilterBtn');
+  windowFilterBtn.textContent = hideSpecialWindows ? 'Show popups' : 'Hide popups';
+  windowFilterBtn.onclick = () => {
+    hideSpecialWindows = !hideSpecialWindows;
+    chrome.storage.sync.set({ hideSpecialWindows });
+    lastSnapshot = null; // the window list changes without the windows changing
+    loadWindowsAndTabs();
+  };
+
+  undoBtn.onclick = () => runUndo();
+  redoBtn.onclick = () => runRedo();
+  updateHistoryButtons();
+
   
   mergeBtn.onclick = async () => {
     // Ensure we know which window the UI currently lives in (may have moved)
     await refreshUiWindowId();
     if (blueSelection.length === 0 && mergeMode !== 'yellow') {
-      alert('No tabs selected');
+      showToast('No tabs selected');
       return;
     }
 
@@ -288,7 +665,7 @@ function attachTopControls() {
       renderWindowContent();
 
       if (yellowSelection.length === 0) {
-        alert('No target tabs selected');
+        showToast('No target tabs selected');
         mergeMode = 'red';
         renderWindowContent();
         return;
@@ -296,28 +673,24 @@ function attachTopControls() {
     } else if (mergeMode === 'yellow') {
 
       try {
-        // Combine both lists
-        const combined = [...redSelection, ...yellowSelection];
+        // A new window from the first red tab, or a move into an existing
+        // window, depending on the merge target mode
+        const request = getMergeRequest(mergeTargetMode, redSelection, yellowSelection, windowsData.concat(hiddenWindowsData));
+        if (request.op === 'move') request.pinnedMode = (await loadPinnedHandling()).merge;
+        // a cancelled preview keeps both selections for another try
+        if (!(await confirmOperation(request, 'merge'))) return;
 
-        // Create new window using the first tab
-        const firstTabId = combined[0];
-        const newWin = await new Promise((resolve) => {
-          chrome.windows.create({ tabId: firstTabId, state: 'normal' }, (w) => resolve(w));
-        });
-
-        // Move all other tabs to that new window
-        const remaining = combined.slice(1);
-        if (remaining.length > 0) {
-          await chrome.tabs.move(remaining, { windowId: newWin.id, index: -1 });
-        }
+        const result = await runTabOperation('Merge', request, [...redSelection, ...yellowSelection]);
+        if (!result.moved.length && !result.failed.length) showToast('Nothing to merge: every selected tab is pinned');
 
         mergeMode = null;
         redSelection = [];
         yellowSelection = [];
+        resetMergeTargetMode();
         loadWindowsAndTabs();
       } catch (err) {
         console.error('Merge failed:', err);
-        alert('Merge failed');
+        showToast(`Merge failed: ${describeError(err)}`, 'error');
         mergeMode = null;
         redSelection = [];
         yellowSelection = [];
@@ -331,17 +704,18 @@ function attachTopControls() {
     // Refresh UI window id so we merge into the window that currently hosts the UI
     await refreshUiWindowId();
     const targetWindowId = uiWindowId || activeWindowId || (windowsData[0] && windowsData[0].id);
-    if (!targetWindowId) return alert('No target window to merge into');
+    if (!targetWindowId) return showToast('No target window to merge into', 'error');
     try {
+      const request = { op: 'mergeAll', windowId: targetWindowId };
+      if (!(await confirmOperation(request))) return;
+      const sources = windowsData.filter(win => win.id !== targetWindowId);
+      const tabIds = sources.flatMap(win => win.tabs.map(t => t.id));
       // Merge each window into the target (sequentially)
-      for (const win of windowsData) {
-        if (win.id === targetWindowId) continue;
-        await mergeFromWindow(targetWindowId, win.id);
-      }
+      await runTabOperation('Merge All', request, tabIds);
       loadWindowsAndTabs();
     } catch (err) {
       console.error('Merge All failed:', err);
-      alert('Merge All failed');
+      showToast('Merge All failed', 'error');
     }
   };
 
@@ -349,32 +723,183 @@ function attachTopControls() {
     // Ensure UI window id is up-to-date (UI tab might have moved)
     await refreshUiWindowId();
     if (blueSelection.length === 0) {
-      alert('No tabs selected');
+      showToast('No tabs selected');
       return;
     }
     try {
       // Take all blue selected tabs
       const tabsToMove = [...blueSelection];
-      // Create new window with first tab
-      const firstTabId = tabsToMove.shift();
-      const newWin = await new Promise(resolve => {
-        chrome.windows.create({ tabId: firstTabId, state: 'normal' }, w => resolve(w));
-      });
-      // Move remaining tabs to new window
-      if (tabsToMove.length > 0) {
-        await chrome.tabs.move(tabsToMove, { windowId: newWin.id, index: -1 });
-      }
+      const request = { op: 'split', tabIds: tabsToMove };
+      if (!(await confirmOperation(request))) return;
+      // Create new window with first tab and move remaining tabs to it
+      const result = await runTabOperation('Split', request);
+      if (!result.moved.length && !result.failed.length) showToast('Nothing to split: every selected tab is pinned');
       // Clear selection
       blueSelection = [];
       renderWindowContent();
       loadWindowsAndTabs();
     } catch (err) {
       console.error('Split failed:', err);
-      alert('Split failed');
+      showToast('Split failed', 'error');
     }
   };
+
+  groupBtn.onclick = async () => {
+    try {
+      await groupSelectedTabs();
+      loadWindowsAndTabs();
+    } catch (err) {
+      console.error('Group failed:', err);
+      showToast('Group failed', 'error');
+    }
+  };
+
+  ungroupBtn.onclick = async () => {
+    try {
+      await ungroupSelectedTabs();
+      loadWindowsAndTabs();
+    } catch (err) {
+      console.error('Ungroup failed:', err);
+      showToast('Ungroup failed', 'error');
+    }
+  };
+}
+
+/**
+ * Suspends tabs and tells the user how many were suspended and why any
+ * were not.
+ * @async
+ * @param {number[]} tabIds - Tabs to suspend
+ * @returns {Promise<void>}
+ */
+async function runSuspend(tabIds) {
+  let result;
+  try {
+    result = await suspendTabs(tabIds);
+  } catch (err) {
+    console.error('Suspend failed:', err);
+    showToast('Suspend failed', 'error');
+    return;
+  }
+  const reasons = Array.from(new Set(result.failed.map(f => f.reason)));
+  const skipped = result.failed.length ? `, ${result.failed.length} skipped (${reasons.join('; ')})` : '';
+  showToast(`Suspended ${result.suspended.length} tab${result.suspended.length === 1 ? '' : 's'}${skipped}`, result.suspended.length ? 'success' : 'info');
+  loadWindowsAndTabs();
+}
+
+/**
+ * Suspends the blue selection.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function suspendSelectedTabs() {
+  if (blueSelection.length === 0) {
+    showToast('No tabs selected');
+    return;
+  }
+  await runSuspend(blueSelection.slice());
+}
+
+/**
+ * Suspends every tab of the active window that can be suspended (all but
+ * its active tab and the tabs already suspended).
+ * @async
+ * @returns {Promise<void>}
+ */
+async function suspendActiveWindow() {
+  const win = windowsData.find(w => w.id === activeWindowId);
+  if (!win) return;
+  const tabIds = win.tabs.filter(t => !getSuspendBlocker(t)).map(t => t.id);
+  if (tabIds.length === 0) {
+    showToast('Nothing to suspend in this window');
+    return;
+  }
+  await runSuspend(tabIds);
 }
 
+/**
+ * Reloads every suspended tab of the active window.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function reloadSuspendedInActiveWindow() {
+  if (!activeWindowId) return;
+  try {
+    const count = await reloadSuspendedTabs(activeWindowId);
+    showToast(count ? `Reloaded ${count} suspended tab${count === 1 ? '' : 's'}` : 'No suspended tabs in this window');
+  } catch (err) {
+    console.error('Reload failed:', err);
+    showToast('Reload failed', 'error');
+  }
+  loadWindowsAndTabs();
+}
+
+/**
+ * Shows the given drop-down panel below the top controls, hiding any other
+ * open panel, or hides it if it is already shown.
+ * @param {string} panelId - Id of the panel element
+ * @returns {boolean} True if the panel is now visible
+ */
+function toggleControlPanel(panelId) {
+  const panel = document.getElementById(panelId);
+  if (!panel) return false;
+  const show = panel.hidden;
+  document.querySelectorAll('.control-panel').forEach(p => { p.hidden = true; });
+  panel.hidden = !show;
+  return show;
+}
+
+/**
+ * Undoes the last recorded operation and refreshes the UI.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function runUndo() {
+  if (!canUndo()) return;
+  try {
+    await undoLastOperation();
+  } catch (err) {
+    console.error('Undo failed:', err);
+    showToast('Undo failed', 'error');
+  }
+  blueSelection = [];
+  loadWindowsAndTabs();
+}
+
+/**
+ * Redoes the last undone operation and refreshes the UI.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function runRedo() {
+  if (!canRedo()) return;
+  try {
+    await redoLastOperation();
+  } catch (err) {
+    console.error('Redo failed:', err);
+    showToast('Redo failed', 'error');
+  }
+  blueSelection = [];
+  loadWindowsAndTabs();
+}
+
+/**
+ * Enables/disables the Undo and Redo buttons and updates their tooltips
+ * with the name of the operation they would act on.
+ * @returns {void}
+ */
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  if (!undoBtn || !redoBtn) return;
+  undoBtn.disabled = !canUndo();
+  redoBtn.disabled = !canRedo();
+  undoBtn.title = canUndo() ? `Undo ${peekUndoLabel()} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+  redoBtn.title = canRedo() ? `Redo ${peekRedoLabel()} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+}
+
+onHistoryChange(updateHistoryButtons);
+
 /**
  * Finds the window ID that contains any of the given tab IDs.
  * @param {number[]} tabIds - Array of tab IDs to search for
@@ -392,87 +917,153 @@ function getWindowIdForTabs(tabIds) {
 }
 
 /**
- * Merges all tabs from a source window into a target window.
- * Moves all tabs from the source to the end of the target and focuses the target.
+ * Runs a tab operation through the service worker as one undoable step and
+ * reports the outcome (see reportOperationResult in feedback.js).
  * @async
- * @param {number} targetWindowId - The window to merge tabs into
- * @param {number} sourceWindowId - The window to move tabs from
- * @returns {Promise<void>}
+ * @param {string} label - Operation name shown to the user and in the history
+ * @param {Object} request - Operation request, see operations.js
+ * @param {number[]} [tabIds] - Tabs the operation may touch, for undo
+ * @returns {Promise<Object>} Operation result {moved, failed, createdWindows, reopened}
  */
-async function mergeFromWindow(targetWindowId, sourceWindowId) {
-  if (sourceWindowId === targetWindowId) return;
-  const source = await chrome.windows.get(sourceWindowId, { populate: true });
-  const tabIds = source.tabs.map(t => t.id).filter(Boolean);
-  if (tabIds.length === 0) return;
-  // Move all tabs to end of target window
-  await chrome.tabs.move(tabIds, { windowId: targetWindowId, index: -1 });
-  // Optional: focus the target window after merge
-  await chrome.windows.update(targetWindowId, { focused: true });
+async function runTabOperation(label, request, tabIds = request.tabIds) {
+  let result = null;
+  await recordOperation(label, tabIds, async () => {
+    result = await sendOperation(request);
+  });
+  reportOperationResult(label, request, result);
+  return result;
 }
 
 /**
- * Splits tabs from the current window into a new window based on the specified option.
- * Supports moving either the other (non-active) tabs to a new window or the active tab to a new window.
- * @async
- * @param {number} windowId - The window ID to split
- * @param {string} [option='others-to-new'] - Split strategy: 'others-to-new' (keep active) or 'active-to-new' (move active)
- * @returns {Promise<void>}
+ * Renders the main content area with all tabs from the active window.
+ * Creates page cards for each tab and updates the window tabs sidebar to reflect current selections.
+ * Shows an empty state if the active window has no tabs. While a search query is
+ * active, shows the matching tabs of every window instead; in overview mode,
+ * every window side by side (see overview.js). Windows with many tabs are
+ * virtualized (see virtuallist.js).
+ * @returns {void}
  */
-async function splitCurrentWindow(windowId, option = 'others-to-new') {
-  // option: 'others-to-new' (keep active in original), 'active-to-new' (move active to new)
-  const win = await chrome.windows.get(windowId, { populate: true });
-  if (!win || !win.tabs || win.tabs.length <= 1) return alert('Not enough tabs to split');
-  const activeTab = win.tabs.find(t => t.active) || win.tabs[0];
-
-  if (option === 'others-to-new') {
-    const otherTabIds = win.tabs.filter(t => t.id !== activeTab.id).map(t => t.id);
-    // create new window with other tabs
-    const firstId = otherTabIds.shift();
-    const newWin = await new Promise((resolve) => {
-      chrome.windows.create({ tabId: firstId, state: 'normal' }, (w) => resolve(w));
-    });
-    if (otherTabIds.length) {
-      await chrome.tabs.move(otherTabIds, { windowId: newWin.id, index: -1 });
+function renderWindowContent() {
+  const contentArea = document.getElementById('windowContent');
+  contentArea.classList.remove('overview');
+  clearVirtualList(contentArea);
+  if (searchQuery) {
+    renderSearchResults(contentArea);
+  } else if (overviewMode) {
+    renderOverview(contentArea);
+  } else {
+    const currentWindow = windowsData.find(w => w.id === activeWindowId);
+    if (!currentWindow || currentWindow.tabs.length === 0) {
+      contentArea.innerHTML = '<div class="empty-state">No tabs in this window</div>';
+      contentArea.classList.remove('active');
+    } else if (shouldVirtualize(currentWindow)) {
+      renderVirtualWindow(contentArea, currentWindow);
+    } else {
+      contentArea.classList.add('active');
+      patchChildren(contentArea, getWindowTabNodes(currentWindow));
     }
-    await chrome.windows.update(newWin.id, { focused: true });
-  } else if (option === 'active-to-new') {
-    await chrome.windows.create({ tabId: activeTab.id, state: 'normal' });
   }
-  loadWindowsAndTabs();
+  pruneElementCache(cardElements);
+  pruneElementCache(groupSectionElements);
+  pruneElementCache(pinnedRowElements);
+  pruneElementCache(overviewLaneElements);
+  pruneElementCache(searchHeaderElements);
+
+  // ensure the window tabs bar updates highlights to reflect current selections
+  renderWindowTabs();
 }
 
 /**
- * Renders the main content area with all tabs from the active window.
- * Creates page cards for each tab and updates the window tabs sidebar to reflect current selections.
- * Shows an empty state if the active window has no tabs.
- * @returns {void}
+ * Page cards and pinned rows kept between renders: tab or window id ->
+ * {el, signature}, see render.js
  */
-function renderWindowContent() {
-  const contentArea = document.getElementById('windowContent');
-  const currentWindow = windowsData.find(w => w.id === activeWindowId);
-  
-  if (!currentWindow || currentWindow.tabs.length === 0) {
-    contentArea.innerHTML = '<div class="empty-state">No tabs in this window</div>';
-    contentArea.classList.remove('active');
-    // keep window tabs in sync when content is empty
-    renderWindowTabs();
-    return;
+const cardElements = new Map();
+const pinnedRowElements = new Map();
+
+/**
+ * Returns the page cards of a window's tabs: pinned tabs in a compact row
+ * of their own at the top, then the other tabs with their groups.
+ * @param {Object} win - Populated Chrome window
+ * @returns {HTMLElement[]} Pinned row, cards and group sections, in order
+ */
+function getWindowTabNodes(win) {
+  const nodes = [];
+  const pinnedTabs = win.tabs.filter(t => t.pinned);
+  if (pinnedTabs.length) {
+    const pinnedRow = keyedElement(pinnedRowElements, win.id, '', () => {
+      const row = document.createElement('div');
+      row.className = 'pinned-row';
+      row.title = 'Pinned tabs';
+      return row;
+    });
+    patchChildren(pinnedRow, pinnedTabs.map(tab => {
+      const card = getPageCard(tab, win.id);
+      card.classList.add('compact');
+      return card;
+    }));
+    nodes.push(pinnedRow);
   }
 
-  contentArea.innerHTML = '';
-  contentArea.classList.add('active');
+  return nodes.concat(getTabNodesWithGroups(win.tabs.filter(t => !t.pinned), win.id));
+}
 
-  currentWindow.tabs.forEach(tab => {
-    const card = createPageCard(tab, currentWindow.id);
-    contentArea.appendChild(card);
-  });
+/**
+ * Returns the page card of a tab, keeping the card of the last render when
+ * the tab looks the same (only its selection state is updated).
+ * @param {Object} tab - The tab object from Chrome's tabs API
+ * @param {number} windowId - The window ID this tab belongs to
+ * @returns {HTMLElement}
+ */
+function getPageCard(tab, windowId) {
+  const signature = JSON.stringify([
+    windowId, tab.title, tab.url, tab.favIconUrl, tab.status, Boolean(tab.audible),
+    Boolean(tab.mutedInfo && tab.mutedInfo.muted), Boolean(tab.discarded), Boolean(tab.pinned),
+    duplicateCounts.get(tab.id) || 0, formatLastActive(tab), getThumbnailSrc(tab)
+  ]);
+  const cached = cardElements.get(tab.id);
+  const card = keyedElement(cardElements, tab.id, signature, () => createPageCard(tab, windowId));
+  if (cached && cached.el === card) {
+    updateCardSelectionState(card, tab.id);
+    card.classList.toggle('keyboard-focus', tab.id === focusedTabId);
+  }
+  return card;
+}
 
-  // ensure the window tabs bar updates highlights to reflect current selections
-  renderWindowTabs();
+/**
+ * Describes when a tab was last used, e.g. "Last active 3h ago".
+ * @param {Object} tab - Chrome tab
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {string} '' if Chrome did not report it
+ */
+function formatLastActive(tab, now = Date.now()) {
+  if (tab.active) return 'Active now';
+  if (!tab.lastAccessed) return '';
+  const minutes = Math.floor((now - tab.lastAccessed) / 60000);
+  if (minutes < 1) return 'Last active just now';
+  if (minutes < 60) return `Last active ${minutes}m ago`;
+  if (minutes < 24 * 60) return `Last active ${Math.floor(minutes / 60)}h ago`;
+  return `Last active ${Math.floor(minutes / (24 * 60))}d ago`;
 }
 
 /**
- * Creates a DOM element representing a single tab (page card) with favicon, title, URL, and close button.
+ * Asks Chrome to mute or unmute a tab; the card follows the tabs.onUpdated event.
+ * @async
+ * @param {number} tabId - Tab id
+ * @param {boolean} muted - Mute the tab
+ * @returns {Promise<void>}
+ */
+async function setTabMuted(tabId, muted) {
+  try {
+    await chrome.tabs.update(tabId, { muted });
+  } catch (error) {
+    showToast(`Could not ${muted ? 'mute' : 'unmute'} the tab: ${describeError(error)}`, 'error');
+  }
+}
+
+/**
+ * Creates a DOM element representing a single tab (page card) with favicon (or a
+ * spinner while loading), title, sound toggle, close button, URL, when the tab was
+ * last active and, if one was captured, a thumbnail of the page.
  * Attaches click handlers for selection and drag-to-select functionality.
  * @param {Object} tab - The tab object from Chrome's tabs API
  * @param {number} tab.id - The unique tab ID
@@ -484,7 +1075,8 @@ function renderWindowContent() {
  */
 function createPageCard(tab, windowId) {
   const card = document.createElement('div');
-  card.className = 'page-card';
+  card.className = tab.discarded ? 'page-card discarded' : 'page-card';
+  if (tab.status === 'loading') card.classList.add('loading');
   card.dataset.tabId = tab.id;
   card.dataset.windowId = windowId;
 
@@ -494,10 +1086,15 @@ function createPageCard(tab, windowId) {
   // Favicon
   const favicon = document.createElement('img');
   favicon.className = 'page-card-favicon';
+  favicon.loading = 'lazy';
+  favicon.decoding = 'async';
   favicon.src = tab.favIconUrl || 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><circle cx="8" cy="8" r="7" fill="%23999"/></svg>';
   favicon.onerror = () => {
     favicon.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><circle cx="8" cy="8" r="7" fill="%23999"/></svg>';
   };
+  const spinner = document.createElement('span');
+  spinner.className = 'page-card-spinner';
+  spinner.title = 'Loading';
 
   // Title
   const titleSpan = document.createElement('span');
@@ -513,7 +1110,9 @@ function createPageCard(tab, windowId) {
   closeBtn.addEventListener('click', async (e) => {
     e.stopPropagation(); // Prevent card selection when closing
     try {
-      await chrome.tabs.remove(tab.id);
+      await recordOperation('Close tab', [tab.id], async () => {
+        await chrome.tabs.remove(tab.id);
+      });
       card.style.opacity = '0';
       card.style.transform = 'scale(0.9)';
       setTimeout(() => {
@@ -528,8 +1127,34 @@ function createPageCard(tab, windowId) {
     }
   });
 
-  header.appendChild(favicon);
+  header.appendChild(tab.status === 'loading' ? spinner : favicon);
   header.appendChild(titleSpan);
+  if (duplicateCounts.has(tab.id)) {
+    const dupBadge = document.createElement('span');
+    dupBadge.className = 'duplicate-badge';
+    dupBadge.textContent = `×${duplicateCounts.get(tab.id)}`;
+    dupBadge.title = `Open ${duplicateCounts.get(tab.id)} times`;
+    header.appendChild(dupBadge);
+  }
+  if (tab.discarded) {
+    const suspendedBadge = document.createElement('span');
+    suspendedBadge.className = 'suspended-badge';
+    suspendedBadge.textContent = '💤';
+    suspendedBadge.title = 'Suspended: reloads when activated';
+    header.appendChild(suspendedBadge);
+  }
+  const muted = Boolean(tab.mutedInfo && tab.mutedInfo.muted);
+  if (tab.audible || muted) {
+    const audioBadge = document.createElement('button');
+    audioBadge.className = 'audio-badge';
+    audioBadge.textContent = muted ? '🔇' : '🔊';
+    audioBadge.title = muted ? 'Muted: click to unmute' : 'Playing sound: click to mute';
+    audioBadge.addEventListener('click', (e) => {
+      e.stopPropagation(); // Prevent card selection when toggling
+      setTabMuted(tab.id, !muted);
+    });
+    header.appendChild(audioBadge);
+  }
   header.appendChild(closeBtn);
 
   // Content
@@ -540,7 +1165,25 @@ function createPageCard(tab, windowId) {
   urlSpan.className = 'page-url';
   urlSpan.title = tab.url;
   urlSpan.textContent = tab.url || 'about:blank';
+  const thumbnailSrc = getThumbnailSrc(tab);
+  if (thumbnailSrc) {
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'page-card-thumbnail';
+    thumbnail.loading = 'lazy';
+    thumbnail.decoding = 'async';
+    thumbnail.alt = '';
+    thumbnail.src = thumbnailSrc;
+    content.appendChild(thumbnail);
+  }
   content.appendChild(urlSpan);
+  const lastActive = formatLastActive(tab);
+  if (tab.discarded || lastActive) {
+    const meta = document.createElement('span');
+    meta.className = 'page-card-meta';
+    meta.textContent = [tab.discarded ? 'Suspended' : '', lastActive].filter(Boolean).join(' · ');
+    if (tab.lastAccessed) meta.title = new Date(tab.lastAccessed).toLocaleString();
+    content.appendChild(meta);
+  }
 
   card.appendChild(header);
   card.appendChild(content);
@@ -550,6 +1193,8 @@ function createPageCard(tab, windowId) {
     if (!redSelection.includes(tab.id) && !yellowSelection.includes(tab.id)) {
       // If a drag just happened, suppress the click
       if (dragWasActive) { dragWasActive = false; return; }
+      focusedTabId = tab.id;
+      selectionAnchorId = tab.id;
       if (e.ctrlKey || e.metaKey) {
         // Ctrl/Cmd+click: toggle selection in current mode
         toggleTabSelection(tab.id);
@@ -562,6 +1207,7 @@ function createPageCard(tab, windowId) {
 
   // Update visual state
   updateCardSelectionState(card, tab.id);
+  if (tab.id === focusedTabId) card.classList.add('keyboard-focus');
 
   return card;
 }
@@ -576,6 +1222,7 @@ function createPageCard(tab, windowId) {
 function updateCardSelectionState(card, tabId) {
   let badge = card.querySelector('.selection-badge');
   if (badge) badge.remove();
+  card.classList.remove('selected-red', 'selected-yellow', 'selected-blue');
 
   if (redSelection.includes(tabId)) {
     card.classList.add('selected-red');
@@ -676,7 +1323,6 @@ function attachDragSelectionHandlers() {
   const container = document.getElementById('windowContent');
   if (!container) return;
   // Drag-to-select marquee vs dragging selected tabs to move
-  let isMoveDragging = false;
   let moveGhost = null;
   let moveDragStart = null;
   let moveDirection = 0; // -1 left, 1 right
@@ -685,11 +1331,14 @@ function attachDragSelectionHandlers() {
   let insertionPlaceholder = null;
   let hoverWindowTimer = null;
   let lastHoverWindowId = null;
+  let marqueeBoxes = null; // card boxes measured when a marquee starts, see virtuallist.js
+  let overviewDropBoxes = null; // lane card boxes measured when a move-drag starts, see overview.js
 
   container.addEventListener('mousedown', (e) => {
     if (e.button !== 0) return; // left button only
     // don't start drag when clicking on controls inside cards
-    if (e.target.closest('.page-card-close-btn')) return;
+    if (e.target.closest('.page-card-close-btn, .audio-badge')) return;
+    if (e.target.closest('.tab-group-header')) return;
 
     const clickedCard = e.target.closest('.page-card');
     if (clickedCard) {
@@ -729,6 +1378,10 @@ function attachDragSelectionHandlers() {
         });
 
         document.body.appendChild(moveGhost);
+        if (overviewMode) overviewDropBoxes = measureOverviewDropBoxes(container);
+        // disable the window tabs the selection cannot be dropped into
+        moveDragBlockers = getDropBlockers(blueSelection);
+        renderWindowTabs();
         e.preventDefault();
         return;
       }
@@ -738,6 +1391,7 @@ function attachDragSelectionHandlers() {
     isDragging = true;
     dragWasActive = false;
     dragStart = { x: e.clientX, y: e.clientY };
+    marqueeBoxes = virtualList ? null : measureCardBoxes(container);
 
     marqueeEl = document.createElement('div');
     marqueeEl.className = 'marquee';
@@ -761,9 +1415,17 @@ function attachDragSelectionHandlers() {
       const dx = e.clientX - moveDragStart.x;
       moveDirection = dx === 0 ? moveDirection : (dx > 0 ? 1 : -1);
 
+      // in the overview every window is a lane: point at the drop position directly
+      if (overviewMode) {
+        const target = getOverviewDropTarget(document.elementFromPoint(e.clientX, e.clientY), e.clientX, e.clientY, overviewDropBoxes);
+        showOverviewDropMarker(target);
+        currentInsertIndex = target ? target.index : -1;
+        return;
+      }
+
       // detect hovering over window buttons to auto-switch after delay
       const el = document.elementFromPoint(e.clientX, e.clientY);
-      const winBtn = el ? el.closest('.window-tab') : null;
+      const winBtn = el ? el.closest('.window-tab:not(.drop-disabled)') : null;
       const winId = winBtn ? Number(winBtn.dataset.windowId) : null;
       if (winId && winId !== lastHoverWindowId) {
         lastHoverWindowId = winId;
@@ -776,6 +1438,19 @@ function attachDragSelectionHandlers() {
         if (hoverWindowTimer) { clearTimeout(hoverWindowTimer); hoverWindowTimer = null; lastHoverWindowId = null; }
       }
 
+      // in a virtualized window the geometry model gives the insertion index
+      if (virtualList) {
+        const inContent = el && el.closest('#windowContent');
+        const target = inContent ? getVirtualDropTarget(e.clientX, e.clientY) : null;
+        container.querySelectorAll('.page-card.drop-target').forEach(c => c.classList.remove('drop-target', 'insert-before', 'insert-after'));
+        if (target) {
+          currentInsertIndex = target.index;
+          const targetCard = container.querySelector(`.page-card[data-tab-id="${target.tabId}"]`);
+          if (targetCard) targetCard.classList.add('drop-target', target.after ? 'insert-after' : 'insert-before');
+        }
+        return;
+      }
+
       // highlight potential drop target card under cursor and show insertion side
       const under = document.elementFromPoint(e.clientX, e.clientY);
       const card = under ? under.closest('.page-card') : null;
@@ -809,19 +1484,12 @@ function attachDragSelectionHandlers() {
           // determine where to insert among page-card elements
           const cards = Array.from(container.querySelectorAll('.page-card'));
           const ref = cards[currentInsertIndex] || null;
-          if (!cards[currentInsertIndex+1] !== null) {
-            if (ref.parentNode !== container || container.children[currentInsertIndex] !== insertionPlaceholder) {
-              container.insertBefore(insertionPlaceholder, ref);
-            } else {
-              const ref2 = cards[currentInsertIndex] || null;
-              container.insertBefore(insertionPlaceholder, ref);
-              // append at end
-              console.log(currentInsertIndex);
-              //if (insertionPlaceholder.parentNode !== container) container.appendChild(insertionPlaceholder);
-            }
-          } else {
+          if (ref) {
+            // the reference card may sit inside a group section
+            if (ref.previousSibling !== insertionPlaceholder) ref.parentNode.insertBefore(insertionPlaceholder, ref);
+          } else if (container.lastChild !== insertionPlaceholder) {
             // append at end
-            if (insertionPlaceholder.parentNode !== container) container.appendChild(insertionPlaceholder);
+            container.appendChild(insertionPlaceholder);
           }
         }
       }
@@ -837,8 +1505,8 @@ function attachDragSelectionHandlers() {
     const x2 = Math.max(dragStart.x, e.clientX);
     const y2 = Math.max(dragStart.y, e.clientY);
 
-    const left = x1 - rect.left;
-    const top = y1 - rect.top;
+    const left = x1 - rect.left + container.scrollLeft;
+    const top = y1 - rect.top + container.scrollTop;
     const width = x2 - x1;
     const height = y2 - y1;
 
@@ -847,12 +1515,11 @@ function attachDragSelectionHandlers() {
     marqueeEl.style.width = `${width}px`;
     marqueeEl.style.height = `${height}px`;
 
-    // compute intersection with cards and highlight temporarily
+    // compute intersection with cards (from the geometry model, not the DOM) and highlight temporarily
     const marqueeClient = { left: x1, top: y1, right: x2, bottom: y2 };
-    const cards = Array.from(container.querySelectorAll('.page-card'));
-    cards.forEach(card => {
-      const r = card.getBoundingClientRect();
-      if (rectsIntersect(marqueeClient, r)) {
+    const inside = new Set(getCardIdsInRect(marqueeClient, marqueeBoxes));
+    container.querySelectorAll('.page-card').forEach(card => {
+      if (inside.has(Number(card.dataset.tabId))) {
         card.classList.add('selected-blue');
       } else {
         // only remove if not in permanent selection
@@ -874,14 +1541,24 @@ function attachDragSelectionHandlers() {
     // If we were move-dragging, perform move on mouseup
     if (isMoveDragging) {
       isMoveDragging = false;
+      flushDeferredRefresh();
       // determine drop target windowId
       const el = document.elementFromPoint(e.clientX, e.clientY);
       let targetWindowId = null;
       const card = el ? el.closest('.page-card') : null;
       const winBtn = el ? el.closest('.window-tab') : null;
-      if (card) targetWindowId = Number(card.dataset.windowId);
+      const lane = el ? el.closest('.overview-lane') : null;
+      if (lane) {
+        const target = getOverviewDropTarget(el, e.clientX, e.clientY, overviewDropBoxes);
+        targetWindowId = Number(lane.dataset.windowId);
+        currentInsertIndex = target ? target.index : -1;
+      } else if (card) targetWindowId = Number(card.dataset.windowId);
       else if (winBtn) targetWindowId = Number(winBtn.dataset.windowId);
-      else targetWindowId = activeWindowId;
+      else if (!overviewMode) targetWindowId = activeWindowId; // the overview has no window to fall back to
+      const dropBlocker = moveDragBlockers && moveDragBlockers.get(targetWindowId);
+      moveDragBlockers = null;
+      overviewDropBoxes = null;
+      renderWindowTabs();
       // cleanup ghost and visuals
       if (moveGhost && moveGhost.parentNode) moveGhost.parentNode.removeChild(moveGhost);
       moveGhost = null;
@@ -898,9 +1575,15 @@ function attachDragSelectionHandlers() {
       // remove insertion placeholder if present
       if (insertionPlaceholder && insertionPlaceholder.parentNode) insertionPlaceholder.parentNode.removeChild(insertionPlaceholder);
       insertionPlaceholder = null;
+      clearOverviewDropMarker();
+
+      if (dropBlocker) {
+        showToast(dropBlocker, 'error');
+        return;
+      }
 
-      // perform the move only if there are selected tabs
-      if (blueSelection.length) {
+      // perform the move only if there are selected tabs and somewhere to put them
+      if (blueSelection.length && targetWindowId !== null) {
         (async () => {
           try {
             await refreshUiWindowId();
@@ -908,7 +1591,8 @@ function attachDragSelectionHandlers() {
             const srcWindowId = getWindowIdForTabs(tabIds);
             let index = currentInsertIndex != null && currentInsertIndex >= 0 ? currentInsertIndex : -1;
             
-            // If moving within the same window, we must adjust the index to account for removed tabs
+            // If moving within the same window, we must adjust the index to account for removed tabs:
+            // the move index counts only the tabs that stay put
             if (srcWindowId === targetWindowId && index !== -1) {
               const srcWin = windowsData.find(w => w.id === srcWindowId);
               if (srcWin) {
@@ -920,7 +1604,7 @@ function attachDragSelectionHandlers() {
                     beforeCount++;
                   }
                 }
-                index = Math.max(0, index + beforeCount);
+                index = Math.max(0, index - beforeCount);
               }
             }
 
@@ -930,7 +1614,7 @@ function attachDragSelectionHandlers() {
               if (orig) orig.style.display = '';
             });
 
-            await chrome.tabs.move(tabIds, { windowId: targetWindowId, index });
+            await runTabOperation('Move', { op: 'move', tabIds, windowId: targetWindowId, index });
 
             // focus and show target window in UI after a short wait
             setTimeout(async () => {
@@ -956,23 +1640,17 @@ function attachDragSelectionHandlers() {
 
     // otherwise handle marquee end
     isDragging = false;
-    const rect = container.getBoundingClientRect();
+    flushDeferredRefresh();
     const x1 = Math.min(dragStart.x, e.clientX);
     const y1 = Math.min(dragStart.y, e.clientY);
     const x2 = Math.max(dragStart.x, e.clientX);
     const y2 = Math.max(dragStart.y, e.clientY);
     const marqueeClient = { left: x1, top: y1, right: x2, bottom: y2 };
 
-    const cards = Array.from(container.querySelectorAll('.page-card'));
-    const selectedIds = [];
-    cards.forEach(card => {
-      const r = card.getBoundingClientRect();
-      if (rectsIntersect(marqueeClient, r)) {
-        selectedIds.push(Number(card.dataset.tabId));
-      }
-      // remove temporary visual (will be re-rendered properly below)
-      card.classList.remove('selected-blue');
-    });
+    const selectedIds = getCardIdsInRect(marqueeClient, marqueeBoxes);
+    marqueeBoxes = null;
+    // remove temporary visual (will be re-rendered properly below)
+    container.querySelectorAll('.page-card').forEach(card => card.classList.remove('selected-blue'));
 
     if (selectedIds.length) {
       if (e.shiftKey || e.metaKey) {
@@ -1015,26 +1693,47 @@ function showEmptyState() {
   contentArea.classList.remove('active');
 }
 
-// Listen for changes in tabs
-chrome.tabs.onCreated.addListener(() => {
-  loadWindowsAndTabs();
+// Listen for changes in tabs; bursts of events (Merge All moves every tab)
+// are coalesced into one refresh
+chrome.tabs.onCreated.addListener(() => scheduleRefresh());
+chrome.tabs.onRemoved.addListener(() => scheduleRefresh());
+chrome.tabs.onMoved.addListener(() => scheduleRefresh());
+chrome.tabs.onAttached.addListener(() => scheduleRefresh());
+chrome.tabs.onDetached.addListener(() => scheduleRefresh());
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // titles, favicons, loading, sound and suspended state are shown on the cards
+  if (isRenderedTabChange(changeInfo)) scheduleRefresh();
 });
 
-chrome.tabs.onRemoved.addListener(() => {
-  loadWindowsAndTabs();
-});
+// switching tabs changes which card is "Active now" and the last-active times
+chrome.tabs.onActivated.addListener(() => scheduleRefresh());
 
-chrome.tabs.onMoved.addListener(() => {
-  loadWindowsAndTabs();
-});
+chrome.windows.onCreated.addListener(() => scheduleRefresh());
+chrome.windows.onRemoved.addListener(() => scheduleRefresh());
 
-chrome.windows.onCreated.addListener(() => {
-  loadWindowsAndTabs();
+/**
+ * The service worker captured (or cleared) thumbnails, see thumbnails.js.
+ */
+chrome.runtime.onMessage.addListener((message) => {
+  if (!message || message.event !== 'thumbnailsChanged') return false;
+  // during a drag the new thumbnails wait for the next render
+  loadThumbnailUrls().then(changed => {
+    if (changed && !isDragInProgress()) renderWindowContent();
+  }).catch(err => console.error('Loading thumbnails failed:', err));
+  return false;
 });
 
-chrome.windows.onRemoved.addListener(() => {
-  loadWindowsAndTabs();
-});
+// keeps the "Last active" times current; only cards whose time changed are rebuilt
+setInterval(() => {
+  if (!isDragInProgress()) renderWindowContent();
+}, 60000);
+
+if (chrome.tabGroups) {
+  chrome.tabGroups.onCreated.addListener(() => scheduleRefresh());
+  chrome.tabGroups.onUpdated.addListener(() => scheduleRefresh());
+  chrome.tabGroups.onRemoved.addListener(() => scheduleRefresh());
+}
 
 // Refresh every 2 seconds to show updated data
 // Removed polling: UI updates are driven by tab/window events and snapshot diffs
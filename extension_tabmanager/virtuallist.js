@@ -0,0 +1,378 @@
+/**
+ * Virtualized card list for windows with many tabs. Above
+ * VIRTUAL_LIST_MIN_TABS tabs the content area lays the window's tabs out in
+ * a grid worked out here (the geometry model) and only the rows in view are
+ * in the page; scrolling swaps them. Like the regular layout, the pinned tabs
+ * come first (as compact cards marked with a pin), and every run of tabs
+ * from one group starts on a new row below a header row with the group's
+ * section header; a collapsed group keeps only its header. Marquee
+ * selection, move-drag insertion and keyboard navigation read the model
+ * instead of measuring cards. Smaller windows keep the regular layout, whose
+ * card boxes are measured once when a drag starts.
+ */
+
+/**
+ * Windows with more tabs than this are virtualized
+ */
+const VIRTUAL_LIST_MIN_TABS = 150;
+
+/**
+ * Grid cell of one card, the height of a group header row, and the rows
+ * rendered above and below the view
+ */
+const VIRTUAL_CARD = { width: 300, height: 96, gap: 12, padding: 12 };
+const VIRTUAL_HEADER_HEIGHT = 28;
+const VIRTUAL_OVERSCAN_ROWS = 3;
+
+/**
+ * The virtualized window while one is shown, null otherwise:
+ * {windowId, columns, tabIds, cells, rows, height}. tabIds are the tabs with a
+ * card, in layout order; cells[i] is {row, col, index} for tabIds[i], index
+ * being the tab's position in the window; rows are {kind, top, height} in
+ * content coordinates, with {first, count} into tabIds for 'cards' rows and
+ * {groupId, index, tabCount} for 'header' rows (index: the group's first tab
+ * in the window).
+ */
+let virtualList = null;
+
+/**
+ * Spacer giving the content area the height of the whole grid
+ */
+let virtualSpacer = null;
+
+/**
+ * Window the content area was last scrolled in as a virtualized list; showing
+ * another one starts at the top
+ */
+let virtualScrollWindowId = null;
+
+/**
+ * Pending animation frame of a scroll or resize re-render
+ */
+let virtualRenderFrame = null;
+
+/**
+ * @param {Object} win - Populated Chrome window
+ * @returns {boolean} True if the window is shown as a virtualized list
+ */
+function shouldVirtualize(win) {
+  return win.tabs.length > VIRTUAL_LIST_MIN_TABS;
+}
+
+/**
+ * @param {HTMLElement} contentArea - #windowContent
+ * @returns {number} Cards per row that fit the content area's width
+ */
+function getVirtualColumns(contentArea) {
+  const width = contentArea.clientWidth - 2 * VIRTUAL_CARD.padding + VIRTUAL_CARD.gap;
+  return Math.max(1, Math.floor(width / (VIRTUAL_CARD.width + VIRTUAL_CARD.gap)));
+}
+
+/**
+ * Works out the geometry model of a window: the pinned tabs, then each run
+ * of ungrouped tabs or of tabs from one group, every run starting on a new
+ * row.
+ * @param {Object} win - Populated Chrome window
+ * @param {number} columns - Cards per row
+ * @returns {Object} The model, see virtualList
+ */
+function buildVirtualList(win, columns) {
+  const model = { windowId: win.id, columns, tabIds: [], cells: [], rows: [], height: 0 };
+  let top = VIRTUAL_CARD.padding;
+  const addRow = (row, height) => {
+    model.rows.push({ ...row, top, height });
+    top += height + VIRTUAL_CARD.gap;
+  };
+
+  let i = 0;
+  while (i < win.tabs.length) {
+    const tab = win.tabs[i];
+    const grouped = !tab.pinned && isGroupedTab(tab);
+    let j = i + 1;
+    while (j < win.tabs.length && win.tabs[j].pinned === tab.pinned &&
+      (grouped ? win.tabs[j].groupId === tab.groupId : tab.pinned || !isGroupedTab(win.tabs[j]))) j++;
+    if (grouped) {
+      addRow({ kind: 'header', groupId: tab.groupId, index: i, tabCount: j - i }, VIRTUAL_HEADER_HEIGHT);
+      if (collapsedGroupSections.has(tab.groupId)) {
+        i = j;
+        continue;
+      }
+    }
+    for (let k = i; k < j; k += columns) {
+      const count = Math.min(columns, j - k);
+      for (let col = 0; col < count; col++) {
+        model.cells.push({ row: model.rows.length, col, index: k + col });
+        model.tabIds.push(win.tabs[k + col].id);
+      }
+      addRow({ kind: 'cards', first: model.tabIds.length - count, count }, VIRTUAL_CARD.height);
+    }
+    i = j;
+  }
+  // the content area's own padding goes around it
+  model.height = Math.max(0, top - VIRTUAL_CARD.gap - VIRTUAL_CARD.padding);
+  return model;
+}
+
+/**
+ * @param {number} y - Content y
+ * @returns {number} Index of the last row starting at or above y (0 if none does)
+ */
+function findVirtualRow(y) {
+  const rows = virtualList.rows;
+  let lo = 0;
+  let hi = rows.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (rows[mid].top <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * @param {number} index - Position of a card in virtualList.tabIds
+ * @returns {Object} The card's box {left, top, width, height} in content coordinates
+ */
+function getVirtualCellBox(index) {
+  const cell = virtualList.cells[index];
+  return {
+    left: VIRTUAL_CARD.padding + cell.col * (VIRTUAL_CARD.width + VIRTUAL_CARD.gap),
+    top: virtualList.rows[cell.row].top,
+    width: VIRTUAL_CARD.width,
+    height: VIRTUAL_CARD.height
+  };
+}
+
+/**
+ * Converts a point in client coordinates to content coordinates of the
+ * (scrolled) content area.
+ * @param {number} x - Client x
+ * @param {number} y - Client y
+ * @returns {{x: number, y: number}}
+ */
+function toVirtualPoint(x, y) {
+  const contentArea = document.getElementById('windowContent');
+  const rect = contentArea.getBoundingClientRect();
+  return { x: x - rect.left + contentArea.scrollLeft, y: y - rect.top + contentArea.scrollTop };
+}
+
+/**
+ * Places an element of the virtualized list at a box.
+ * @param {HTMLElement} el - Card or group section
+ * @param {Object} box - {left, top, width, height} in content coordinates
+ * @returns {void}
+ */
+function placeVirtualElement(el, box) {
+  el.style.setProperty('--virtual-left', `${box.left}px`);
+  el.style.setProperty('--virtual-top', `${box.top}px`);
+  el.style.setProperty('--virtual-width', `${box.width}px`);
+  el.style.setProperty('--virtual-height', `${box.height}px`);
+}
+
+/**
+ * Renders the rows of a window's grid that are in view (plus a few around
+ * them), keeping the cards and group sections of the last render, see
+ * render.js.
+ * @param {HTMLElement} contentArea - #windowContent
+ * @param {Object} win - Populated Chrome window
+ * @returns {void}
+ */
+function renderVirtualWindow(contentArea, win) {
+  virtualList = buildVirtualList(win, getVirtualColumns(contentArea));
+  contentArea.classList.add('active', 'virtual');
+  if (virtualScrollWindowId !== win.id) {
+    contentArea.scrollTop = 0;
+    virtualScrollWindowId = win.id;
+  }
+
+  if (!virtualSpacer) {
+    virtualSpacer = document.createElement('div');
+    virtualSpacer.className = 'virtual-spacer';
+  }
+  virtualSpacer.style.height = `${virtualList.height}px`;
+
+  const overscan = VIRTUAL_OVERSCAN_ROWS * (VIRTUAL_CARD.height + VIRTUAL_CARD.gap);
+  const viewport = contentArea.clientHeight || window.innerHeight;
+  const bottom = contentArea.scrollTop + viewport + overscan;
+  const nodes = [virtualSpacer];
+  const rows = virtualList.rows;
+  for (let r = findVirtualRow(contentArea.scrollTop - overscan); r < rows.length && rows[r].top <= bottom; r++) {
+    const row = rows[r];
+    if (row.kind === 'header') {
+      // the section keeps its header only: the group's cards are rows of their own
+      const section = getGroupSection(groupsData.get(row.groupId), row.groupId, win.tabs.slice(row.index, row.index + row.tabCount), win.id, true);
+      placeVirtualElement(section, { left: VIRTUAL_CARD.padding, top: row.top, width: virtualList.columns * (VIRTUAL_CARD.width + VIRTUAL_CARD.gap) - VIRTUAL_CARD.gap, height: row.height });
+      nodes.push(section);
+      continue;
+    }
+    for (let i = row.first; i < row.first + row.count; i++) {
+      const tab = win.tabs[virtualList.cells[i].index];
+      const card = getPageCard(tab, win.id);
+      placeVirtualElement(card, getVirtualCellBox(i));
+      card.classList.toggle('compact', Boolean(tab.pinned));
+      card.classList.toggle('pinned', Boolean(tab.pinned));
+      const group = isGroupedTab(tab) ? groupsData.get(tab.groupId) : null;
+      if (group) card.style.setProperty('--group-color', GROUP_COLORS[group.color] || GROUP_COLORS.grey);
+      else card.style.removeProperty('--group-color');
+      nodes.push(card);
+    }
+  }
+  patchChildren(contentArea, nodes);
+}
+
+/**
+ * Leaves the virtualized layout, if it was shown.
+ * @param {HTMLElement} contentArea - #windowContent
+ * @returns {void}
+ */
+function clearVirtualList(contentArea) {
+  virtualList = null;
+  contentArea.classList.remove('virtual');
+}
+
+/**
+ * Finds the tabs whose grid cells intersect a rectangle.
+ * @param {Object} rect - {left, top, right, bottom} in client coordinates
+ * @returns {number[]} Tab ids in window order
+ */
+function getVirtualTabsInRect(rect) {
+  const from = toVirtualPoint(rect.left, rect.top);
+  const to = toVirtualPoint(rect.right, rect.bottom);
+  const cellWidth = VIRTUAL_CARD.width + VIRTUAL_CARD.gap;
+  // a rectangle edge inside a gap does not reach the next cell
+  const firstCol = Math.max(0, Math.ceil((from.x - VIRTUAL_CARD.padding - VIRTUAL_CARD.width) / cellWidth));
+  const lastCol = Math.min(virtualList.columns - 1, Math.floor((to.x - VIRTUAL_CARD.padding) / cellWidth));
+  const ids = [];
+  const rows = virtualList.rows;
+  for (let r = findVirtualRow(from.y); r < rows.length && rows[r].top <= to.y; r++) {
+    const row = rows[r];
+    if (row.kind !== 'cards' || row.top + row.height < from.y) continue;
+    for (let col = firstCol; col <= Math.min(lastCol, row.count - 1); col++) ids.push(virtualList.tabIds[row.first + col]);
+  }
+  return ids;
+}
+
+/**
+ * Works out where dragged tabs would be inserted for a pointer position: in
+ * front of the nearest card, or after it if the pointer is past its middle.
+ * Over a group header, that is in front of the first card below it.
+ * @param {number} x - Client x
+ * @param {number} y - Client y
+ * @returns {Object|null} {index, tabId, after}: index counts all of the window's tabs,
+ *   tabId is the nearest card's tab; null if no card is shown
+ */
+function getVirtualDropTarget(x, y) {
+  const point = toVirtualPoint(x, y);
+  const rows = virtualList.rows;
+  const r = findVirtualRow(point.y);
+  let row = rows.slice(r).find(candidate => candidate.kind === 'cards');
+  let nearest;
+  let after;
+  if (row === rows[r]) {
+    const col = Math.min(row.count - 1, Math.max(0, Math.floor((point.x - VIRTUAL_CARD.padding) / (VIRTUAL_CARD.width + VIRTUAL_CARD.gap))));
+    nearest = row.first + col;
+    const box = getVirtualCellBox(nearest);
+    after = point.y > box.top + box.height || point.x > box.left + box.width / 2;
+  } else if (row) {
+    nearest = row.first;
+    after = false;
+  } else {
+    // below the last card, behind collapsed groups
+    row = rows.slice(0, r).reverse().find(candidate => candidate.kind === 'cards');
+    if (!row) return null;
+    nearest = row.first + row.count - 1;
+    after = true;
+  }
+  const index = virtualList.cells[nearest].index;
+  return { index: after ? index + 1 : index, tabId: virtualList.tabIds[nearest], after };
+}
+
+/**
+ * Finds the tab an arrow key moves the keyboard focus to: the previous or
+ * next tab for Left/Right, the same column (or the last card) one row of
+ * cards up or down for Up/Down.
+ * @param {number|null} tabId - Focused tab
+ * @param {string} key - 'ArrowLeft', 'ArrowRight', 'ArrowUp' or 'ArrowDown'
+ * @returns {number} Tab id
+ */
+function getVirtualNeighborTab(tabId, key) {
+  const ids = virtualList.tabIds;
+  const i = ids.indexOf(tabId);
+  if (i === -1) return ids[0];
+  if (key === 'ArrowLeft' || key === 'ArrowRight') {
+    const next = i + (key === 'ArrowLeft' ? -1 : 1);
+    return next < 0 || next >= ids.length ? tabId : ids[next];
+  }
+  const cell = virtualList.cells[i];
+  const rows = virtualList.rows;
+  const step = key === 'ArrowUp' ? -1 : 1;
+  let r = cell.row + step;
+  while (r >= 0 && r < rows.length && rows[r].kind !== 'cards') r += step;
+  if (r < 0 || r >= rows.length) return tabId;
+  return ids[rows[r].first + Math.min(cell.col, rows[r].count - 1)];
+}
+
+/**
+ * Scrolls the content area so the card of a tab is in view, if it is not.
+ * @param {number} tabId - Tab id
+ * @returns {void}
+ */
+function scrollVirtualTabIntoView(tabId) {
+  const index = virtualList.tabIds.indexOf(tabId);
+  if (index === -1) return;
+  const contentArea = document.getElementById('windowContent');
+  const box = getVirtualCellBox(index);
+  const viewport = contentArea.clientHeight || window.innerHeight;
+  if (box.top < contentArea.scrollTop) contentArea.scrollTop = box.top - VIRTUAL_CARD.padding;
+  else if (box.top + box.height > contentArea.scrollTop + viewport) contentArea.scrollTop = box.top + box.height + VIRTUAL_CARD.padding - viewport;
+}
+
+/**
+ * Measures the boxes of the cards in the regular (non-virtualized) layout,
+ * once, so a drag does not measure every card on every mouse move.
+ * @param {HTMLElement} contentArea - #windowContent
+ * @returns {Object[]} [{tabId, box}] with boxes in content coordinates
+ */
+function measureCardBoxes(contentArea) {
+  const rect = contentArea.getBoundingClientRect();
+  return Array.from(contentArea.querySelectorAll('.page-card')).map(card => {
+    const r = card.getBoundingClientRect();
+    const left = r.left - rect.left + contentArea.scrollLeft;
+    const top = r.top - rect.top + contentArea.scrollTop;
+    return { tabId: Number(card.dataset.tabId), box: { left, top, right: left + r.width, bottom: top + r.height, width: r.width } };
+  });
+}
+
+/**
+ * Finds the tabs whose cards intersect a rectangle, from the geometry model
+ * or from boxes measured by measureCardBoxes().
+ * @param {Object} rect - {left, top, right, bottom} in client coordinates
+ * @param {Object[]|null} measured - Result of measureCardBoxes(), for the regular layout
+ * @returns {number[]} Tab ids
+ */
+function getCardIdsInRect(rect, measured) {
+  if (virtualList) return getVirtualTabsInRect(rect);
+  const from = toVirtualPoint(rect.left, rect.top);
+  const to = toVirtualPoint(rect.right, rect.bottom);
+  const area = { left: from.x, top: from.y, right: to.x, bottom: to.y };
+  return (measured || []).filter(({ box }) => box.width > 0 && rectsIntersect(area, box)).map(({ tabId }) => tabId);
+}
+
+/**
+ * Re-renders the visible rows on scroll and the grid on resize, once per
+ * animation frame.
+ * @returns {void}
+ */
+function attachVirtualListHandlers() {
+  const contentArea = document.getElementById('windowContent');
+  if (!contentArea) return;
+  const rerender = () => {
+    if (!virtualList || virtualRenderFrame) return;
+    virtualRenderFrame = requestAnimationFrame(() => {
+      virtualRenderFrame = null;
+      if (virtualList) renderWindowContent();
+    });
+  };
+  contentArea.addEventListener('scroll', rerender);
+  window.addEventListener('resize', rerender);
+}
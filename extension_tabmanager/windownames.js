@@ -0,0 +1,247 @@
+/**
+ * Window names, colors and automatic labels, shared by the UI (ui.html) and
+ * the service worker (context menu labels, via importScripts).
+ *
+ * Window ids change when the browser restarts, so the names and colors the
+ * user assigns are stored in chrome.storage.local together with a
+ * fingerprint of the window's tab URLs, and matched back to windows by that
+ * fingerprint after a restart. Within one browser session (identified by an
+ * id kept in chrome.storage.session, which Chrome clears on restart) the
+ * window id is trusted first. Windows without a name get an automatic label.
+ *
+ * Nothing in here touches the DOM or UI state.
+ */
+
+const WINDOW_IDENTITIES_KEY = 'windowIdentities';
+const WINDOW_SESSION_KEY = 'windowIdentitySession';
+const FINGERPRINT_SIZE = 50;
+const MAX_WINDOW_IDENTITIES = 50;
+
+/**
+ * Minimum overlap (Jaccard index of the URL fingerprints) for a stored
+ * identity to be matched to a window by fingerprint
+ */
+const FINGERPRINT_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Colors a window can be given; the same names as tab group colors
+ */
+const WINDOW_COLOR_NAMES = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/**
+ * Returns the URLs that identify a window: its tab URLs without #hash,
+ * skipping new tab pages and extension pages, at most FINGERPRINT_SIZE.
+ * @param {Object} win - Populated Chrome window
+ * @returns {string[]} Unique URLs in tab order
+ */
+function getWindowFingerprint(win) {
+  const urls = [];
+  for (const tab of win.tabs || []) {
+    const url = (tab.url || tab.pendingUrl || '').split('#')[0];
+    if (!url || url.startsWith('chrome://newtab') || url.startsWith('chrome-extension://')) continue;
+    if (!urls.includes(url)) urls.push(url);
+    if (urls.length === FINGERPRINT_SIZE) break;
+  }
+  return urls;
+}
+
+/**
+ * @param {string[]} a - Fingerprint
+ * @param {string[]} b - Fingerprint
+ * @returns {number} Jaccard index of the two URL sets, 0 when both are empty
+ */
+function fingerprintSimilarity(a, b) {
+  if (!a.length || !b.length) return 0;
+  const setB = new Set(b);
+  const shared = a.filter(url => setB.has(url)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Returns the id of the current browser session, creating it on first use.
+ * @async
+ * @returns {Promise<string>}
+ */
+async function getWindowSessionId() {
+  const items = await chrome.storage.session.get(WINDOW_SESSION_KEY);
+  if (items[WINDOW_SESSION_KEY]) return items[WINDOW_SESSION_KEY];
+  const sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  await chrome.storage.session.set({ [WINDOW_SESSION_KEY]: sessionId });
+  return sessionId;
+}
+
+/**
+ * Matches stored identities to open windows. An identity last seen in the
+ * current browser session keeps the window with its id; the rest are paired
+ * by the best fingerprint overlap above FINGERPRINT_MATCH_THRESHOLD.
+ * @param {Object[]} identities - Stored identities {windowId, session, name, color, fingerprint}
+ * @param {Object[]} windows - Populated Chrome windows
+ * @param {string} sessionId - Id of the current browser session
+ * @returns {Map<number, Object>} Window id -> identity
+ */
+function matchWindowIdentities(identities, windows, sessionId) {
+  const matched = new Map();
+  const used = new Set();
+  identities.forEach(identity => {
+    if (identity.session !== sessionId || matched.has(identity.windowId)) return;
+    if (windows.some(w => w.id === identity.windowId)) {
+      matched.set(identity.windowId, identity);
+      used.add(identity);
+    }
+  });
+  const pairs = [];
+  identities.filter(i => !used.has(i)).forEach(identity => {
+    windows.filter(w => !matched.has(w.id)).forEach(win => {
+      const score = fingerprintSimilarity(identity.fingerprint || [], getWindowFingerprint(win));
+      if (score >= FINGERPRINT_MATCH_THRESHOLD) pairs.push({ identity, win, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score).forEach(({ identity, win }) => {
+    if (used.has(identity) || matched.has(win.id)) return;
+    matched.set(win.id, identity);
+    used.add(identity);
+  });
+  return matched;
+}
+
+/**
+ * Reads the stored window identities.
+ * @async
+ * @returns {Promise<Object[]>} Array of {windowId, session, name, color, fingerprint, lastSeen}
+ */
+async function loadWindowIdentities() {
+  const items = await chrome.storage.local.get({ [WINDOW_IDENTITIES_KEY]: [] });
+  return Array.isArray(items[WINDOW_IDENTITIES_KEY]) ? items[WINDOW_IDENTITIES_KEY] : [];
+}
+
+/**
+ * Stores window identities, keeping the MAX_WINDOW_IDENTITIES most recently seen.
+ * @async
+ * @param {Object[]} identities - Window identities
+ * @returns {Promise<void>}
+ */
+async function saveWindowIdentities(identities) {
+  const kept = identities.slice().sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0)).slice(0, MAX_WINDOW_IDENTITIES);
+  await chrome.storage.local.set({ [WINDOW_IDENTITIES_KEY]: kept });
+}
+
+/**
+ * Changes the stored identities as read right before writing them back. The
+ * UI and the service worker both write them, so a change is never applied to
+ * an earlier read, where it would undo what the other wrote in between.
+ * @async
+ * @param {Function} update - Changes the identities in place
+ * @returns {Promise<void>}
+ */
+async function updateWindowIdentities(update) {
+  const identities = await loadWindowIdentities();
+  update(identities);
+  await saveWindowIdentities(identities);
+}
+
+/**
+ * Finds the stored identity of each open window and refreshes the matched
+ * identities (window id, session and fingerprint), so they can still be
+ * recognised after the next restart. Storage is only written when something
+ * changed, and only those fields: names and colors set meanwhile are kept.
+ * @async
+ * @param {Object[]} windows - Populated Chrome windows
+ * @returns {Promise<Map<number, Object>>} Window id -> identity {name, color}
+ */
+async function resolveWindowIdentities(windows) {
+  const sessionId = await getWindowSessionId();
+  const matched = matchWindowIdentities(await loadWindowIdentities(), windows, sessionId);
+  const updates = [];
+  matched.forEach((identity, windowId) => {
+    const win = windows.find(w => w.id === windowId);
+    const fingerprint = getWindowFingerprint(win);
+    if (identity.windowId !== windowId || identity.session !== sessionId ||
+        JSON.stringify(identity.fingerprint) !== JSON.stringify(fingerprint)) {
+      updates.push({ windowId: identity.windowId, session: identity.session, newWindowId: windowId, fingerprint });
+    }
+  });
+  if (updates.length) {
+    const now = Date.now();
+    await updateWindowIdentities(identities => updates.forEach(({ windowId, session, newWindowId, fingerprint }) => {
+      const stored = identities.find(i => i.windowId === windowId && i.session === session);
+      // forgotten meanwhile, or the window got another identity
+      if (!stored || identities.some(i => i !== stored && i.windowId === newWindowId && i.session === sessionId)) return;
+      Object.assign(stored, { windowId: newWindowId, session: sessionId, fingerprint, lastSeen: now });
+    }));
+  }
+  return matched;
+}
+
+/**
+ * Sets the name and color of a window. Clearing both forgets the window.
+ * @async
+ * @param {Object} win - Populated Chrome window
+ * @param {Object} props - {name, color}; an empty name or color clears it
+ * @returns {Promise<void>}
+ */
+async function setWindowIdentity(win, { name = '', color = '' }) {
+  const sessionId = await getWindowSessionId();
+  const trimmed = String(name).trim();
+  const validColor = WINDOW_COLOR_NAMES.includes(color) ? color : '';
+  await updateWindowIdentities((identities) => {
+    const index = identities.findIndex(i => i.windowId === win.id && i.session === sessionId);
+    if (index !== -1) identities.splice(index, 1);
+    if (trimmed || validColor) {
+      identities.push({
+        windowId: win.id,
+        session: sessionId,
+        name: trimmed,
+        color: validColor,
+        fingerprint: getWindowFingerprint(win),
+        lastSeen: Date.now()
+      });
+    }
+  });
+}
+
+/**
+ * @param {string} url - Tab URL
+ * @returns {string} Host name without a leading "www.", or '' for URLs without one
+ */
+function getUrlHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Returns an automatic label for a window: its dominant domain when at least
+ * half of its tabs (and at least two) share one, else the active tab title.
+ * @param {Object} win - Populated Chrome window
+ * @returns {string}
+ */
+function getAutoWindowLabel(win) {
+  const tabs = win.tabs || [];
+  const counts = new Map();
+  tabs.forEach(tab => {
+    const host = getUrlHost(tab.url || tab.pendingUrl || '');
+    if (host) counts.set(host, (counts.get(host) || 0) + 1);
+  });
+  let dominant = null;
+  counts.forEach((count, host) => {
+    if (!dominant || count > counts.get(dominant)) dominant = host;
+  });
+  if (dominant && counts.get(dominant) >= 2 && counts.get(dominant) * 2 >= tabs.length) return dominant;
+  const active = tabs.find(t => t.active) || tabs[0];
+  if (!active) return `Window ${win.id}`;
+  return active.title || active.url || `Window ${win.id}`;
+}
+
+/**
+ * Returns the name to show for a window: the one the user gave it, or else
+ * its automatic label.
+ * @param {Object} win - Populated Chrome window
+ * @param {Map<number, Object>} identities - Result of resolveWindowIdentities()
+ * @returns {string}
+ */
+function getWindowName(win, identities) {
+  const identity = identities && identities.get(win.id);
+  return (identity && identity.name) || getAutoWindowLabel(win);
+}
@@ -0,0 +1,326 @@
+/**
+ * Named workspaces: full window layouts (bounds, state, tab URLs, pinned state
+ * and order) saved in chrome.storage.local and restored by recreating the
+ * windows. Also renders the workspace panel opened from the top controls.
+ */
+
+/**
+ * Storage key holding the array of saved workspaces.
+ */
+const WORKSPACES_KEY = 'workspaces';
+
+/**
+ * Reads all saved workspaces, most recently saved first.
+ * @async
+ * @returns {Promise<Object[]>} Array of {name, savedAt, windows}
+ */
+async function loadWorkspaces() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [WORKSPACES_KEY]: [] }, (items) => {
+      const list = Array.isArray(items[WORKSPACES_KEY]) ? items[WORKSPACES_KEY] : [];
+      resolve(list.slice().sort((a, b) => b.savedAt - a.savedAt));
+    });
+  });
+}
+
+/**
+ * Persists the given list of workspaces.
+ * @async
+ * @param {Object[]} list - Array of workspaces
+ * @returns {Promise<void>}
+ */
+async function storeWorkspaces(list) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [WORKSPACES_KEY]: list }, () => resolve());
+  });
+}
+
+/**
+ * Builds a serializable layout from populated Chrome windows. The UI page
+ * itself is left out so restoring a workspace does not open a second UI.
+ * @param {Object[]} windows - Windows from chrome.windows.getAll({populate: true})
+ * @returns {Object[]} Array of {left, top, width, height, state, incognito, tabs}
+ */
+function buildWorkspaceLayout(windows) {
+  const uiUrl = chrome.runtime.getURL('ui.html');
+  return windows
+    .filter(w => !w.type || w.type === 'normal')
+    .map(w => ({
+      left: w.left,
+      top: w.top,
+      width: w.width,
+      height: w.height,
+      state: w.state,
+      incognito: !!w.incognito,
+      tabs: w.tabs
+        .filter(t => !(t.url || '').startsWith(uiUrl))
+        .map(t => ({ url: t.url || t.pendingUrl || '', title: t.title || '', pinned: !!t.pinned }))
+    }))
+    .filter(w => w.tabs.length > 0);
+}
+
+/**
+ * Captures the current session as a workspace layout.
+ * @async
+ * @returns {Promise<Object[]>} Layout as returned by buildWorkspaceLayout()
+ */
+async function captureCurrentWorkspace() {
+  const windows = await chrome.windows.getAll({ populate: true });
+  return buildWorkspaceLayout(windows.sort((a, b) => a.id - b.id));
+}
+
+/**
+ * Compares a saved workspace layout against another layout (normally the
+ * current session) by window count and tab URLs.
+ * @param {Object[]} savedWindows - Layout of the saved workspace
+ * @param {Object[]} currentWindows - Layout to compare against
+ * @returns {{windowsBefore: number, windowsAfter: number, added: string[], removed: string[]}}
+ *   `added` are URLs present only in the current layout, `removed` only in the saved one
+ */
+function diffWorkspaceLayouts(savedWindows, currentWindows) {
+  const count = (layout) => {
+    const counts = new Map();
+    layout.forEach(w => w.tabs.forEach(t => counts.set(t.url, (counts.get(t.url) || 0) + 1)));
+    return counts;
+  };
+  const savedCounts = count(savedWindows);
+  const currentCounts = count(currentWindows);
+  const added = [];
+  const removed = [];
+  currentCounts.forEach((n, url) => {
+    for (let i = savedCounts.get(url) || 0; i < n; i++) added.push(url);
+  });
+  savedCounts.forEach((n, url) => {
+    for (let i = currentCounts.get(url) || 0; i < n; i++) removed.push(url);
+  });
+  return { windowsBefore: savedWindows.length, windowsAfter: currentWindows.length, added, removed };
+}
+
+/**
+ * Formats a layout diff as a short multi-line summary for a confirmation prompt.
+ * @param {Object} diff - Result of diffWorkspaceLayouts()
+ * @returns {string}
+ */
+function describeWorkspaceDiff(diff) {
+  const lines = [`Windows: ${diff.windowsBefore} → ${diff.windowsAfter}`];
+  const list = (urls) => urls.slice(0, 10).map(u => `  ${u}`).concat(urls.length > 10 ? [`  …and ${urls.length - 10} more`] : []);
+  if (diff.added.length) lines.push(`Tabs added (${diff.added.length}):`, ...list(diff.added));
+  if (diff.removed.length) lines.push(`Tabs removed (${diff.removed.length}):`, ...list(diff.removed));
+  if (!diff.added.length && !diff.removed.length) lines.push('Same tabs as the saved workspace.');
+  return lines.join('\n');
+}
+
+/**
+ * Saves the current session under the given name. When a workspace with the
+ * same name exists, the user is shown how it differs from the current session
+ * and asked to confirm before it is overwritten.
+ * @async
+ * @param {string} name - Workspace name
+ * @returns {Promise<boolean>} True if the workspace was saved
+ */
+async function saveWorkspace(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    showToast('Enter a workspace name');
+    return false;
+  }
+  const windows = await captureCurrentWorkspace();
+  const list = await loadWorkspaces();
+  const existing = list.find(ws => ws.name === trimmed);
+
+  if (existing) {
+    const diff = diffWorkspaceLayouts(existing.windows, windows);
+    if (!await confirmInPage(`Overwrite workspace "${trimmed}"?`, describeWorkspaceDiff(diff), 'Overwrite')) return false;
+    existing.windows = windows;
+    existing.savedAt = Date.now();
+  } else {
+    list.push({ name: trimmed, savedAt: Date.now(), windows });
+  }
+  await storeWorkspaces(list);
+  return true;
+}
+
+/**
+ * Renames a saved workspace.
+ * @async
+ * @param {string} oldName - Current name
+ * @param {string} newName - New name (must not be taken)
+ * @returns {Promise<boolean>} True if renamed
+ */
+async function renameWorkspace(oldName, newName) {
+  const trimmed = (newName || '').trim();
+  if (!trimmed || trimmed === oldName) return false;
+  const list = await loadWorkspaces();
+  if (list.some(ws => ws.name === trimmed)) {
+    showToast(`A workspace named "${trimmed}" already exists`, 'error');
+    return false;
+  }
+  const ws = list.find(w => w.name === oldName);
+  if (!ws) return false;
+  ws.name = trimmed;
+  await storeWorkspaces(list);
+  return true;
+}
+
+/**
+ * Deletes a saved workspace.
+ * @async
+ * @param {string} name - Workspace name
+ * @returns {Promise<void>}
+ */
+async function deleteWorkspace(name) {
+  const list = await loadWorkspaces();
+  await storeWorkspaces(list.filter(ws => ws.name !== name));
+}
+
+/**
+ * Restores a saved workspace by creating one window per saved window with the
+ * recorded bounds and state, opening its tabs in order and re-pinning them.
+ * Tabs that Chrome refuses to open are skipped.
+ * @async
+ * @param {string} name - Workspace name
+ * @returns {Promise<number[]>} Ids of the windows created
+ */
+async function restoreWorkspace(name) {
+  const list = await loadWorkspaces();
+  const ws = list.find(w => w.name === name);
+  if (!ws) return [];
+  const created = [];
+
+  for (const saved of ws.windows) {
+    if (!saved.tabs.length) continue;
+    const createData = { url: saved.tabs[0].url, focused: false };
+    if (saved.state === 'normal') {
+      ['left', 'top', 'width', 'height'].forEach(key => {
+        if (typeof saved[key] === 'number') createData[key] = saved[key];
+      });
+    }
+    if (saved.incognito) createData.incognito = true;
+
+    let win;
+    try {
+      win = await chrome.windows.create(createData);
+    } catch (err) {
+      console.error('Restoring workspace window failed:', err);
+      continue;
+    }
+    created.push(win.id);
+    if (saved.tabs[0].pinned && win.tabs && win.tabs[0]) {
+      try { await chrome.tabs.update(win.tabs[0].id, { pinned: true }); } catch (e) {}
+    }
+
+    for (const tab of saved.tabs.slice(1)) {
+      try {
+        await chrome.tabs.create({ windowId: win.id, url: tab.url, pinned: tab.pinned, active: false });
+      } catch (err) {
+        console.error('Restoring workspace tab failed:', tab.url, err);
+      }
+    }
+    if (saved.state && saved.state !== 'normal') {
+      try { await chrome.windows.update(win.id, { state: saved.state }); } catch (e) {}
+    }
+  }
+  return created;
+}
+
+/**
+ * Attaches the Workspaces button to the top controls and wires the panel
+ * that lists, saves, renames, deletes and restores workspaces.
+ * @returns {void}
+ */
+function attachWorkspacePanel() {
+  const toggleBtn = document.getElementById('workspacesBtn');
+  const panel = document.getElementById('workspacePanel');
+  const nameInput = document.getElementById('workspaceNameInput');
+  const saveBtn = document.getElementById('workspaceSaveBtn');
+  if (!toggleBtn || !panel) return;
+
+  toggleBtn.onclick = () => {
+    if (toggleControlPanel('workspacePanel')) {
+      renderWorkspaceList();
+      nameInput.focus();
+    }
+  };
+
+  const save = async () => {
+    if (await saveWorkspace(nameInput.value)) {
+      nameInput.value = '';
+      renderWorkspaceList();
+    }
+  };
+  saveBtn.onclick = save;
+  nameInput.onkeydown = (e) => {
+    e.stopPropagation(); // keep UI shortcuts out of the text field
+    if (e.key === 'Enter') save();
+    if (e.key === 'Escape') panel.hidden = true;
+  };
+}
+
+/**
+ * Renders the list of saved workspaces inside the workspace panel.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function renderWorkspaceList() {
+  const listEl = document.getElementById('workspaceList');
+  if (!listEl) return;
+  const list = await loadWorkspaces();
+  listEl.innerHTML = '';
+
+  if (list.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'workspace-empty';
+    empty.textContent = 'No saved workspaces';
+    listEl.appendChild(empty);
+    return;
+  }
+
+  list.forEach(ws => {
+    const row = document.createElement('div');
+    row.className = 'workspace-row';
+
+    const info = document.createElement('div');
+    info.className = 'workspace-info';
+    const name = document.createElement('span');
+    name.className = 'workspace-name';
+    name.textContent = ws.name;
+    const meta = document.createElement('span');
+    meta.className = 'workspace-meta';
+    const tabCount = ws.windows.reduce((n, w) => n + w.tabs.length, 0);
+    meta.textContent = `${ws.windows.length} windows · ${tabCount} tabs · ${new Date(ws.savedAt).toLocaleString()}`;
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const makeBtn = (text, title, handler) => {
+      const btn = document.createElement('button');
+      btn.className = 'control-btn';
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        try {
+          await handler();
+        } catch (err) {
+          console.error(`Workspace ${text.toLowerCase()} failed:`, err);
+          showToast(`Workspace ${text.toLowerCase()} failed`, 'error');
+        }
+        renderWorkspaceList();
+      });
+      return btn;
+    };
+
+    row.appendChild(info);
+    row.appendChild(makeBtn('Restore', 'Open this workspace in new windows', async () => {
+      await restoreWorkspace(ws.name);
+      loadWindowsAndTabs();
+    }));
+    row.appendChild(makeBtn('Rename', 'Rename this workspace', async () => {
+      const newName = await promptInPage('Rename workspace', ws.name);
+      if (newName !== null) await renameWorkspace(ws.name, newName);
+    }));
+    row.appendChild(makeBtn('Delete', 'Delete this workspace', async () => {
+      if (await confirmInPage(`Delete workspace "${ws.name}"?`, '', 'Delete')) await deleteWorkspace(ws.name);
+    }));
+    listEl.appendChild(row);
+  });
+}
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor } = require('./harness');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * @param {Object} ui - UiPage
+ * @param {number} tabId - Tab id
+ * @returns {string} The card's "last active" line
+ */
+function meta(ui, tabId) {
+  const line = ui.card(tabId).querySelector('.page-card-meta');
+  return line ? line.textContent : '';
+}
+
+test('cards show when a tab was last active and whether it is suspended', async (t) => {
+  const now = Date.now();
+  const { browser, ui } = await start(t, {
+    windows: [['a', { title: 'b', lastAccessed: now - 3 * HOUR }, { title: 'c', lastAccessed: now - 2 * 24 * HOUR, discarded: true }]]
+  });
+  assert.equal(meta(ui, browser.tabId('a')), 'Active now');
+  assert.equal(meta(ui, browser.tabId('b')), 'Last active 3h ago');
+  assert.equal(meta(ui, browser.tabId('c')), 'Suspended · Last active 2d ago');
+  assert.equal(ui.evaluate(`formatLastActive({ lastAccessed: ${now - 5 * 60000} }, ${now})`), 'Last active 5m ago');
+
+  // activating another tab moves "Active now"
+  await ui.window.chrome.tabs.update(browser.tabId('b'), { active: true });
+  await waitFor(() => meta(ui, browser.tabId('b')) === 'Active now', 'the new active tab');
+  assert.match(meta(ui, browser.tabId('a')), /^Last active/);
+});
+
+test('the sound badge mutes and unmutes the tab, and loading tabs show a spinner', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', { title: 'music', audible: true }]] });
+  const music = browser.tabId('music');
+
+  ui.card(music).querySelector('.audio-badge').click();
+  await waitFor(() => browser.tabs.get(music).mutedInfo.muted, 'the tab to be muted');
+  await waitFor(() => ui.card(music).querySelector('.audio-badge').textContent === '🔇', 'the muted badge');
+  assert.deepEqual(ui.blueSelection, []);
+
+  ui.card(music).querySelector('.audio-badge').click();
+  await waitFor(() => !browser.tabs.get(music).mutedInfo.muted, 'the tab to be unmuted');
+  await waitFor(() => ui.card(music).querySelector('.audio-badge').textContent === '🔊', 'the sound badge');
+
+  browser.pageUpdate(music, { status: 'loading' });
+  await waitFor(() => ui.card(music).querySelector('.page-card-spinner'), 'the spinner');
+  assert.equal(ui.card(music).querySelector('.page-card-favicon'), null);
+  browser.pageUpdate(music, { status: 'complete' });
+  await waitFor(() => ui.card(music).querySelector('.page-card-favicon'), 'the favicon');
+});
+
+test('cards show the thumbnail captured for the page the tab is on', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b']] });
+  const [a, b] = ['a', 'b'].map(title => browser.tabId(title));
+  ui.evaluate(`thumbnailUrls.set(${a}, { url: 'https://a.example/', capturedAt: 1, src: 'blob:a' })`);
+  ui.evaluate(`thumbnailUrls.set(${b}, { url: 'https://elsewhere.example/', capturedAt: 1, src: 'blob:b' })`);
+  ui.evaluate('renderWindowContent()');
+
+  assert.equal(ui.card(a).querySelector('.page-card-thumbnail').getAttribute('src'), 'blob:a');
+  // b has navigated since it was captured
+  assert.equal(ui.card(b).querySelector('.page-card-thumbnail'), null);
+});
+
+test('thumbnail eviction drops closed tabs, then the oldest captures over the limits', async (t) => {
+  const { background } = await start(t, {});
+  const entries = [
+    { tabId: 1, size: 100, capturedAt: 1 },
+    { tabId: 2, size: 100, capturedAt: 4 },
+    { tabId: 3, size: 300, capturedAt: 3 },
+    { tabId: 4, size: 100, capturedAt: 2 },
+    { tabId: 5, size: 100, capturedAt: 5 }
+  ];
+  const plan = (open, limits) => Array.from(background.planThumbnailEviction(entries, open, limits)).sort();
+  assert.deepEqual(plan(null, { maxCount: 10, maxBytes: 1000 }), []);
+  assert.deepEqual(plan(new Set([1, 2, 3, 4]), { maxCount: 10, maxBytes: 1000 }), [5]);
+  assert.deepEqual(plan(null, { maxCount: 3, maxBytes: 1000 }), [1, 4]);
+  // 3 does not fit next to 5 and 2, but the older 4 does
+  assert.deepEqual(plan(null, { maxCount: 10, maxBytes: 350 }), [1, 3]);
+});
@@ -0,0 +1,690 @@
+'use strict';
+
+/**
+ * In-memory fake of the chrome.* extension APIs used by the Tab Manager:
+ * windows, tabs, tabGroups, storage, runtime messaging, contextMenus,
+ * alarms, commands and action. One FakeBrowser holds the state; every extension
+ * context (service worker, UI page) gets its own `chrome` object from
+ * createApi() so runtime messages only reach the other contexts, like in
+ * Chrome. Events are delivered asynchronously to every context.
+ *
+ * Tab moves follow Chrome's rules: a batched chrome.tabs.move places the
+ * tabs one at a time, each at its final index, pinned tabs always stay in
+ * front of unpinned ones, and tabs only move between normal windows of the
+ * same profile (incognito or not).
+ */
+
+const EXTENSION_ID = 'fakeextensionid';
+const NONE = -1;
+
+/**
+ * Returns an API function that accepts an optional trailing callback, like
+ * the chrome.* functions, and always returns a promise.
+ * @param {Object} api - The chrome object (for runtime.lastError)
+ * @param {Function} impl - Implementation, may be async
+ * @returns {Function}
+ */
+function wrap(api, impl) {
+  return (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const promise = Promise.resolve().then(() => impl(...args));
+    if (!callback) return promise;
+    promise.then((value) => callback(value), (err) => {
+      api.runtime.lastError = { message: err.message };
+      try { callback(); } finally { api.runtime.lastError = undefined; }
+    });
+    return undefined;
+  };
+}
+
+class FakeBrowser {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Array<string|Object>|Object>} [options.windows] - Tabs per
+   *   window; a string is a tab title (with a matching https URL), an object
+   *   may set title, url, pinned, active, audible, muted, discarded and
+   *   lastAccessed. A window given as an object sets
+   *   type and incognito and lists its tabs under `tabs`.
+   * @param {Object} [options.storage] - Initial {sync, local, session} contents
+   */
+  constructor({ windows = [], storage = {} } = {}) {
+    this.nextId = 1;
+    this.windows = new Map(); // id -> window state with tabIds in order
+    this.tabs = new Map(); // id -> tab state
+    this.groups = new Map(); // id -> group state
+    this.storage = {
+      sync: structuredClone(storage.sync || {}),
+      local: structuredClone(storage.local || {}),
+      session: structuredClone(storage.session || {})
+    };
+    this.listeners = new Map(); // event name -> [{context, fn}]
+    this.menus = new Map();
+    this.alarms = new Map(); // name -> alarm
+    this.bookmarks = []; // {id, parentId, title, url}; folders have no url
+    windows.forEach((desc, i) => {
+      const { tabs, ...props } = Array.isArray(desc) ? { tabs: desc } : desc;
+      const win = this.addWindow({ ...props, focused: i === 0 });
+      tabs.forEach(desc => this.addTab(win.id, typeof desc === 'string' ? { title: desc } : desc));
+      if (win.tabIds.length && !win.tabIds.some(id => this.tabs.get(id).active)) {
+        this.tabs.get(win.tabIds[0]).active = true;
+      }
+    });
+  }
+
+  /**
+   * @param {string} path - Path inside the extension
+   * @returns {string} The extension URL
+   */
+  getURL(path) {
+    return `chrome-extension://${EXTENSION_ID}/${path.replace(/^\//, '')}`;
+  }
+
+  // ---- state helpers -------------------------------------------------------
+
+  addWindow(props = {}) {
+    if (props.focused) this.windows.forEach(w => { w.focused = false; });
+    const win = {
+      id: this.nextId++,
+      focused: Boolean(props.focused),
+      state: props.state || 'normal',
+      type: props.type || 'normal',
+      incognito: Boolean(props.incognito),
+      left: props.left || 0,
+      top: props.top || 0,
+      width: props.width || 1024,
+      height: props.height || 768,
+      alwaysOnTop: false,
+      tabIds: []
+    };
+    this.windows.set(win.id, win);
+    return win;
+  }
+
+  addTab(windowId, props = {}, index = -1) {
+    const win = this.requireWindow(windowId);
+    const title = props.title || '';
+    const tab = {
+      id: this.nextId++,
+      windowId,
+      url: props.url || (title ? `https://${title.toLowerCase().replace(/\W+/g, '-')}.example/` : 'chrome://newtab/'),
+      title,
+      pinned: Boolean(props.pinned),
+      active: Boolean(props.active),
+      highlighted: Boolean(props.active),
+      groupId: NONE,
+      audible: Boolean(props.audible),
+      mutedInfo: { muted: Boolean(props.muted) },
+      discarded: Boolean(props.discarded),
+      status: 'complete',
+      favIconUrl: '',
+      incognito: win.incognito,
+      lastAccessed: props.lastAccessed || Date.now()
+    };
+    this.tabs.set(tab.id, tab);
+    this.insertIntoStrip(win, tab, index);
+    return tab;
+  }
+
+  requireWindow(id) {
+    const win = this.windows.get(id);
+    if (!win) throw new Error(`No window with id: ${id}.`);
+    return win;
+  }
+
+  requireTab(id) {
+    const tab = this.tabs.get(id);
+    if (!tab) throw new Error(`No tab with id: ${id}.`);
+    return tab;
+  }
+
+  pinnedCount(win, exceptId) {
+    return win.tabIds.filter(id => id !== exceptId && this.tabs.get(id).pinned).length;
+  }
+
+  /** Clamps an index so pinned tabs stay in front of unpinned ones. */
+  constrainIndex(win, tab, index) {
+    const pinned = this.pinnedCount(win, tab.id);
+    return tab.pinned ? Math.min(index, pinned) : Math.max(index, pinned);
+  }
+
+  insertIntoStrip(win, tab, index) {
+    let to = index === -1 || index > win.tabIds.length ? win.tabIds.length : index;
+    to = this.constrainIndex(win, tab, to);
+    win.tabIds.splice(to, 0, tab.id);
+    tab.windowId = win.id;
+    return to;
+  }
+
+  detachFromStrip(tab) {
+    const win = this.windows.get(tab.windowId);
+    const from = win.tabIds.indexOf(tab.id);
+    win.tabIds.splice(from, 1);
+    if (tab.active && win.tabIds.length) {
+      tab.active = false;
+      this.tabs.get(win.tabIds[Math.min(from, win.tabIds.length - 1)]).active = true;
+    }
+    return { win, from };
+  }
+
+  closeWindowIfEmpty(win) {
+    if (win.tabIds.length) return;
+    this.windows.delete(win.id);
+    this.fire('windows.onRemoved', win.id);
+  }
+
+  cleanupGroups() {
+    for (const group of Array.from(this.groups.values())) {
+      const used = Array.from(this.tabs.values()).some(t => t.groupId === group.id);
+      if (!used) {
+        this.groups.delete(group.id);
+        this.fire('tabGroups.onRemoved', this.groupInfo(group));
+      }
+    }
+  }
+
+  /** Throws Chrome's errors for tabs that cannot leave their window or enter `target`. */
+  checkMovable(tab, target) {
+    const source = this.windows.get(tab.windowId);
+    if (source.type !== 'normal' || (target && target.type !== 'normal')) {
+      throw new Error('Tabs can only be moved to and from normal windows.');
+    }
+    if (target && source.incognito !== target.incognito) {
+      throw new Error('Tabs can only be moved between windows in the same profile.');
+    }
+  }
+
+  /**
+   * Moves one tab like TabsMoveFunction::MoveTab.
+   * @returns {number} The index the tab ended up at
+   */
+  moveTab(tabId, windowId, index) {
+    const tab = this.requireTab(tabId);
+    const target = this.requireWindow(windowId);
+    this.checkMovable(tab, target);
+    if (tab.windowId === windowId) {
+      const from = target.tabIds.indexOf(tabId);
+      let to = index === -1 || index >= target.tabIds.length ? target.tabIds.length - 1 : index;
+      target.tabIds.splice(from, 1);
+      to = this.constrainIndex(target, tab, Math.min(to, target.tabIds.length));
+      target.tabIds.splice(to, 0, tabId);
+      if (from !== to) this.fire('tabs.onMoved', tabId, { windowId, fromIndex: from, toIndex: to });
+      return to;
+    }
+    const { win: source, from } = this.detachFromStrip(tab);
+    tab.active = false;
+    tab.highlighted = false;
+    tab.groupId = NONE;
+    const to = this.insertIntoStrip(target, tab, index);
+    this.fire('tabs.onDetached', tabId, { oldWindowId: source.id, oldPosition: from });
+    this.fire('tabs.onAttached', tabId, { newWindowId: windowId, newPosition: to });
+    this.closeWindowIfEmpty(source);
+    this.cleanupGroups();
+    return to;
+  }
+
+  removeTab(tabId) {
+    const tab = this.requireTab(tabId);
+    const { win } = this.detachFromStrip(tab);
+    this.tabs.delete(tabId);
+    this.fire('tabs.onRemoved', tabId, { windowId: win.id, isWindowClosing: win.tabIds.length === 0 });
+    this.closeWindowIfEmpty(win);
+    this.cleanupGroups();
+  }
+
+  tabInfo(tab) {
+    const win = this.windows.get(tab.windowId);
+    const { id, windowId, url, title, pinned, active, highlighted, groupId, audible, discarded, status, favIconUrl, incognito, lastAccessed } = tab;
+    return { id, windowId, index: win.tabIds.indexOf(id), url, title, pinned, active, highlighted, groupId, audible, mutedInfo: { ...tab.mutedInfo }, discarded, status, favIconUrl, incognito, lastAccessed };
+  }
+
+  windowInfo(win, populate) {
+    const { id, focused, state, type, incognito, left, top, width, height, alwaysOnTop } = win;
+    const info = { id, focused, state, type, incognito, left, top, width, height, alwaysOnTop };
+    if (populate) info.tabs = win.tabIds.map(tid => this.tabInfo(this.tabs.get(tid)));
+    return info;
+  }
+
+  groupInfo(group) {
+    return { ...group };
+  }
+
+  focusWindow(windowId) {
+    const win = this.requireWindow(windowId);
+    if (win.focused) return;
+    this.windows.forEach(w => { w.focused = false; });
+    win.focused = true;
+    this.fire('windows.onFocusChanged', windowId);
+  }
+
+  // ---- events ----------------------------------------------------------------
+
+  event(name, context) {
+    return {
+      addListener: (fn) => {
+        if (!this.listeners.has(name)) this.listeners.set(name, []);
+        this.listeners.get(name).push({ context, fn });
+      },
+      removeListener: (fn) => {
+        const list = this.listeners.get(name) || [];
+        this.listeners.set(name, list.filter(l => l.fn !== fn));
+      },
+      hasListener: (fn) => (this.listeners.get(name) || []).some(l => l.fn === fn)
+    };
+  }
+
+  /** Delivers an event to every context on a later task. */
+  fire(name, ...args) {
+    const list = (this.listeners.get(name) || []).slice();
+    if (!list.length) return;
+    const payload = structuredClone(args);
+    setTimeout(() => list.forEach((l) => {
+      if ((this.listeners.get(name) || []).includes(l)) l.fn(...payload);
+    }), 0);
+  }
+
+  /**
+   * Sends a runtime message to the listeners of every other context.
+   * @returns {Promise<*>} The first response
+   */
+  sendMessage(fromContext, message, sender) {
+    const list = (this.listeners.get('runtime.onMessage') || []).filter(l => l.context !== fromContext);
+    if (!list.length) {
+      return Promise.reject(new Error('Could not establish connection. Receiving end does not exist.'));
+    }
+    return new Promise((resolve) => {
+      let answered = false;
+      let pending = 0;
+      const respond = (response) => {
+        if (answered) return;
+        answered = true;
+        resolve(response === undefined ? undefined : structuredClone(response));
+      };
+      for (const l of list) {
+        const keepOpen = l.fn(structuredClone(message), sender, respond);
+        if (keepOpen === true) pending++;
+      }
+      if (!pending) respond(undefined);
+    });
+  }
+
+  // ---- queries used by tests -------------------------------------------------
+
+  /**
+   * @returns {string[][]} Tab titles per window, windows in id order
+   */
+  layout() {
+    return Array.from(this.windows.values())
+      .sort((a, b) => a.id - b.id)
+      .map(w => w.tabIds.map(id => this.tabs.get(id).title));
+  }
+
+  /**
+   * @param {string} title - Tab title
+   * @returns {number} The id of the tab with that title
+   */
+  tabId(title) {
+    const tab = Array.from(this.tabs.values()).find(t => t.title === title);
+    if (!tab) throw new Error(`No tab titled ${title}`);
+    return tab.id;
+  }
+
+  /**
+   * @returns {number[]} Window ids in id order
+   */
+  windowIds() {
+    return Array.from(this.windows.keys()).sort((a, b) => a - b);
+  }
+
+  /**
+   * Changes a tab the way its page would (title, favicon, loading status,
+   * sound) and fires tabs.onUpdated with the changes.
+   * @param {number} tabId - Tab id
+   * @param {Object} changes - New values of tab properties
+   * @returns {void}
+   */
+  pageUpdate(tabId, changes) {
+    Object.assign(this.requireTab(tabId), changes);
+    this.fire('tabs.onUpdated', tabId, changes, this.tabInfo(this.requireTab(tabId)));
+  }
+
+  /**
+   * Fires a scheduled alarm, as Chrome does when its time comes.
+   * @param {string} name - Alarm name
+   * @returns {void}
+   */
+  fireAlarm(name) {
+    const alarm = this.alarms.get(name);
+    if (!alarm) throw new Error(`No alarm named ${name}`);
+    this.fire('alarms.onAlarm', { ...alarm });
+  }
+
+  // ---- API -----------------------------------------------------------------
+
+  /**
+   * Creates the `chrome` object of one extension context.
+   * @param {string} context - Context name, e.g. 'background' or 'ui'
+   * @param {Object} [options]
+   * @param {number} [options.tabId] - The tab hosting the context (for extension pages)
+   * @returns {Object}
+   */
+  createApi(context, { tabId = null } = {}) {
+    const api = {};
+    const fn = impl => wrap(api, impl);
+    const ev = name => this.event(name, context);
+    const contextWindowId = () => {
+      if (tabId !== null && this.tabs.has(tabId)) return this.tabs.get(tabId).windowId;
+      const focused = Array.from(this.windows.values()).find(w => w.focused);
+      return focused ? focused.id : this.windowIds()[0];
+    };
+
+    const storageArea = (areaName) => ({
+      get: fn((keys) => {
+        const data = this.storage[areaName];
+        let result;
+        if (keys === null || keys === undefined) result = { ...data };
+        else if (typeof keys === 'string') result = keys in data ? { [keys]: data[keys] } : {};
+        else if (Array.isArray(keys)) result = Object.fromEntries(keys.filter(k => k in data).map(k => [k, data[k]]));
+        else result = Object.fromEntries(Object.entries(keys).map(([k, def]) => [k, k in data ? data[k] : def]));
+        return structuredClone(result);
+      }),
+      set: fn((items) => {
+        const changes = {};
+        Object.entries(items).forEach(([k, v]) => {
+          changes[k] = { oldValue: this.storage[areaName][k], newValue: v };
+          this.storage[areaName][k] = structuredClone(v);
+        });
+        this.fire('storage.onChanged', changes, areaName);
+      }),
+      remove: fn((keys) => {
+        [].concat(keys).forEach(k => { delete this.storage[areaName][k]; });
+      }),
+      clear: fn(() => { this.storage[areaName] = {}; })
+    });
+
+    api.runtime = {
+      id: EXTENSION_ID,
+      lastError: undefined,
+      getURL: path => this.getURL(path),
+      sendMessage: fn((message) => {
+        const sender = { id: EXTENSION_ID, url: tabId !== null ? this.getURL('ui.html') : undefined };
+        if (tabId !== null && this.tabs.has(tabId)) sender.tab = this.tabInfo(this.tabs.get(tabId));
+        return this.sendMessage(context, message, sender);
+      }),
+      openOptionsPage: fn(() => {}),
+      onMessage: ev('runtime.onMessage'),
+      onInstalled: ev('runtime.onInstalled'),
+      onStartup: ev('runtime.onStartup')
+    };
+
+    api.storage = {
+      sync: storageArea('sync'),
+      local: storageArea('local'),
+      session: storageArea('session'),
+      onChanged: ev('storage.onChanged')
+    };
+
+    api.windows = {
+      WINDOW_ID_NONE: NONE,
+      WINDOW_ID_CURRENT: -2,
+      get: fn((id, opts = {}) => this.windowInfo(this.requireWindow(id), opts.populate)),
+      getAll: fn((opts = {}) => Array.from(this.windows.values())
+        .filter(w => (opts.windowTypes ? opts.windowTypes.includes(w.type) : w.type !== 'devtools'))
+        .map(w => this.windowInfo(w, opts.populate))),
+      getCurrent: fn((opts = {}) => this.windowInfo(this.requireWindow(contextWindowId()), opts.populate)),
+      getLastFocused: fn((opts = {}) => {
+        const candidates = Array.from(this.windows.values()).filter(w => !opts.windowTypes || opts.windowTypes.includes(w.type));
+        const win = candidates.find(w => w.focused) || candidates[candidates.length - 1];
+        if (!win) throw new Error('No last-focused window');
+        return this.windowInfo(win, opts.populate);
+      }),
+      create: fn((props = {}) => {
+        const focused = props.focused !== false;
+        if (typeof props.tabId === 'number') this.checkMovable(this.requireTab(props.tabId), null);
+        const win = this.addWindow({ ...props, focused: false });
+        this.fire('windows.onCreated', this.windowInfo(win, false));
+        if (typeof props.tabId === 'number') {
+          const tab = this.requireTab(props.tabId);
+          win.incognito = tab.incognito;
+          const { win: source } = this.detachFromStrip(tab);
+          tab.pinned = false; // Chrome unpins a tab that seeds a new window
+          tab.groupId = NONE;
+          tab.active = true;
+          this.insertIntoStrip(win, tab, -1);
+          this.fire('tabs.onDetached', tab.id, { oldWindowId: source.id, oldPosition: 0 });
+          this.fire('tabs.onAttached', tab.id, { newWindowId: win.id, newPosition: 0 });
+          this.closeWindowIfEmpty(source);
+          this.cleanupGroups();
+        } else {
+          const urls = props.url === undefined ? ['chrome://newtab/'] : [].concat(props.url);
+          urls.forEach((url, i) => {
+            const tab = this.addTab(win.id, { url, title: url, active: i === 0 });
+            this.fire('tabs.onCreated', this.tabInfo(tab));
+          });
+        }
+        if (focused) this.focusWindow(win.id);
+        return this.windowInfo(win, true);
+      }),
+      update: fn((id, props = {}) => {
+        const win = this.requireWindow(id);
+        ['state', 'left', 'top', 'width', 'height'].forEach(k => { if (props[k] !== undefined) win[k] = props[k]; });
+        if (props.focused) this.focusWindow(id);
+        return this.windowInfo(win, false);
+      }),
+      remove: fn((id) => {
+        const win = this.requireWindow(id);
+        win.tabIds.slice().forEach(tid => this.removeTab(tid));
+      }),
+      onCreated: ev('windows.onCreated'),
+      onRemoved: ev('windows.onRemoved'),
+      onFocusChanged: ev('windows.onFocusChanged'),
+      onBoundsChanged: ev('windows.onBoundsChanged')
+    };
+
+    api.tabs = {
+      TAB_ID_NONE: NONE,
+      get: fn(id => this.tabInfo(this.requireTab(id))),
+      getCurrent: fn(() => (tabId !== null && this.tabs.has(tabId) ? this.tabInfo(this.tabs.get(tabId)) : undefined)),
+      query: fn((query = {}) => {
+        const focused = Array.from(this.windows.values()).find(w => w.focused);
+        const result = [];
+        this.windowIds().forEach(wid => {
+          const win = this.windows.get(wid);
+          if (query.windowId !== undefined && query.windowId !== wid) return;
+          if (query.currentWindow !== undefined && (wid === contextWindowId()) !== query.currentWindow) return;
+          if (query.lastFocusedWindow !== undefined && (focused && wid === focused.id) !== query.lastFocusedWindow) return;
+          if (query.windowType !== undefined && win.type !== query.windowType) return;
+          win.tabIds.forEach(tid => {
+            const tab = this.tabInfo(this.tabs.get(tid));
+            if (query.url !== undefined && ![].concat(query.url).some(pattern => new RegExp(`^${pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*')}$`).test(tab.url))) return;
+            if (query.title !== undefined && tab.title !== query.title) return;
+            if (query.muted !== undefined && tab.mutedInfo.muted !== query.muted) return;
+            for (const key of ['pinned', 'active', 'highlighted', 'audible', 'discarded', 'groupId', 'status']) {
+              if (query[key] !== undefined && tab[key] !== query[key]) return;
+            }
+            result.push(tab);
+          });
+        });
+        return result;
+      }),
+      create: fn((props = {}) => {
+        const windowId = props.windowId !== undefined ? props.windowId : contextWindowId();
+        const win = this.requireWindow(windowId);
+        const tab = this.addTab(windowId, { url: props.url, title: props.url || '', pinned: props.pinned }, props.index === undefined ? -1 : props.index);
+        if (props.active !== false) {
+          win.tabIds.forEach(tid => { this.tabs.get(tid).active = false; });
+          tab.active = true;
+        }
+        this.fire('tabs.onCreated', this.tabInfo(tab));
+        return this.tabInfo(tab);
+      }),
+      update: fn((id, props = {}) => {
+        const tab = this.requireTab(id);
+        const win = this.windows.get(tab.windowId);
+        const changes = {};
+        if (props.pinned !== undefined && props.pinned !== tab.pinned) {
+          const from = win.tabIds.indexOf(tab.id);
+          win.tabIds.splice(from, 1);
+          // pinning moves the tab after the last pinned tab, unpinning right behind them
+          const to = this.pinnedCount(win, tab.id);
+          tab.pinned = props.pinned;
+          win.tabIds.splice(to, 0, tab.id);
+          changes.pinned = props.pinned;
+          if (from !== to) this.fire('tabs.onMoved', tab.id, { windowId: win.id, fromIndex: from, toIndex: to });
+        }
+        if (props.active) {
+          win.tabIds.forEach(tid => { this.tabs.get(tid).active = false; });
+          tab.active = true;
+          this.fire('tabs.onActivated', { tabId: tab.id, windowId: win.id });
+        }
+        if (props.muted !== undefined) {
+          tab.mutedInfo = { muted: props.muted };
+          changes.mutedInfo = tab.mutedInfo;
+        }
+        if (props.url !== undefined) {
+          tab.url = props.url;
+          changes.url = props.url;
+        }
+        if (props.highlighted !== undefined) tab.highlighted = props.highlighted;
+        if (Object.keys(changes).length) this.fire('tabs.onUpdated', tab.id, changes, this.tabInfo(tab));
+        return this.tabInfo(tab);
+      }),
+      move: fn((ids, props = {}) => {
+        const list = [].concat(ids);
+        list.forEach(id => this.requireTab(id));
+        let index = props.index === undefined ? -1 : props.index;
+        const moved = list.map((id) => {
+          const windowId = props.windowId !== undefined ? props.windowId : this.tabs.get(id).windowId;
+          const to = this.moveTab(id, windowId, index);
+          if (index !== -1) index = to + 1;
+          return this.tabInfo(this.tabs.get(id));
+        });
+        return Array.isArray(ids) ? moved : moved[0];
+      }),
+      remove: fn((ids) => {
+        [].concat(ids).forEach(id => this.requireTab(id));
+        [].concat(ids).forEach(id => this.removeTab(id));
+      }),
+      reload: fn((id) => {
+        const tab = this.requireTab(id);
+        if (!tab.discarded) return;
+        tab.discarded = false;
+        this.fire('tabs.onUpdated', tab.id, { discarded: false }, this.tabInfo(tab));
+      }),
+      duplicate: fn((id) => {
+        const tab = this.requireTab(id);
+        const win = this.windows.get(tab.windowId);
+        const copy = this.addTab(win.id, { title: tab.title, url: tab.url, pinned: tab.pinned }, win.tabIds.indexOf(id) + 1);
+        win.tabIds.forEach(tid => { this.tabs.get(tid).active = false; });
+        copy.active = true;
+        this.fire('tabs.onCreated', this.tabInfo(copy));
+        return this.tabInfo(copy);
+      }),
+      discard: fn((id) => {
+        const tab = this.requireTab(id);
+        if (tab.active) throw new Error('Cannot discard the active tab.');
+        tab.discarded = true;
+        this.fire('tabs.onUpdated', tab.id, { discarded: true }, this.tabInfo(tab));
+        return this.tabInfo(tab);
+      }),
+      group: fn(({ tabIds, groupId, createProperties = {} }) => {
+        const ids = [].concat(tabIds);
+        ids.forEach(id => this.requireTab(id));
+        let group = groupId !== undefined ? this.groups.get(groupId) : null;
+        if (groupId !== undefined && !group) throw new Error(`No group with id: ${groupId}.`);
+        if (!group) {
+          const windowId = createProperties.windowId !== undefined ? createProperties.windowId : this.tabs.get(ids[0]).windowId;
+          group = { id: this.nextId++, windowId, title: '', color: 'grey', collapsed: false };
+          this.groups.set(group.id, group);
+          this.fire('tabGroups.onCreated', this.groupInfo(group));
+        }
+        ids.forEach((id) => {
+          if (this.tabs.get(id).windowId !== group.windowId) this.moveTab(id, group.windowId, -1);
+          this.tabs.get(id).groupId = group.id;
+        });
+        this.cleanupGroups();
+        return group.id;
+      }),
+      ungroup: fn((ids) => {
+        [].concat(ids).forEach((id) => { this.requireTab(id).groupId = NONE; });
+        this.cleanupGroups();
+      }),
+      onCreated: ev('tabs.onCreated'),
+      onRemoved: ev('tabs.onRemoved'),
+      onUpdated: ev('tabs.onUpdated'),
+      onMoved: ev('tabs.onMoved'),
+      onActivated: ev('tabs.onActivated'),
+      onAttached: ev('tabs.onAttached'),
+      onDetached: ev('tabs.onDetached'),
+      onHighlighted: ev('tabs.onHighlighted')
+    };
+
+    api.tabGroups = {
+      TAB_GROUP_ID_NONE: NONE,
+      get: fn((id) => {
+        const group = this.groups.get(id);
+        if (!group) throw new Error(`No group with id: ${id}.`);
+        return this.groupInfo(group);
+      }),
+      query: fn((query = {}) => Array.from(this.groups.values())
+        .filter(g => Object.entries(query).every(([k, v]) => g[k] === v))
+        .map(g => this.groupInfo(g))),
+      update: fn((id, props = {}) => {
+        const group = this.groups.get(id);
+        if (!group) throw new Error(`No group with id: ${id}.`);
+        ['title', 'color', 'collapsed'].forEach(k => { if (props[k] !== undefined) group[k] = props[k]; });
+        this.fire('tabGroups.onUpdated', this.groupInfo(group));
+        return this.groupInfo(group);
+      }),
+      onCreated: ev('tabGroups.onCreated'),
+      onUpdated: ev('tabGroups.onUpdated'),
+      onRemoved: ev('tabGroups.onRemoved')
+    };
+
+    api.bookmarks = {
+      create: fn(({ parentId = '2', title = '', url } = {}) => {
+        const node = { id: String(this.nextId++), parentId, title, ...(url ? { url } : {}) };
+        this.bookmarks.push(node);
+        return { ...node };
+      }),
+      search: fn(query => this.bookmarks
+        .filter(node => (typeof query === 'string' ? node.title.includes(query) || (node.url || '').includes(query)
+          : Object.entries(query).every(([k, v]) => node[k] === v)))
+        .map(node => ({ ...node }))),
+      getChildren: fn(id => this.bookmarks.filter(node => node.parentId === id).map(node => ({ ...node })))
+    };
+
+    api.contextMenus = {
+      create: (props, callback) => {
+        this.menus.set(props.id, { ...props });
+        if (callback) setTimeout(callback, 0);
+        return props.id;
+      },
+      update: fn((id, props) => { Object.assign(this.menus.get(id) || {}, props); }),
+      removeAll: fn(() => { this.menus.clear(); }),
+      onClicked: ev('contextMenus.onClicked')
+    };
+
+    api.alarms = {
+      create: fn((name, info = {}) => {
+        this.alarms.set(name, { name, periodInMinutes: info.periodInMinutes, scheduledTime: Date.now() + (info.delayInMinutes || info.periodInMinutes || 0) * 60000 });
+      }),
+      get: fn(name => (this.alarms.has(name) ? { ...this.alarms.get(name) } : undefined)),
+      getAll: fn(() => Array.from(this.alarms.values(), a => ({ ...a }))),
+      clear: fn(name => this.alarms.delete(name)),
+      onAlarm: ev('alarms.onAlarm')
+    };
+
+    api.commands = {
+      getAll: fn(() => []),
+      onCommand: ev('commands.onCommand')
+    };
+
+    api.action = {
+      onClicked: ev('action.onClicked')
+    };
+
+    return api;
+  }
+}
+
+module.exports = { FakeBrowser, EXTENSION_ID };
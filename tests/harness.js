@@ -0,0 +1,427 @@
+'use strict';
+
+/**
+ * Test harness: loads the service worker (background.js) into a VM context
+ * and ui.html with all of its scripts into a jsdom page, both talking to the
+ * same FakeBrowser. jsdom does no layout, so the page gets a simple geometry
+ * model: window buttons in a row at the top, page cards in a grid below (or,
+ * in the overview, in lanes side by side).
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { FakeBrowser } = require('./fake-chrome');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'extension_tabmanager');
+
+/** Geometry model: window buttons and page cards. */
+const WINDOW_TAB = { width: 110, height: 40, gap: 10 };
+const CARD = { width: 200, height: 100, gap: 10, columns: 4, top: 100 };
+const LANE = { width: 150, height: 600, gap: 10, header: 30, row: 40 };
+/** Viewport of the content area when it shows a virtualized window. */
+const VIEWPORT = { width: 960, height: 600 };
+
+/**
+ * Runs an extension script as a classic script, so top-level declarations
+ * are shared with the scripts loaded after it.
+ * @param {Object} context - VM context
+ * @param {string} file - File name inside the extension directory
+ * @returns {void}
+ */
+function runScript(context, file) {
+  const code = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+  new vm.Script(code, { filename: file }).runInContext(context);
+}
+
+/**
+ * Resolves after `ms` milliseconds.
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Polls until `predicate` returns a truthy value.
+ * @param {Function} predicate - Condition to wait for
+ * @param {string} [what] - Description for the timeout error
+ * @param {number} [timeout=2000] - Milliseconds before giving up
+ * @returns {Promise<*>} The truthy value
+ */
+async function waitFor(predicate, what = 'condition', timeout = 2000) {
+  const started = Date.now();
+  for (;;) {
+    const value = predicate();
+    if (value) return value;
+    if (Date.now() - started > timeout) throw new Error(`Timed out waiting for ${what}`);
+    await sleep(10);
+  }
+}
+
+/**
+ * Loads background.js (and the scripts it imports) into a fresh context.
+ * @param {FakeBrowser} browser - Browser to talk to
+ * @returns {Object} The service worker's global object
+ */
+function loadBackground(browser) {
+  const context = vm.createContext({ console, setTimeout, clearTimeout, structuredClone, URL });
+  context.self = context;
+  context.chrome = browser.createApi('background');
+  context.importScripts = (...files) => files.forEach(file => runScript(context, file));
+  runScript(context, 'background.js');
+  return context;
+}
+
+/**
+ * Gives page cards and window buttons bounding boxes and implements
+ * document.elementFromPoint over them. Cards flow through a grid in document
+ * order; hidden cards take no space. In the overview, lanes stand side by
+ * side and each lane's cards are stacked in rows below its header. A
+ * virtualized window places its cards itself (--virtual-left/top), in a
+ * scrolled viewport of VIEWPORT size.
+ * @param {Object} window - jsdom window
+ * @returns {void}
+ */
+function installGeometry(window) {
+  const { document } = window;
+  const isHidden = el => Boolean(el.closest('[hidden], .tab-group-section.collapsed .tab-group-body'))
+    || (() => { for (let e = el; e; e = e.parentElement) if (e.style && e.style.display === 'none') return true; return false; })();
+  const visibleCards = () => Array.from(document.querySelectorAll('#windowContent .page-card')).filter(c => !isHidden(c));
+  const lanes = () => Array.from(document.querySelectorAll('#windowContent .overview-lane'));
+  const rect = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height, x: left, y: top });
+  const zero = rect(0, 0, 0, 0);
+
+  const originalRect = window.Element.prototype.getBoundingClientRect;
+  window.Element.prototype.getBoundingClientRect = function getBoundingClientRect() {
+    if (this.matches('.window-tab')) {
+      const i = Array.from(document.querySelectorAll('.window-tab')).indexOf(this);
+      return rect(i * (WINDOW_TAB.width + WINDOW_TAB.gap), 0, WINDOW_TAB.width, WINDOW_TAB.height);
+    }
+    if (this.matches('#windowContent .overview-lane')) {
+      const i = lanes().indexOf(this);
+      return rect(i * (LANE.width + LANE.gap), CARD.top, LANE.width, LANE.height);
+    }
+    if (this.matches('#windowContent .overview-lane .page-card')) {
+      const lane = this.closest('.overview-lane');
+      const j = visibleCards().filter(c => lane.contains(c)).indexOf(this);
+      if (j === -1) return zero;
+      const { left } = lane.getBoundingClientRect();
+      return rect(left, CARD.top + LANE.header + j * (LANE.row + LANE.gap), LANE.width, LANE.row);
+    }
+    if (this.id === 'windowContent' && this.classList.contains('virtual')) {
+      return rect(0, CARD.top, VIEWPORT.width, VIEWPORT.height);
+    }
+    if (this.matches('#windowContent.virtual > .page-card')) {
+      if (isHidden(this)) return zero;
+      const content = this.parentElement;
+      const px = name => parseFloat(this.style.getPropertyValue(name));
+      return rect(px('--virtual-left') - content.scrollLeft, CARD.top + px('--virtual-top') - content.scrollTop,
+        px('--virtual-width'), px('--virtual-height'));
+    }
+    if (this.id === 'windowContent' && this.classList.contains('overview')) {
+      return rect(0, CARD.top, lanes().length * (LANE.width + LANE.gap), LANE.height);
+    }
+    if (this.id === 'windowContent') {
+      const rows = Math.max(1, Math.ceil(visibleCards().length / CARD.columns));
+      return rect(0, CARD.top, CARD.columns * (CARD.width + CARD.gap), rows * (CARD.height + CARD.gap));
+    }
+    if (this.matches('#windowContent .page-card')) {
+      const i = visibleCards().indexOf(this);
+      if (i === -1) return zero;
+      const col = i % CARD.columns;
+      const row = Math.floor(i / CARD.columns);
+      return rect(col * (CARD.width + CARD.gap), CARD.top + row * (CARD.height + CARD.gap), CARD.width, CARD.height);
+    }
+    return originalRect.call(this);
+  };
+
+  for (const [name, size] of [['clientWidth', VIEWPORT.width], ['clientHeight', VIEWPORT.height]]) {
+    const original = Object.getOwnPropertyDescriptor(window.Element.prototype, name);
+    Object.defineProperty(window.HTMLElement.prototype, name, {
+      configurable: true,
+      get() { return this.id === 'windowContent' ? size : original.get.call(this); }
+    });
+  }
+
+  // jsdom does no layout, so there is nothing to scroll
+  window.Element.prototype.scrollIntoView = () => {};
+
+  const contains = (r, x, y) => r.width > 0 && x >= r.left && x <= r.right && y >= r.top && y <= r.bottom;
+  document.elementFromPoint = (x, y) => {
+    const hit = Array.from(document.querySelectorAll('.window-tab')).concat(visibleCards(), lanes())
+      .find(el => contains(el.getBoundingClientRect(), x, y));
+    if (hit) return hit;
+    const content = document.getElementById('windowContent');
+    return contains(content.getBoundingClientRect(), x, y) ? content : document.body;
+  };
+}
+
+/**
+ * Driver for the UI page.
+ */
+class UiPage {
+  constructor(dom, browser) {
+    this.dom = dom;
+    this.window = dom.window;
+    this.document = dom.window.document;
+    this.browser = browser;
+    this.context = dom.getInternalVMContext();
+    this.alerts = [];
+  }
+
+  /**
+   * Evaluates an expression in the page, e.g. a top-level `let` of ui.js.
+   * @param {string} expression - JavaScript expression
+   * @returns {*}
+   */
+  evaluate(expression) {
+    return new vm.Script(expression).runInContext(this.context);
+  }
+
+  /** @returns {number[]} The blue selection */
+  get blueSelection() {
+    return Array.from(this.evaluate('blueSelection'));
+  }
+
+  /**
+   * @param {number} tabId - Tab id
+   * @returns {HTMLElement|null} The tab's page card
+   */
+  card(tabId) {
+    return this.document.querySelector(`#windowContent .page-card[data-tab-id="${tabId}"]`);
+  }
+
+  /**
+   * @returns {number[]} Ids of the cards shown in the content area, in order
+   */
+  cardIds() {
+    return Array.from(this.document.querySelectorAll('#windowContent .page-card')).map(c => Number(c.dataset.tabId));
+  }
+
+  /**
+   * @param {number} tabId - Tab id
+   * @returns {{x: number, y: number}} The center of the tab's card
+   */
+  cardCenter(tabId) {
+    const card = this.card(tabId);
+    if (!card) throw new Error(`No card for tab ${tabId}`);
+    const r = card.getBoundingClientRect();
+    return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+  }
+
+  /**
+   * Dispatches a mouse event at a point, on the element under it.
+   * @param {string} type - Event type
+   * @param {{x: number, y: number}} point - Client coordinates
+   * @param {Object} [modifiers] - shiftKey, ctrlKey, metaKey
+   * @returns {void}
+   */
+  mouse(type, point, modifiers = {}) {
+    const target = this.document.elementFromPoint(point.x, point.y);
+    target.dispatchEvent(new this.window.MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientX: point.x, clientY: point.y, ...modifiers }));
+  }
+
+  /**
+   * Clicks a card like a user: mousedown, mouseup and click at its center.
+   * @param {number} tabId - Tab id
+   * @param {Object} [modifiers] - shiftKey, ctrlKey, metaKey
+   * @returns {Promise<void>}
+   */
+  async clickCard(tabId, modifiers = {}) {
+    const point = this.cardCenter(tabId);
+    this.mouse('mousedown', point, modifiers);
+    this.mouse('mouseup', point, modifiers);
+    this.mouse('click', point, modifiers);
+    await sleep(0);
+  }
+
+  /**
+   * Drags a marquee from one point to another.
+   * @param {{x: number, y: number}} from - Start point
+   * @param {{x: number, y: number}} to - End point
+   * @param {Object} [modifiers] - shiftKey, ctrlKey, metaKey
+   * @returns {Promise<void>}
+   */
+  async marquee(from, to, modifiers = {}) {
+    this.mouse('mousedown', from, modifiers);
+    this.mouse('mousemove', { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 }, modifiers);
+    this.mouse('mousemove', to, modifiers);
+    this.mouse('mouseup', to, modifiers);
+    await sleep(5);
+  }
+
+  /**
+   * Drags the selected cards, grabbing the card of `tabId`, and drops them on
+   * the card of `dropTabId`. The grabbed cards are hidden while dragging, so
+   * the drop point is taken after the other cards have reflowed. Dragging
+   * right inserts after the drop card, dragging left (or straight down)
+   * before it.
+   * @param {number} tabId - A selected tab to grab
+   * @param {number} dropTabId - The tab to drop on
+   * @returns {void}
+   */
+  moveDrag(tabId, dropTabId) {
+    const from = this.cardCenter(tabId);
+    this.mouse('mousedown', from);
+    const to = this.cardCenter(dropTabId);
+    // a first small step sets the drag direction, as a real drag would
+    this.mouse('mousemove', { x: from.x + Math.sign(to.x - from.x), y: from.y });
+    this.mouse('mousemove', to);
+    this.mouse('mouseup', to);
+  }
+
+  /**
+   * Starts dragging the selected cards, grabbing the card of `tabId`.
+   * @param {number} tabId - A selected tab to grab
+   * @returns {void}
+   */
+  startMoveDrag(tabId) {
+    const from = this.cardCenter(tabId);
+    this.mouse('mousedown', from);
+    this.mouse('mousemove', { x: from.x + 1, y: from.y });
+  }
+
+  /**
+   * Ends a drag started with startMoveDrag on the window tab of `windowId`.
+   * @param {number} windowId - The window to drop on
+   * @returns {void}
+   */
+  dropOnWindow(windowId) {
+    const r = this.windowTab(windowId).getBoundingClientRect();
+    const to = { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+    // leaving the content area ends the drag, like a mouseup on the window tab
+    this.document.getElementById('windowContent').dispatchEvent(new this.window.MouseEvent('mouseleave', { button: 0, clientX: to.x, clientY: to.y }));
+  }
+
+  /**
+   * @param {number} windowId - Window id
+   * @returns {HTMLElement|null} The window's tab in the window bar
+   */
+  windowTab(windowId) {
+    return this.document.querySelector(`.window-tab[data-window-id="${windowId}"]`);
+  }
+
+  /**
+   * @returns {string[]} Texts of the toasts currently shown, oldest first
+   */
+  toasts() {
+    return Array.from(this.document.querySelectorAll('#toastContainer .toast')).map(t => t.textContent);
+  }
+
+  /**
+   * Clicks a button by id.
+   * @param {string} id - Element id
+   * @returns {Promise<void>}
+   */
+  async clickButton(id) {
+    this.document.getElementById(id).click();
+    await sleep(0);
+  }
+
+  /**
+   * Waits for the dry-run preview of Merge, Merge All or Split and confirms it.
+   * @returns {Promise<void>}
+   */
+  async confirmPreview() {
+    await waitFor(() => this.document.getElementById('operationPreview'), 'the operation preview');
+    await this.clickButton('operationPreviewConfirm');
+  }
+
+  /**
+   * Waits for the in-page dialog (feedback.js) and answers it.
+   * @param {string|null} [answer=''] - Text to enter (if it has a field), or null to cancel
+   * @returns {Promise<void>}
+   */
+  async answerDialog(answer = '') {
+    await waitFor(() => this.document.getElementById('inPageDialog'), 'the in-page dialog');
+    const input = this.document.getElementById('inPageDialogInput');
+    if (input && answer !== null) input.value = answer;
+    await this.clickButton(answer === null ? 'inPageDialogCancel' : 'inPageDialogConfirm');
+  }
+
+  /**
+   * Shows a window in the content area by clicking its window button.
+   * @param {number} windowId - Window id
+   * @returns {Promise<void>}
+   */
+  async showWindow(windowId) {
+    this.windowTab(windowId).click();
+    await sleep(0);
+  }
+
+  /**
+   * Waits for the page to render the browser's current layout.
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await sleep(20);
+    const isWindowShown = this.evaluate('isWindowShown');
+    await waitFor(() => {
+      const rendered = Array.from(this.document.querySelectorAll('.window-tab')).map(b => Number(b.dataset.windowId));
+      const shown = this.browser.windowIds().filter(id => isWindowShown(this.browser.windows.get(id)));
+      return rendered.join() === shown.join();
+    }, 'the UI to render every window');
+  }
+}
+
+/**
+ * Starts a browser with the given windows plus the UI tab (first tab of the
+ * first window), loads the service worker and the UI page, and waits for
+ * the first render.
+ * @param {Object} [options]
+ * @param {Array<Array<string|Object>>} [options.windows] - Tabs per window, see FakeBrowser
+ * @param {Object} [options.storage] - Initial storage contents
+ * @returns {Promise<{browser: FakeBrowser, ui: UiPage, background: Object}>}
+ */
+async function startExtension({ windows = [[]], storage = {} } = {}) {
+  const browser = new FakeBrowser({ windows, storage });
+  const uiTab = browser.addTab(browser.windowIds()[0], { title: 'Tab Manager', url: browser.getURL('ui.html') }, 0);
+  const background = loadBackground(browser);
+
+  const html = fs.readFileSync(path.join(EXTENSION_DIR, 'ui.html'), 'utf8');
+  const scriptTag = /<script src="([^"]+)"><\/script>/g;
+  const scripts = Array.from(html.matchAll(scriptTag), m => m[1]);
+  const dom = new JSDOM(html.replace(scriptTag, ''), { url: browser.getURL('ui.html'), runScripts: 'outside-only', pretendToBeVisual: true });
+  const ui = new UiPage(dom, browser);
+  const { window } = dom;
+  window.chrome = browser.createApi('ui', { tabId: uiTab.id });
+  // the UI never blocks on a browser dialog: record any as an alert
+  window.alert = message => ui.alerts.push(String(message));
+  window.prompt = message => { ui.alerts.push(String(message)); return null; };
+  window.confirm = message => { ui.alerts.push(String(message)); return false; };
+  installGeometry(window);
+
+  // the document is still loading, so the scripts see DOMContentLoaded like in the browser
+  scripts.forEach(file => runScript(ui.context, file));
+  await waitFor(() => window.document.querySelector('#windowContent .page-card'), 'the first render');
+  return { browser, ui, background };
+}
+
+/**
+ * Detaches every event listener and closes the page, so nothing keeps
+ * running into the next test.
+ * @param {{browser: FakeBrowser, ui: UiPage}} extension - Result of startExtension()
+ * @returns {Promise<void>}
+ */
+async function stopExtension({ browser, ui }) {
+  browser.listeners.clear();
+  await sleep(50); // let in-flight renders finish
+  ui.window.close();
+}
+
+/**
+ * Starts the extension for one test and stops it afterwards.
+ * @param {Object} t - node:test context
+ * @param {Object} [options] - startExtension() options
+ * @returns {Promise<{browser: FakeBrowser, ui: UiPage, background: Object}>}
+ */
+async function start(t, options) {
+  const extension = await startExtension(options);
+  t.after(() => stopExtension(extension));
+  return extension;
+}
+
+module.exports = { start, startExtension, stopExtension, waitFor, sleep };
@@ -0,0 +1,21 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+
+const UI = 'Tab Manager';
+
+test('close other windows asks for a second click and leaves incognito windows open', async (t) => {
+  const { browser, background } = await start(t, { windows: [['a'], ['b'], ['c'], { incognito: true, tabs: ['secret'] }] });
+  const tab = { id: browser.tabId('a'), windowId: browser.windowIds()[0] };
+  const click = () => background.handleMenuClick({ menuItemId: 'close-other-windows' }, tab);
+  await background.scheduleMenuRebuild();
+
+  await click();
+  assert.equal(browser.layout().length, 4);
+  assert.equal(browser.menus.get('close-other-windows').title, 'Click again to close 2 other windows');
+
+  await click();
+  assert.deepEqual(browser.layout(), [[UI, 'a'], ['secret']]);
+});
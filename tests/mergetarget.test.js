@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor } = require('./harness');
+
+const UI = 'Tab Manager';
+const noPreview = { skipOperationPreview: { merge: true, mergeAll: false, split: false } };
+
+/**
+ * Waits for the browser to reach a layout, then asserts it.
+ * @param {Object} browser - FakeBrowser
+ * @param {string[][]} expected - Tab titles per window
+ * @returns {Promise<void>}
+ */
+async function expectLayout(browser, expected) {
+  await waitFor(() => JSON.stringify(browser.layout()) === JSON.stringify(expected), 'the layout').catch(() => {});
+  assert.deepEqual(browser.layout(), expected);
+}
+
+/**
+ * Runs stages 1 and 2 of a merge: the red tabs, then the yellow tabs.
+ * @param {Object} browser - FakeBrowser
+ * @param {Object} ui - UiPage
+ * @param {string[]} red - Titles of the red tabs
+ * @param {string[]} yellow - Titles of the yellow tabs
+ * @returns {Promise<void>}
+ */
+async function markMerge(browser, ui, red, yellow) {
+  for (const [titles, stage] of [[red, 'red'], [yellow, 'yellow']]) {
+    const ids = titles.map(title => browser.tabId(title));
+    await ui.showWindow(browser.tabs.get(ids[0]).windowId);
+    for (const [i, id] of ids.entries()) await ui.clickCard(id, { ctrlKey: i > 0 });
+    await ui.clickButton('mergeBtn');
+    assert.equal(ui.evaluate('mergeMode'), stage);
+  }
+}
+
+/**
+ * Picks a merge target mode in the popover.
+ * @param {Object} ui - UiPage
+ * @param {string} mode - Mode key
+ * @returns {Promise<void>}
+ */
+async function pickMode(ui, mode) {
+  await ui.clickButton('mergeTargetBtn');
+  ui.document.querySelector(`input[name="mergeTarget"][value="${mode}"]`).click();
+}
+
+test('red tabs go into the yellow window before the first yellow tab', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b'], ['c', 'd', 'e']] });
+
+  await markMerge(browser, ui, ['a', 'b'], ['d']);
+  await pickMode(ui, 'intoYellow');
+  assert.equal(ui.document.getElementById('mergeTargetBtn').title, 'Merge target: Red into the yellow window');
+  await ui.clickButton('mergeBtn');
+
+  await waitFor(() => ui.document.getElementById('operationPreview'), 'the preview');
+  const newOrder = Array.from(ui.document.querySelectorAll('#operationPreview .preview-changed li'), li => li.textContent);
+  assert.deepEqual(newOrder, [UI, 'c', 'a', 'b', 'd', 'e']);
+  await ui.confirmPreview();
+  await expectLayout(browser, [[UI], ['c', 'a', 'b', 'd', 'e']]);
+  await waitFor(() => ui.evaluate('mergeTargetMode') === 'new', 'the mode to go back to the default');
+});
+
+test('yellow tabs go into the red window after the last red tab', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b'], ['c', 'd', 'e']], storage: { sync: noPreview } });
+
+  await markMerge(browser, ui, ['a'], ['e', 'c']);
+  await pickMode(ui, 'intoRed');
+  await ui.clickButton('mergeBtn');
+  await expectLayout(browser, [[UI, 'a', 'e', 'c', 'b'], ['d']]);
+});
+
+test('interleave alternates red and yellow tabs from the first yellow tab on', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b'], ['x', 'c', 'd', 'e']], storage: { sync: noPreview } });
+
+  await markMerge(browser, ui, ['a', 'b'], ['c', 'd', 'e']);
+  await pickMode(ui, 'interleave');
+  await ui.clickButton('mergeBtn');
+  await expectLayout(browser, [[UI], ['x', 'a', 'c', 'b', 'd', 'e']]);
+});
+
+test('both selections can go into a chosen window at a chosen position', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a'], ['c'], ['f', 'g']], storage: { sync: noPreview } });
+  const third = browser.windowIds()[2];
+
+  await markMerge(browser, ui, ['a'], ['c']);
+  await ui.clickButton('mergeTargetBtn');
+  const select = ui.document.getElementById('mergeTargetWindow');
+  select.value = String(third);
+  select.dispatchEvent(new ui.window.Event('change'));
+  const index = ui.document.getElementById('mergeTargetIndex');
+  index.value = '1';
+  index.dispatchEvent(new ui.window.Event('input'));
+  assert.equal(ui.document.querySelector('input[name="mergeTarget"][value="window"]').checked, true);
+
+  await ui.clickButton('mergeBtn');
+  await expectLayout(browser, [[UI], ['f', 'a', 'c', 'g']]);
+});
+
+test('the default mode comes from the options and is restored after each merge', async (t) => {
+  const { browser, ui } = await start(t, {
+    windows: [['a', 'b'], ['c', 'd']],
+    storage: { sync: { ...noPreview, mergeTargetMode: 'intoYellow' } }
+  });
+
+  await markMerge(browser, ui, ['a'], ['d']);
+  await pickMode(ui, 'new');
+  await ui.clickButton('mergeBtn');
+  await expectLayout(browser, [[UI, 'b'], ['c'], ['a', 'd']]);
+  await waitFor(() => ui.evaluate('mergeTargetMode') === 'intoYellow', 'the default mode');
+
+  await markMerge(browser, ui, ['b'], ['c']);
+  await ui.clickButton('mergeBtn');
+  await expectLayout(browser, [[UI], ['b', 'c'], ['a', 'd']]);
+});
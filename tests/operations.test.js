@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startExtension, stopExtension } = require('./harness');
+
+/**
+ * Sends an operation request from the UI page to the service worker.
+ * @param {Object} ui - UiPage
+ * @param {Object} request - Operation request
+ * @returns {Promise<Object>} The operation result
+ */
+function send(ui, request) {
+  return ui.evaluate(`sendOperation(${JSON.stringify(request)})`);
+}
+
+test('move reports moved tabs and tabs that no longer exist', async (t) => {
+  const extension = await startExtension({ windows: [['a', 'b'], ['c']] });
+  t.after(() => stopExtension(extension));
+  const { browser, ui } = extension;
+  const [, second] = browser.windowIds();
+
+  const result = await send(ui, { op: 'move', tabIds: [browser.tabId('a'), 999], windowId: second, index: 0 });
+  assert.deepEqual(result.moved, [browser.tabId('a')]);
+  assert.deepEqual(result.failed, [{ tabId: 999, reason: 'Tab no longer exists' }]);
+  assert.deepEqual(result.createdWindows, []);
+  assert.deepEqual(browser.layout(), [['Tab Manager', 'b'], ['a', 'c']]);
+});
+
+test('move keeps going past tabs that cannot enter the target window', async (t) => {
+  const extension = await startExtension({ windows: [['a'], { type: 'popup', tabs: ['x'] }, { incognito: true, tabs: ['secret'] }] });
+  t.after(() => stopExtension(extension));
+  const { browser, ui } = extension;
+  const [, popup, incognito] = browser.windowIds();
+
+  const intoPopup = await send(ui, { op: 'move', tabIds: [browser.tabId('a')], windowId: popup });
+  assert.deepEqual(intoPopup.failed, [{ tabId: browser.tabId('a'), reason: 'Tabs cannot be moved into a popup window' }]);
+
+  const request = { op: 'move', tabIds: [browser.tabId('a'), browser.tabId('secret')], windowId: incognito };
+  const result = await send(ui, request);
+  assert.deepEqual(result.moved, [browser.tabId('secret')]);
+  assert.deepEqual(result.failed, [{ tabId: browser.tabId('a'), reason: 'Tabs cannot be moved between incognito and regular windows' }]);
+  assert.deepEqual(JSON.parse(ui.evaluate(`JSON.stringify(getRetryRequest(${JSON.stringify(request)}, ${JSON.stringify(result)}))`)),
+    { op: 'move', tabIds: [browser.tabId('a')], windowId: incognito });
+});
+
+test('reopenAcrossProfiles reopens incognito tabs by URL instead of failing them', async (t) => {
+  const extension = await startExtension({ windows: [['a'], { incognito: true, tabs: ['secret'] }] });
+  t.after(() => stopExtension(extension));
+  const { browser, ui } = extension;
+  const [first] = browser.windowIds();
+  const secret = browser.tabId('secret');
+
+  const result = await send(ui, { op: 'mergeAll', windowId: first, reopenAcrossProfiles: true });
+  assert.deepEqual(result.failed, []);
+  assert.equal(result.reopened.length, 1);
+  assert.equal(result.reopened[0].tabId, secret);
+  assert.equal(browser.tabs.has(secret), false);
+  assert.deepEqual(browser.layout(), [['Tab Manager', 'a', 'https://secret.example/']]);
+});
+
+test('split reports the window it created', async (t) => {
+  const extension = await startExtension({ windows: [['a', 'b']] });
+  t.after(() => stopExtension(extension));
+  const { browser, ui } = extension;
+
+  const result = await send(ui, { op: 'split', tabIds: [browser.tabId('b')] });
+  assert.deepEqual(result.moved, [browser.tabId('b')]);
+  assert.deepEqual(result.createdWindows, [browser.windowIds()[1]]);
+});
+
+test('invalid requests are rejected with the reason', async (t) => {
+  const extension = await startExtension({ windows: [['a']] });
+  t.after(() => stopExtension(extension));
+
+  await assert.rejects(send(extension.ui, { op: 'teleport' }), /Unknown operation: teleport/);
+  await assert.rejects(send(extension.ui, { op: 'move', tabIds: [1] }), /needs windowId/);
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor, sleep } = require('./harness');
+
+const UI = 'Tab Manager';
+
+/**
+ * Waits for the browser to reach a layout, then asserts it.
+ * @param {Object} browser - FakeBrowser
+ * @param {string[][]} expected - Tab titles per window
+ * @returns {Promise<void>}
+ */
+async function expectLayout(browser, expected) {
+  await waitFor(() => JSON.stringify(browser.layout()) === JSON.stringify(expected), 'the layout').catch(() => {});
+  assert.deepEqual(browser.layout(), expected);
+}
+
+/**
+ * @param {Object} ui - UiPage
+ * @returns {string[][]} Titles of the cards in each lane
+ */
+function lanes(ui) {
+  return Array.from(ui.document.querySelectorAll('#windowContent .overview-lane'), lane =>
+    Array.from(lane.querySelectorAll('.page-card-title'), title => title.textContent));
+}
+
+/**
+ * Drags the selected cards, grabbing the card of `tabId`, and drops them at a point.
+ * @param {Object} ui - UiPage
+ * @param {number} tabId - A selected tab to grab
+ * @param {{x: number, y: number}} to - Drop point
+ * @returns {void}
+ */
+function dragTo(ui, tabId, to) {
+  const from = ui.cardCenter(tabId);
+  ui.mouse('mousedown', from);
+  ui.mouse('mousemove', { x: from.x + 1, y: from.y });
+  ui.mouse('mousemove', to);
+  ui.mouse('mouseup', to);
+}
+
+/**
+ * @param {Object} ui - UiPage
+ * @param {number} tabId - Tab id
+ * @returns {DOMRect} Bounding box of the tab's card
+ */
+function cardRect(ui, tabId) {
+  return ui.card(tabId).getBoundingClientRect();
+}
+
+test('the overview shows every window as a lane and the marquee selects across them', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b'], ['c', 'd'], ['e']] });
+
+  await ui.clickButton('overviewBtn');
+  assert.deepEqual(lanes(ui), [[UI, 'a', 'b'], ['c', 'd'], ['e']]);
+  await waitFor(() => browser.storage.sync.overviewMode === true, 'the mode to be saved');
+  assert.equal(ui.document.getElementById('overviewZoom').hidden, false);
+
+  const a = cardRect(ui, browser.tabId('a'));
+  const d = cardRect(ui, browser.tabId('d'));
+  await ui.marquee({ x: a.right - 10, y: a.top + 5 }, { x: d.left + 10, y: d.bottom - 5 });
+  assert.deepEqual(ui.blueSelection, [browser.tabId('a'), browser.tabId('d')]);
+
+  const zoom = ui.document.getElementById('overviewZoom');
+  zoom.value = '2';
+  zoom.dispatchEvent(new ui.window.Event('input'));
+  assert.equal(ui.document.getElementById('windowContent').dataset.zoom, 'icons');
+  await waitFor(() => browser.storage.sync.overviewZoom === 'icons', 'the zoom to be saved');
+  assert.equal(ui.card(browser.tabId('c')).title, 'c');
+
+  await ui.clickButton('overviewBtn');
+  assert.equal(ui.document.querySelector('.overview-lane'), null);
+  assert.equal(ui.document.getElementById('overviewZoom').hidden, true);
+});
+
+test('selected tabs drop into any lane at the position under the pointer', async (t) => {
+  const storage = { sync: { moveTabsEnabled: true, overviewMode: true, overviewZoom: 'rows' } };
+  const { browser, ui } = await start(t, { windows: [['a', 'b'], ['c', 'd', 'e']], storage });
+  assert.equal(ui.document.getElementById('windowContent').dataset.zoom, 'rows');
+
+  await ui.clickCard(browser.tabId('a'));
+  await ui.clickCard(browser.tabId('b'), { ctrlKey: true });
+  // the upper half of a card drops in front of it
+  const d = cardRect(ui, browser.tabId('d'));
+  dragTo(ui, browser.tabId('a'), { x: d.left + 10, y: d.top + 5 });
+  await expectLayout(browser, [[UI], ['c', 'a', 'b', 'd', 'e']]);
+
+  // below the last card of a lane drops at the end of its window
+  await waitFor(() => ui.card(browser.tabId('d')), 'the new lanes');
+  await ui.clickCard(browser.tabId('c'));
+  const lane = ui.document.querySelector('.overview-lane').getBoundingClientRect();
+  dragTo(ui, browser.tabId('c'), { x: lane.left + 10, y: lane.bottom - 10 });
+  await expectLayout(browser, [[UI, 'c'], ['a', 'b', 'd', 'e']]);
+
+  // within a lane, the lower half of a card drops after it
+  await waitFor(() => lanes(ui)[1].length === 4, 'the new lanes');
+  await ui.clickCard(browser.tabId('a'));
+  const e = cardRect(ui, browser.tabId('e'));
+  dragTo(ui, browser.tabId('a'), { x: e.left + 10, y: e.bottom - 5 });
+  await expectLayout(browser, [[UI, 'c'], ['b', 'd', 'e', 'a']]);
+});
+
+test('lanes the selection cannot go to refuse the drop', async (t) => {
+  const storage = { sync: { moveTabsEnabled: true, overviewMode: true } };
+  const { browser, ui } = await start(t, { windows: [['a', 'b'], { incognito: true, tabs: ['secret'] }], storage });
+
+  await ui.clickCard(browser.tabId('a'));
+  const from = ui.cardCenter(browser.tabId('a'));
+  ui.mouse('mousedown', from);
+  const incognitoLane = ui.document.querySelectorAll('.overview-lane')[1];
+  assert.ok(incognitoLane.classList.contains('drop-disabled'));
+  const secret = cardRect(ui, browser.tabId('secret'));
+  ui.mouse('mousemove', { x: secret.left + 10, y: secret.top + 5 });
+  assert.equal(ui.document.querySelector('.overview-drop-marker'), null);
+  ui.mouse('mouseup', { x: secret.left + 10, y: secret.top + 5 });
+
+  assert.ok(!incognitoLane.classList.contains('drop-disabled'));
+  assert.deepEqual(ui.toasts(), ['Tabs cannot be moved between incognito and regular windows']);
+  await sleep(20);
+  assert.deepEqual(browser.layout(), [[UI, 'a', 'b'], ['secret']]);
+});
+
+test('the drop position comes from the cards measured when the drag started', async (t) => {
+  const storage = { sync: { moveTabsEnabled: true, overviewMode: true, overviewZoom: 'rows' } };
+  const { browser, ui } = await start(t, { windows: [['a'], ['c', 'd', 'e']], storage });
+  const d = cardRect(ui, browser.tabId('d'));
+  const [index, measured] = ui.evaluate(`(() => {
+    const boxes = measureOverviewDropBoxes(document.getElementById('windowContent'));
+    const rect = Element.prototype.getBoundingClientRect;
+    let measured = 0;
+    Element.prototype.getBoundingClientRect = function () {
+      if (this.matches('.page-card')) measured++;
+      return rect.call(this);
+    };
+    const target = getOverviewDropTarget(document.querySelectorAll('.overview-lane')[1], ${d.left + 10}, ${d.top + 5}, boxes);
+    Element.prototype.getBoundingClientRect = rect;
+    return [target.index, measured];
+  })()`);
+  assert.equal(index, 1);
+  assert.equal(measured, 0);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor, sleep } = require('./harness');
+
+const UI = 'Tab Manager';
+
+/**
+ * @param {Object} ui - UiPage
+ * @returns {Promise<Object>} The preview's summary and, per shown window, its heading and tab titles
+ */
+async function readPreview(ui) {
+  await waitFor(() => ui.document.getElementById('operationPreview'), 'the operation preview');
+  const preview = ui.document.getElementById('operationPreview');
+  return {
+    summary: ui.document.getElementById('operationPreviewSummary').textContent,
+    windows: Array.from(preview.querySelectorAll('.preview-window'), card => ({
+      heading: card.querySelector('.preview-window-heading').textContent,
+      tabs: Array.from(card.querySelectorAll('li'), li => li.textContent)
+    })),
+    note: (preview.querySelector('.preview-unchanged') || {}).textContent
+  };
+}
+
+test('Merge shows the resulting windows first and can be cancelled or confirmed', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b'], ['c', 'd'], ['e']] });
+  const [, second] = browser.windowIds();
+
+  await ui.clickCard(browser.tabId('a'));
+  await ui.clickButton('mergeBtn');
+  await ui.showWindow(second);
+  await ui.clickCard(browser.tabId('c'));
+  await ui.clickCard(browser.tabId('d'), { ctrlKey: true });
+  await ui.clickButton('mergeBtn');
+  await ui.clickButton('mergeBtn');
+
+  assert.deepEqual(await readPreview(ui), {
+    summary: '1 window created, 1 changed, 1 removed',
+    windows: [
+      { heading: 'a · 3 → 2 tabsChanged', tabs: [UI, 'b'] },
+      { heading: 'c · 2 → 0 tabsClosed', tabs: [] },
+      { heading: 'New window · 0 → 3 tabsNew', tabs: ['a', 'c', 'd'] }
+    ],
+    note: '1 other window unchanged'
+  });
+
+  // cancelling keeps the merge selections for another try
+  await ui.clickButton('operationPreviewCancel');
+  await sleep(20);
+  assert.equal(ui.document.getElementById('operationPreview'), null);
+  assert.deepEqual(browser.layout(), [[UI, 'a', 'b'], ['c', 'd'], ['e']]);
+  assert.equal(ui.evaluate('mergeMode'), 'yellow');
+
+  await ui.clickButton('mergeBtn');
+  await readPreview(ui);
+  ui.document.getElementById('operationPreviewSkip').checked = true;
+  await ui.confirmPreview();
+  await waitFor(() => JSON.stringify(browser.layout()) === JSON.stringify([[UI, 'b'], ['e'], ['a', 'c', 'd']]), 'the merge');
+  assert.deepEqual(browser.storage.sync.skipOperationPreview, { merge: true, mergeAll: false, split: false });
+
+  // not asked again for Merge, still asked for Split
+  await ui.showWindow(browser.windowIds()[0]);
+  await ui.clickCard(browser.tabId('b'));
+  await ui.clickButton('mergeBtn');
+  await ui.clickCard(browser.tabId('b'));
+  await ui.clickButton('mergeBtn');
+  await ui.clickButton('mergeBtn');
+  await waitFor(() => browser.layout().length === 4, 'the second merge');
+  assert.equal(ui.document.getElementById('operationPreview'), null);
+
+  await ui.clickCard(browser.tabId(UI));
+  await ui.clickButton('splitBtn');
+  assert.equal((await readPreview(ui)).summary, '1 window created, 1 removed');
+});
+
+test('Merge All preview counts the tabs that cannot move; Escape cancels it', async (t) => {
+  const storage = { sync: { pinnedHandling: { merge: 'leave', split: 'keep', move: 'keep' } } };
+  const { browser, ui } = await start(t, {
+    windows: [['a'], [{ title: 'p', pinned: true }, 'b'], { type: 'popup', tabs: ['x'] }],
+    storage
+  });
+
+  await ui.clickButton('mergeAllBtn');
+  const preview = await readPreview(ui);
+  assert.equal(preview.summary, '2 changed, 1 tab cannot move');
+  assert.deepEqual(preview.windows.map(w => w.tabs), [[UI, 'a', 'b'], ['📌 p']]);
+  assert.ok(ui.document.querySelector('#operationPreview .preview-tab-moved'));
+
+  ui.document.getElementById('operationPreviewConfirm')
+    .dispatchEvent(new ui.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  await sleep(20);
+  assert.equal(ui.document.getElementById('operationPreview'), null);
+  assert.deepEqual(browser.layout(), [[UI, 'a'], ['p', 'b'], ['x']]);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor, sleep } = require('./harness');
+
+const UI = 'Tab Manager';
+
+test('page updates patch the changed card and keep the others', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b', 'c']] });
+  const [a, b, c] = ['a', 'b', 'c'].map(title => browser.tabId(title));
+  await ui.settle();
+  const cardA = ui.card(a);
+  const cardB = ui.card(b);
+  const windowTab = ui.windowTab(browser.windowIds()[0]);
+
+  browser.pageUpdate(b, { title: 'b, renamed', favIconUrl: 'https://b.example/favicon.ico' });
+  await waitFor(() => ui.card(b).querySelector('.page-card-title').textContent === 'b, renamed', 'the new title');
+  assert.notEqual(ui.card(b), cardB);
+  assert.equal(ui.card(b).querySelector('.page-card-favicon').src, 'https://b.example/favicon.ico');
+  assert.equal(ui.card(a), cardA);
+  assert.equal(ui.windowTab(browser.windowIds()[0]), windowTab);
+
+  browser.pageUpdate(c, { status: 'loading' });
+  await waitFor(() => ui.card(c).classList.contains('loading'), 'the loading state');
+  browser.pageUpdate(c, { status: 'complete', audible: true });
+  await waitFor(() => ui.card(c).querySelector('.audio-badge'), 'the sound badge');
+  assert.equal(ui.card(c).classList.contains('loading'), false);
+  assert.equal(ui.card(c).querySelector('.audio-badge').textContent, '🔊');
+
+  // selecting only restyles the card
+  await ui.clickCard(a);
+  await ui.clickCard(b);
+  assert.equal(ui.card(a), cardA);
+  assert.equal(cardA.classList.contains('selected-blue'), false);
+  assert.equal(ui.card(b).classList.contains('selected-blue'), true);
+});
+
+test('a burst of tab events is coalesced into one refresh', async (t) => {
+  const { browser, ui, background } = await start(t, { windows: [['a'], ['b', 'c', 'd', 'e', 'f', 'g']] });
+  const [first, second] = browser.windowIds();
+  await ui.settle();
+  let loads = 0;
+  const getAll = ui.window.chrome.windows.getAll;
+  ui.window.chrome.windows.getAll = (...args) => {
+    loads++;
+    return getAll(...args);
+  };
+
+  for (const title of ['b', 'c', 'd', 'e', 'f']) {
+    await background.chrome.tabs.move(browser.tabId(title), { windowId: first, index: -1 });
+  }
+  await waitFor(() => ui.cardIds().length === 7, 'the moved tabs');
+  await sleep(100);
+  assert.equal(loads, 1);
+  assert.deepEqual(browser.layout(), [[UI, 'a', 'b', 'c', 'd', 'e', 'f'], ['g']]);
+  assert.equal(ui.windowTab(second).textContent.includes('(1)'), true);
+});
+
+test('refreshes wait for a marquee to end, and renders keep the marquee', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b', 'c']] });
+  const [a, b] = ['a', 'b'].map(title => browser.tabId(title));
+  await ui.settle();
+  const from = ui.cardCenter(a);
+  const to = ui.cardCenter(b);
+  const marquee = () => ui.document.querySelector('#windowContent > .marquee');
+  ui.mouse('mousedown', from);
+  ui.mouse('mousemove', { x: from.x + 1, y: from.y + 1 });
+  assert.ok(marquee());
+
+  browser.pageUpdate(b, { title: 'b, renamed' });
+  await sleep(300);
+  assert.ok(marquee(), 'the marquee after a page update');
+  assert.equal(ui.card(b).querySelector('.page-card-title').textContent, 'b');
+  ui.evaluate('renderWindowContent()');
+  assert.ok(marquee(), 'the marquee after a render');
+
+  ui.mouse('mousemove', to);
+  ui.mouse('mouseup', to);
+  await waitFor(() => ui.card(b).querySelector('.page-card-title').textContent === 'b, renamed', 'the deferred refresh');
+  assert.deepEqual(ui.blueSelection, [a, b]);
+  assert.equal(marquee(), null);
+});
+
+test('search results are patched like the window view', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['alpha one', 'beta'], ['alpha two']] });
+  const [one, beta, two] = ['alpha one', 'beta', 'alpha two'].map(title => browser.tabId(title));
+  const input = ui.document.getElementById('tabSearch');
+  input.value = 'alpha';
+  input.dispatchEvent(new ui.window.Event('input'));
+  assert.deepEqual(ui.cardIds(), [one, two]);
+  const cardOne = ui.card(one);
+  const header = ui.document.querySelector('.search-group-header');
+
+  browser.pageUpdate(two, { title: 'alpha two, renamed' });
+  await waitFor(() => ui.card(two).querySelector('.page-card-title').textContent === 'alpha two, renamed', 'the new title');
+  assert.equal(ui.card(one), cardOne);
+  assert.equal(ui.document.querySelector('.search-group-header'), header);
+
+  browser.pageUpdate(beta, { title: 'alpha beta' });
+  await waitFor(() => ui.cardIds().length === 3, 'the new match');
+  assert.equal(ui.card(one), cardOne);
+  assert.match(ui.document.querySelector('.search-group-header').textContent, /2 of 3 tabs$/);
+});
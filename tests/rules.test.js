@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor, sleep } = require('./harness');
+
+const jiraRule = { match: 'url', pattern: 'https://*.atlassian.net/browse/*', target: 'window', name: 'Jira', enabled: true };
+const docsRule = { match: 'title', pattern: '\\bdocs?\\b', target: 'group', name: 'Docs', enabled: true };
+
+test('the service worker moves new and navigating tabs into the named window', async (t) => {
+  const { browser, background } = await start(t, {
+    windows: [['a'], ['b']],
+    storage: { sync: { windowRules: [jiraRule] } }
+  });
+  const [first, second] = browser.windowIds();
+
+  const issue = await background.chrome.tabs.create({ windowId: first, url: 'https://acme.atlassian.net/browse/OPS-1' });
+  await waitFor(() => browser.storage.local.windowIdentities && browser.storage.local.windowIdentities.some(i => i.name === 'Jira'), 'the Jira window to be named');
+  const jiraWindowId = browser.tabs.get(issue.id).windowId;
+  assert.ok(![first, second].includes(jiraWindowId));
+
+  // an existing tab navigating to a matching URL follows it there
+  const b = browser.tabId('b');
+  await background.chrome.tabs.update(b, { url: 'https://acme.atlassian.net/browse/OPS-2' });
+  await waitFor(() => browser.tabs.get(b).windowId === jiraWindowId, 'the navigated tab to move');
+  assert.equal(browser.windows.get(jiraWindowId).tabIds.length, 2);
+
+  // pinned tabs and non-matching tabs stay put
+  const pinned = await background.chrome.tabs.create({ windowId: first, url: 'https://acme.atlassian.net/browse/OPS-3', pinned: true });
+  const other = await background.chrome.tabs.create({ windowId: first, url: 'https://acme.atlassian.net/wiki' });
+  await background.chrome.tabs.update(other.id, { url: 'https://acme.atlassian.net/wiki/home' });
+  await sleep(50);
+  assert.equal(browser.tabs.get(pinned.id).windowId, first);
+  assert.equal(browser.tabs.get(other.id).windowId, first);
+});
+
+test('Rules panel previews and applies the rules, undoably', async (t) => {
+  const { browser, ui } = await start(t, {
+    windows: [
+      ['a', { title: 'API docs', url: 'https://api.example/docs' }],
+      [{ title: 'Team docs', url: 'https://wiki.example/team' }, 'b']
+    ],
+    storage: { sync: { windowRules: [docsRule, { ...jiraRule, enabled: false }], autoApplyRules: false } }
+  });
+  const [first, second] = browser.windowIds();
+  const api = browser.tabId('API docs');
+  const team = browser.tabId('Team docs');
+
+  await ui.settle();
+  await ui.clickButton('rulesBtn');
+  assert.equal(ui.document.getElementById('rulesSummary').textContent, '1 of 2 rules enabled');
+  await ui.clickButton('rulesPreviewBtn');
+  await waitFor(() => ui.document.querySelectorAll('#rulesPreview li').length === 2, 'the preview');
+  assert.deepEqual(Array.from(ui.document.querySelectorAll('#rulesPreview li'), li => li.textContent),
+    ['API docs → group "Docs" (new)', 'Team docs → group "Docs" (new)']);
+  // a preview moves nothing
+  assert.equal(browser.tabs.get(team).windowId, second);
+  assert.equal(browser.groups.size, 0);
+
+  await ui.clickButton('rulesApplyBtn');
+  await waitFor(() => browser.tabs.get(team).windowId === first, 'the rules to apply');
+  const [group] = Array.from(browser.groups.values());
+  assert.equal(group.title, 'Docs');
+  assert.equal(browser.tabs.get(api).groupId, group.id);
+  assert.equal(browser.tabs.get(team).groupId, group.id);
+  assert.ok(ui.toasts().includes('Apply rules: 2 moved'));
+
+  // applying again changes nothing
+  await ui.clickButton('rulesApplyBtn');
+  await waitFor(() => ui.toasts().includes('Every tab is already where the rules want it'), 'the nothing-to-do toast');
+
+  await ui.clickButton('undoBtn');
+  await waitFor(() => browser.tabs.get(team).windowId === second, 'the undo');
+});
+
+test('rules are validated when imported', async (t) => {
+  const { ui } = await start(t, { windows: [['a']] });
+  const parse = text => ui.evaluate(`(() => { try { return JSON.stringify(parseRulesJson(${JSON.stringify(text)})); } catch (err) { return err.message; } })()`);
+
+  assert.equal(parse(ui.evaluate(`exportRulesJson(${JSON.stringify([jiraRule])})`)), JSON.stringify([jiraRule]));
+  assert.equal(parse('[{"match":"domain","pattern":" github.com ","target":"group","name":"Code"}]'),
+    JSON.stringify([{ match: 'domain', pattern: 'github.com', target: 'group', name: 'Code', enabled: true }]));
+  assert.equal(parse('{"rules": 3}'), 'Expected a list of rules');
+  assert.equal(parse('nope'), 'Not valid JSON');
+  assert.equal(parse('[{"match":"title","pattern":"(","target":"window","name":"X"}]').startsWith('Rule 1: Invalid regular expression'), true);
+  assert.equal(parse('[{"match":"host","pattern":"x","target":"window","name":"X"}]'), 'Rule 1: unknown match "host"');
+  assert.equal(parse('[{"match":"url","pattern":"x","target":"window","name":" "}]'), 'Rule 1: The window or group name is empty');
+});
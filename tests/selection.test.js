@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor } = require('./harness');
+
+const UI = 'Tab Manager';
+
+/**
+ * @param {string} title - Tab title
+ * @param {string} url - Tab URL
+ * @returns {Object} Tab description for FakeBrowser
+ */
+function page(title, url) {
+  return { title, url };
+}
+
+/**
+ * @param {Object} ui - UiPage
+ * @returns {HTMLElement} The selection toolbar
+ */
+function toolbar(ui) {
+  return ui.document.getElementById('selectionToolbar');
+}
+
+/**
+ * @param {Object} browser - FakeBrowser
+ * @param {string[]} titles - Tab titles
+ * @returns {number[]} Their tab ids
+ */
+function ids(browser, titles) {
+  return titles.map(title => browser.tabId(title));
+}
+
+test('the toolbar shows while tabs are selected and changes the selection', async (t) => {
+  const windows = [[page('docs1', 'https://docs.example/1'), page('news', 'https://news.example/'), page('docs2', 'https://www.docs.example/2')], ['other']];
+  const { browser, ui } = await start(t, { windows });
+  assert.equal(toolbar(ui).hidden, true);
+
+  await ui.clickCard(browser.tabId('docs1'));
+  await waitFor(() => !toolbar(ui).hidden, 'the toolbar');
+  assert.equal(ui.document.getElementById('selectionCount').textContent, '1 tab selected');
+
+  await ui.clickButton('selectionSameDomainBtn');
+  assert.deepEqual(ui.blueSelection, ids(browser, ['docs1', 'docs2']));
+  assert.equal(ui.document.getElementById('selectionCount').textContent, '2 tabs selected');
+
+  // inverting stays in the window shown
+  await ui.clickButton('selectionInvertBtn');
+  assert.deepEqual(ui.blueSelection, ids(browser, [UI, 'news']));
+
+  await ui.clickButton('selectionClearBtn');
+  assert.deepEqual(ui.blueSelection, []);
+  assert.equal(toolbar(ui).hidden, true);
+});
+
+test('bulk actions pin, mute, duplicate, bookmark and copy the selected tabs', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b', 'c']] });
+  const [a, b] = ids(browser, ['a', 'b']);
+  await ui.clickCard(a);
+  await ui.clickCard(b, { ctrlKey: true });
+
+  await ui.clickButton('selectionPinBtn');
+  await waitFor(() => browser.tabs.get(a).pinned && browser.tabs.get(b).pinned, 'the tabs to be pinned');
+  await waitFor(() => ui.document.getElementById('selectionPinBtn').textContent === 'Unpin', 'the Unpin label');
+  await ui.clickButton('selectionPinBtn');
+  await waitFor(() => !browser.tabs.get(a).pinned && !browser.tabs.get(b).pinned, 'the tabs to be unpinned');
+
+  await ui.clickButton('selectionMuteBtn');
+  await waitFor(() => browser.tabs.get(a).mutedInfo.muted && browser.tabs.get(b).mutedInfo.muted, 'the tabs to be muted');
+  await waitFor(() => ui.document.getElementById('selectionMuteBtn').textContent === 'Unmute', 'the Unmute label');
+
+  let copied = null;
+  Object.defineProperty(ui.window.navigator, 'clipboard', { value: { writeText: async (text) => { copied = text; } } });
+  await ui.clickButton('selectionCopyBtn');
+  await waitFor(() => copied !== null, 'the clipboard');
+  assert.equal(copied, 'https://a.example/\nhttps://b.example/');
+
+  await ui.clickButton('selectionBookmarkBtn');
+  await ui.answerDialog('Reading list');
+  await waitFor(() => browser.bookmarks.length === 3, 'the bookmarks');
+  const [folder, ...marks] = browser.bookmarks;
+  assert.equal(folder.title, 'Reading list');
+  assert.deepEqual(marks.map(m => [m.parentId, m.title, m.url]), [[folder.id, 'a', 'https://a.example/'], [folder.id, 'b', 'https://b.example/']]);
+  await waitFor(() => ui.toasts().includes('Bookmarked 2 tabs in "Reading list"'), 'the toast');
+
+  await ui.clickButton('selectionDuplicateBtn');
+  await waitFor(() => browser.layout()[0].length === 6, 'the copies');
+  // pinning moved a and b in front of the UI tab
+  assert.deepEqual(browser.layout(), [['a', 'a', 'b', 'b', UI, 'c']]);
+});
+
+test('the selection moves to a window picked from the drop-down, or closes', async (t) => {
+  const windows = [['a', 'b', 'c'], ['d'], { incognito: true, tabs: ['secret'] }];
+  const { browser, ui } = await start(t, { windows });
+  const [second, incognito] = browser.windowIds().slice(1);
+  await ui.clickCard(browser.tabId('a'));
+  await ui.clickCard(browser.tabId('b'), { ctrlKey: true });
+
+  const select = ui.document.getElementById('selectionMoveTarget');
+  await waitFor(() => !toolbar(ui).hidden, 'the toolbar');
+  assert.equal(select.querySelector(`option[value="${incognito}"]`).disabled, true);
+  select.value = String(second);
+  select.dispatchEvent(new ui.window.Event('change'));
+  await waitFor(() => browser.layout()[1].length === 3, 'the move');
+  assert.deepEqual(browser.layout(), [[UI, 'c'], ['d', 'a', 'b'], ['secret']]);
+
+  await waitFor(() => ui.blueSelection.length === 0 && ui.card(browser.tabId('c')), 'the refresh');
+  await ui.clickCard(browser.tabId('c'));
+  await ui.clickButton('selectionCloseBtn');
+  await waitFor(() => browser.layout()[0].length === 1, 'the tab to close');
+  assert.deepEqual(browser.layout(), [[UI], ['d', 'a', 'b'], ['secret']]);
+});
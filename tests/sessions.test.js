@@ -0,0 +1,22 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+
+const UI = 'Tab Manager';
+
+test('JSON imports report entries that are not tabs and open the rest', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a']] });
+  const text = JSON.stringify([[null, 'https://b.example/', 7, { url: 'chrome://settings' }]]);
+  const result = JSON.parse(await ui.evaluate(`importTabs(${JSON.stringify(text)}, 'new').then(JSON.stringify)`));
+
+  assert.equal(result.opened, 1);
+  assert.deepEqual(result.skipped.map(s => [s.url, s.reason]), [
+    ['null', 'not a tab'],
+    ['7', 'not a tab'],
+    ['chrome://settings', 'chrome URLs cannot be opened by extensions']
+  ]);
+  assert.equal(browser.layout().length, 2);
+  assert.deepEqual(browser.layout()[0], [UI, 'a']);
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor } = require('./harness');
+
+const HOUR = 60 * 60 * 1000;
+
+test('Suspend discards the selection or the window and Reload suspended brings them back', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b', 'c']] });
+  const [a, b, c] = ['a', 'b', 'c'].map(title => browser.tabId(title));
+
+  await ui.clickCard(b);
+  await ui.clickButton('suspendBtn');
+  await waitFor(() => ui.card(b) && ui.card(b).classList.contains('discarded'), 'the suspended card');
+  assert.equal(browser.tabs.get(b).discarded, true);
+  assert.equal(browser.tabs.get(a).discarded, false);
+  assert.ok(ui.card(b).querySelector('.suspended-badge'));
+  assert.deepEqual(ui.toasts(), ['Suspended 1 tab']);
+
+  // nothing selected: the whole window except its active tab
+  ui.evaluate('blueSelection = []');
+  await ui.clickButton('suspendBtn');
+  await waitFor(() => browser.tabs.get(c).discarded, 'the rest of the window to be suspended');
+  assert.equal(browser.tabs.get(browser.tabId('Tab Manager')).discarded, true);
+  assert.equal(browser.tabs.get(a).active, true);
+  assert.equal(browser.tabs.get(a).discarded, false);
+
+  await ui.clickButton('reloadSuspendedBtn');
+  await waitFor(() => ![b, c].some(id => browser.tabs.get(id).discarded), 'the tabs to reload');
+  await waitFor(() => !ui.document.querySelector('.page-card.discarded'), 'the cards to be redrawn');
+  assert.ok(ui.toasts().includes('Reloaded 3 suspended tabs'));
+});
+
+test('the auto-suspend alarm suspends idle tabs according to the policy', async (t) => {
+  const old = Date.now() - 2 * HOUR;
+  const { browser, background } = await start(t, {
+    windows: [[
+      { title: 'idle', lastAccessed: old },
+      { title: 'recent' },
+      { title: 'music', audible: true, lastAccessed: old },
+      { title: 'pinned', pinned: true, lastAccessed: old },
+      { title: 'mail', url: 'https://mail.work.example/inbox', lastAccessed: old },
+      { title: 'settings', url: 'chrome://settings/', lastAccessed: old }
+    ]]
+  });
+  assert.equal(browser.alarms.size, 0);
+
+  const suspendPolicy = { enabled: true, idleMinutes: 60, whitelist: ['work.example'], skipAudible: true, skipPinned: true };
+  await background.chrome.storage.sync.set({ suspendPolicy });
+  await waitFor(() => browser.alarms.has('auto-suspend'), 'the alarm to be created');
+
+  browser.fireAlarm('auto-suspend');
+  await waitFor(() => browser.tabs.get(browser.tabId('idle')).discarded, 'the idle tab to be suspended');
+  ['recent', 'music', 'pinned', 'mail', 'settings'].forEach(title => {
+    assert.equal(browser.tabs.get(browser.tabId(title)).discarded, false, title);
+  });
+
+  await background.chrome.storage.sync.set({ suspendPolicy: { ...suspendPolicy, enabled: false } });
+  await waitFor(() => !browser.alarms.has('auto-suspend'), 'the alarm to be cleared');
+});
@@ -0,0 +1,354 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor } = require('./harness');
+
+const UI = 'Tab Manager';
+
+/**
+ * Waits for the browser to reach a layout, then asserts it (so a mismatch
+ * reports the actual layout).
+ * @param {Object} browser - FakeBrowser
+ * @param {string[][]} expected - Tab titles per window
+ * @returns {Promise<void>}
+ */
+async function expectLayout(browser, expected) {
+  await waitFor(() => JSON.stringify(browser.layout()) === JSON.stringify(expected), 'the layout').catch(() => {});
+  assert.deepEqual(browser.layout(), expected);
+}
+
+test('three-stage merge moves red and yellow tabs into a new window', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b'], ['c', 'd'], ['e']] });
+  const [, second] = browser.windowIds();
+
+  await ui.clickCard(browser.tabId('a'));
+  await ui.clickButton('mergeBtn');
+  assert.deepEqual(Array.from(ui.evaluate('redSelection')), [browser.tabId('a')]);
+  assert.equal(ui.evaluate('mergeMode'), 'red');
+
+  await ui.showWindow(second);
+  await ui.clickCard(browser.tabId('c'));
+  await ui.clickCard(browser.tabId('d'), { ctrlKey: true });
+  await ui.clickButton('mergeBtn');
+  assert.deepEqual(Array.from(ui.evaluate('yellowSelection')), [browser.tabId('c'), browser.tabId('d')]);
+  assert.equal(ui.evaluate('mergeMode'), 'yellow');
+
+  await ui.clickButton('mergeBtn');
+  await ui.confirmPreview();
+  await expectLayout(browser, [[UI, 'b'], ['e'], ['a', 'c', 'd']]);
+  await waitFor(() => ui.evaluate('mergeMode') === null, 'merge mode to reset');
+  assert.deepEqual(ui.alerts, []);
+  assert.deepEqual(ui.toasts(), ['Merge: 3 moved, 1 new window']);
+});
+
+test('merge with no target selection stays in the red stage', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b']] });
+
+  await ui.clickCard(browser.tabId('a'));
+  await ui.clickButton('mergeBtn');
+  await ui.clickButton('mergeBtn');
+  assert.deepEqual(ui.toasts(), ['No tabs selected']);
+  assert.equal(ui.evaluate('mergeMode'), 'red');
+  assert.deepEqual(browser.layout(), [[UI, 'a', 'b']]);
+});
+
+test('Merge All moves every window into the UI window, pinned tabs first', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a'], ['b', 'c'], [{ title: 'p', pinned: true }, 'd']] });
+
+  await ui.clickButton('mergeAllBtn');
+  await ui.confirmPreview();
+  await expectLayout(browser, [['p', UI, 'a', 'b', 'c', 'd']]);
+  assert.equal(browser.tabs.get(browser.tabId('p')).pinned, true);
+});
+
+test('Merge All leaves pinned tabs behind when configured to', async (t) => {
+  const storage = { sync: { pinnedHandling: { merge: 'leave', split: 'keep', move: 'keep' } } };
+  const { browser, ui } = await start(t, { windows: [['a'], [{ title: 'p', pinned: true }, 'b']], storage });
+
+  await ui.clickButton('mergeAllBtn');
+  await ui.confirmPreview();
+  await expectLayout(browser, [[UI, 'a', 'b'], ['p']]);
+});
+
+test('Merge All moves what it can and lists the tabs it could not move', async (t) => {
+  const { browser, ui } = await start(t, {
+    windows: [['a'], { type: 'popup', tabs: ['x'] }, ['b'], { incognito: true, tabs: ['secret'] }]
+  });
+
+  await ui.clickButton('mergeAllBtn');
+  await ui.confirmPreview();
+  await expectLayout(browser, [[UI, 'a', 'b'], ['x'], ['secret']]);
+  const panel = ui.document.getElementById('operationResult');
+  await waitFor(() => !panel.hidden, 'the result panel');
+  assert.equal(ui.document.getElementById('operationResultTitle').textContent, 'Merge All: 1 moved, 2 failed');
+  const failed = Array.from(panel.querySelectorAll('#operationResultFailed li'), li => li.textContent);
+  assert.deepEqual(failed, [
+    'xTabs in popup windows cannot be moved',
+    'secretTabs cannot be moved between incognito and regular windows'
+  ]);
+  assert.deepEqual(ui.alerts, []);
+
+  await ui.clickButton('operationResultRetry');
+  await waitFor(() => ui.document.getElementById('operationResultTitle').textContent.startsWith('Retry Merge All'), 'the retry result');
+  assert.equal(ui.document.getElementById('operationResultTitle').textContent, 'Retry Merge All: 0 moved, 2 failed');
+  assert.deepEqual(browser.layout(), [[UI, 'a', 'b'], ['x'], ['secret']]);
+
+  await ui.clickButton('operationResultClose');
+  assert.equal(panel.hidden, true);
+});
+
+test('Split moves the selected tabs into a new window in selection order', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b', 'c', 'd']] });
+
+  await ui.clickCard(browser.tabId('d'));
+  await ui.clickCard(browser.tabId('b'), { ctrlKey: true });
+  await ui.clickButton('splitBtn');
+  await ui.confirmPreview();
+  await expectLayout(browser, [[UI, 'a', 'c'], ['d', 'b']]);
+});
+
+test('Split keeps a pinned first tab pinned in the new window', async (t) => {
+  const { browser, ui } = await start(t, { windows: [[{ title: 'p', pinned: true }, 'a', 'b']] });
+
+  await ui.clickCard(browser.tabId('p'));
+  await ui.clickCard(browser.tabId('b'), { ctrlKey: true });
+  await ui.clickButton('splitBtn');
+  await ui.confirmPreview();
+  await expectLayout(browser, [[UI, 'a'], ['p', 'b']]);
+  assert.equal(browser.tabs.get(browser.tabId('p')).pinned, true);
+});
+
+test('Split with nothing selected shows a toast and changes nothing', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a']] });
+
+  await ui.clickButton('splitBtn');
+  assert.deepEqual(ui.toasts(), ['No tabs selected']);
+  assert.deepEqual(ui.alerts, []);
+  assert.deepEqual(browser.layout(), [[UI, 'a']]);
+});
+
+test('the move-to-new-window command without a tab or highlighted tabs moves the active tab', async (t) => {
+  const { browser } = await start(t, { windows: [['a', { title: 'b', active: true }]] });
+  // Chrome passes no tab when the command comes from a devtools window
+  browser.windowIds().forEach(id => browser.windows.get(id).tabIds.forEach(tabId => { browser.tabs.get(tabId).highlighted = false; }));
+  browser.fire('commands.onCommand', 'move-to-new-window');
+  await expectLayout(browser, [[UI, 'a'], ['b']]);
+});
+
+test('Ctrl+Z and Escape in a text field do not undo or clear the selection', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a']] });
+  await ui.clickCard(browser.tabId('a'));
+  ui.evaluate('window.undoCalls = 0; runUndo = () => { window.undoCalls++; }');
+  const input = ui.document.getElementById('windowNameInput');
+  const press = (target, key, modifiers = {}) => target.dispatchEvent(new ui.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers }));
+
+  press(input, 'z', { ctrlKey: true });
+  press(input, 'Escape');
+  assert.equal(ui.evaluate('window.undoCalls'), 0);
+  assert.deepEqual(ui.blueSelection, [browser.tabId('a')]);
+
+  press(ui.document.body, 'z', { ctrlKey: true });
+  assert.equal(ui.evaluate('window.undoCalls'), 1);
+});
+
+test('marquee selects the cards it touches; Shift adds to the selection', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b', 'c', 'd', 'e']] });
+  const id = title => browser.tabId(title);
+
+  // grid: [UI, a, b, c] / [d, e]
+  await ui.marquee(ui.cardCenter(id('a')), ui.cardCenter(id('b')));
+  assert.deepEqual(ui.blueSelection, [id('a'), id('b')]);
+  await waitFor(() => ui.card(id('a')).classList.contains('selected-blue'), 'the selection to render');
+  assert.equal(ui.card(id('c')).classList.contains('selected-blue'), false);
+
+  await ui.marquee(ui.cardCenter(id('d')), ui.cardCenter(id('e')), { shiftKey: true });
+  assert.deepEqual(ui.blueSelection, [id('a'), id('b'), id('d'), id('e')]);
+
+  // a plain marquee replaces the selection; this one spans two rows
+  await ui.marquee(ui.cardCenter(id('d')), ui.cardCenter(id('a')));
+  assert.deepEqual(ui.blueSelection, [browser.tabId(UI), id('a'), id('d'), id('e')]);
+});
+
+test('marquee over empty space keeps the selection', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a']] });
+
+  await ui.clickCard(browser.tabId('a'));
+  await ui.marquee({ x: 700, y: 300 }, { x: 800, y: 310 });
+  assert.deepEqual(ui.blueSelection, [browser.tabId('a')]);
+});
+
+test('clicking a search result header ends the search and shows that window', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['alpha one', 'beta'], ['alpha two', 'gamma']] });
+  const second = browser.windowIds()[1];
+  const input = ui.document.getElementById('tabSearch');
+  input.value = 'alpha';
+  input.dispatchEvent(new ui.window.Event('input'));
+  assert.deepEqual(ui.cardIds(), [browser.tabId('alpha one'), browser.tabId('alpha two')]);
+
+  ui.document.querySelectorAll('.search-group-header')[1].click();
+  assert.equal(input.value, '');
+  assert.equal(ui.document.querySelector('.search-group-header'), null);
+  assert.deepEqual(ui.cardIds(), [browser.tabId('alpha two'), browser.tabId('gamma')]);
+  assert.equal(ui.evaluate('activeWindowId'), second);
+});
+
+test.describe('drag reordering', () => {
+  const storage = { sync: { moveTabsEnabled: true } };
+
+  test('dragging a tab right drops it after the target card', async (t) => {
+    const { browser, ui } = await start(t, { windows: [['a', 'b', 'c', 'd']], storage });
+    const id = title => browser.tabId(title);
+
+    await ui.clickCard(id('a'));
+    ui.moveDrag(id('a'), id('c'));
+    await expectLayout(browser, [[UI, 'b', 'c', 'a', 'd']]);
+  });
+
+  test('dragging a tab left drops it before the target card', async (t) => {
+    const { browser, ui } = await start(t, { windows: [['a', 'b', 'c', 'd']], storage });
+    const id = title => browser.tabId(title);
+
+    await ui.clickCard(id('c'));
+    ui.moveDrag(id('c'), id('a'));
+    await expectLayout(browser, [[UI, 'c', 'a', 'b', 'd']]);
+  });
+
+  test('dragging a tab onto the last card moves it to the end', async (t) => {
+    const { browser, ui } = await start(t, { windows: [['a', 'b', 'c']], storage });
+    const id = title => browser.tabId(title);
+
+    await ui.clickCard(id('a'));
+    ui.moveDrag(id('a'), id('c'));
+    await expectLayout(browser, [[UI, 'b', 'c', 'a']]);
+  });
+
+  test('tabs from both sides of the drop point land together in selection order', async (t) => {
+    const { browser, ui } = await start(t, { windows: [['a', 'b', 'c', 'd', 'e', 'f']], storage });
+    const id = title => browser.tabId(title);
+
+    // dropping a, b and e after d: chrome.tabs.move alone would scatter them
+    await ui.clickCard(id('a'));
+    await ui.clickCard(id('b'), { ctrlKey: true });
+    await ui.clickCard(id('e'), { ctrlKey: true });
+    ui.moveDrag(id('a'), id('d'));
+    await expectLayout(browser, [[UI, 'c', 'd', 'a', 'b', 'e', 'f']]);
+  });
+
+  test('several tabs dragged past the end keep their order', async (t) => {
+    const { browser, ui } = await start(t, { windows: [['a', 'b', 'c', 'd']], storage });
+    const id = title => browser.tabId(title);
+
+    await ui.clickCard(id('a'));
+    await ui.clickCard(id('c'), { ctrlKey: true });
+    ui.moveDrag(id('a'), id('d'));
+    await expectLayout(browser, [[UI, 'b', 'd', 'a', 'c']]);
+  });
+
+  test('a drag can be undone', async (t) => {
+    const { browser, ui } = await start(t, { windows: [['a', 'b', 'c']], storage });
+    const id = title => browser.tabId(title);
+
+    await ui.clickCard(id('a'));
+    ui.moveDrag(id('a'), id('c'));
+    await expectLayout(browser, [[UI, 'b', 'c', 'a']]);
+    await waitFor(() => !ui.document.getElementById('undoBtn').disabled, 'undo to become available');
+    await ui.clickButton('undoBtn');
+    await expectLayout(browser, [[UI, 'a', 'b', 'c']]);
+  });
+});
+
+test.describe('window types', () => {
+  test('window tabs are badged by type; popup and devtools windows are hidden until shown', async (t) => {
+    const { browser, ui } = await start(t, {
+      windows: [['a'], { incognito: true, tabs: ['secret'] }, { type: 'popup', tabs: ['x'] }, { type: 'devtools', tabs: ['dt'] }]
+    });
+    const [first, incognito, popup, devtools] = browser.windowIds();
+    const badges = windowId => Array.from(ui.windowTab(windowId).querySelectorAll('.window-badge'), b => b.textContent);
+
+    await ui.settle();
+    assert.equal(ui.windowTab(popup), null);
+    assert.equal(ui.windowTab(devtools), null);
+    assert.deepEqual(badges(first), []);
+    assert.deepEqual(badges(incognito), ['Incognito']);
+    assert.ok(ui.windowTab(incognito).classList.contains('incognito'));
+
+    await ui.clickButton('windowFilterBtn');
+    await ui.settle();
+    assert.deepEqual(badges(popup), ['Popup']);
+    assert.deepEqual(badges(devtools), ['DevTools']);
+    assert.equal(browser.storage.sync.hideSpecialWindows, false);
+    assert.equal(ui.document.getElementById('windowFilterBtn').textContent, 'Hide popups');
+  });
+
+  test('dropping tabs on an incognito window is refused', async (t) => {
+    const storage = { sync: { moveTabsEnabled: true } };
+    const { browser, ui } = await start(t, { windows: [['a', 'b'], { incognito: true, tabs: ['secret'] }], storage });
+    const [, incognito] = browser.windowIds();
+
+    await ui.clickCard(browser.tabId('a'));
+    ui.startMoveDrag(browser.tabId('a'));
+    assert.ok(ui.windowTab(incognito).classList.contains('drop-disabled'));
+    ui.dropOnWindow(incognito);
+    assert.ok(!ui.windowTab(incognito).classList.contains('drop-disabled'));
+    assert.deepEqual(ui.toasts(), ['Tabs cannot be moved between incognito and regular windows']);
+    await ui.settle();
+    assert.deepEqual(browser.layout(), [[UI, 'a', 'b'], ['secret']]);
+  });
+
+  test('with the reopen fallback, tabs dropped on an incognito window are reopened there', async (t) => {
+    const storage = { sync: { moveTabsEnabled: true, reopenAcrossProfiles: true } };
+    const { browser, ui } = await start(t, { windows: [['a', 'b'], { incognito: true, tabs: ['secret'] }], storage });
+    const [, incognito] = browser.windowIds();
+
+    await ui.clickCard(browser.tabId('a'));
+    ui.startMoveDrag(browser.tabId('a'));
+    ui.dropOnWindow(incognito);
+    await expectLayout(browser, [[UI, 'b'], ['secret', 'https://a.example/']]);
+    await waitFor(() => ui.toasts().length, 'the result toast');
+    assert.deepEqual(ui.toasts(), ['Move: 0 moved, 1 reopened']);
+  });
+});
+
+test('split by domain keeps the largest domain with the UI tab and tabs in their groups', async (t) => {
+  const { browser, ui, background } = await start(t, {
+    windows: [[
+      { title: 'x1', url: 'https://x.example/1' },
+      { title: 'x2', url: 'https://x.example/2' },
+      { title: 'x3', url: 'https://x.example/3' },
+      { title: 'y1', url: 'https://y.example/1' },
+      { title: 'y2', url: 'https://y.example/2' }
+    ]]
+  });
+  await background.chrome.tabs.group({ tabIds: [browser.tabId('y1'), browser.tabId('y2')] });
+  await ui.settle();
+
+  await ui.clickButton('splitByDomainBtn');
+  await expectLayout(browser, [[UI, 'x1', 'x2', 'x3'], ['y1', 'y2']]);
+  const groupId = browser.tabs.get(browser.tabId('y1')).groupId;
+  assert.notEqual(groupId, -1);
+  assert.equal(browser.tabs.get(browser.tabId('y2')).groupId, groupId);
+  await waitFor(() => ui.toasts().length > 0, 'the split report');
+  assert.deepEqual(ui.toasts(), ['Split by domain: 2 moved, 1 new window']);
+});
+
+test('grouping asks for the group name in the page instead of a blocking prompt', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a', 'b', 'c']] });
+  const [a, b] = ['a', 'b'].map(title => browser.tabId(title));
+
+  await ui.clickCard(a);
+  await ui.clickCard(b, { ctrlKey: true });
+  await ui.clickButton('groupBtn');
+  await ui.answerDialog(null);
+  await ui.settle();
+  assert.equal(browser.tabs.get(a).groupId, -1);
+
+  await ui.clickButton('groupBtn');
+  await ui.answerDialog('Work');
+  await waitFor(() => browser.tabs.get(a).groupId !== -1, 'the group');
+  const group = browser.groups.get(browser.tabs.get(a).groupId);
+  assert.equal(group.title, 'Work');
+  assert.equal(browser.tabs.get(b).groupId, group.id);
+  assert.equal(ui.document.getElementById('inPageDialog'), null);
+  assert.deepEqual(ui.alerts, []);
+});
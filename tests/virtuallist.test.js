@@ -0,0 +1,125 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor, sleep } = require('./harness');
+
+const UI = 'Tab Manager';
+const TAB_COUNT = 2000;
+
+/**
+ * Starts the extension with one window of TAB_COUNT tabs (after the UI tab)
+ * and stops it afterwards.
+ * @param {Object} t - node:test context
+ * @param {Object} [storage] - Initial storage contents
+ * @returns {Promise<Object>}
+ */
+function startWithManyTabs(t, storage = {}) {
+  const titles = Array.from({ length: TAB_COUNT }, (_, i) => `t${i}`);
+  return start(t, { windows: [titles, ['other']], storage });
+}
+
+/**
+ * Scrolls the content area and waits for the rows in view to be rendered.
+ * @param {Object} ui - UiPage
+ * @param {number} scrollTop - New scroll position
+ * @returns {Promise<void>}
+ */
+async function scrollTo(ui, scrollTop) {
+  const content = ui.document.getElementById('windowContent');
+  content.scrollTop = scrollTop;
+  content.dispatchEvent(new ui.window.Event('scroll'));
+  await sleep(50);
+}
+
+test('a window with thousands of tabs renders only the cards in view', async (t) => {
+  const { browser, ui } = await startWithManyTabs(t);
+  const content = ui.document.getElementById('windowContent');
+  assert.ok(content.classList.contains('virtual'));
+  const rendered = ui.cardIds().length;
+  assert.ok(rendered > 0 && rendered < 100, `${rendered} cards rendered`);
+  assert.equal(ui.card(browser.tabId('t1500')), null);
+  assert.equal(ui.card(browser.tabId('t0')).querySelector('.page-card-favicon').loading, 'lazy');
+
+  // 3 cards per row of 108px: t1500 is tab 1501, in row 500
+  await scrollTo(ui, 500 * 108);
+  assert.ok(ui.card(browser.tabId('t1500')), 'the card scrolled to');
+  assert.equal(ui.card(browser.tabId('t0')), null);
+  assert.ok(ui.cardIds().length < 100);
+
+  // the marquee selects from the model, including cards scrolled out of the page
+  const first = ui.cardCenter(browser.tabId('t1500'));
+  await ui.marquee({ x: first.x, y: first.y }, { x: first.x + 1, y: first.y + 108 });
+  assert.deepEqual(ui.blueSelection, [browser.tabId('t1500'), browser.tabId('t1503')]);
+
+  // switching windows leaves the virtualized layout
+  await ui.showWindow(browser.windowIds()[1]);
+  assert.equal(content.classList.contains('virtual'), false);
+  assert.deepEqual(ui.cardIds(), [browser.tabId('other')]);
+  await ui.showWindow(browser.windowIds()[0]);
+  assert.ok(content.classList.contains('virtual'));
+  assert.equal(content.scrollTop, 500 * 108);
+  assert.equal(browser.layout()[0][0], UI);
+});
+
+test('move-drag insertion and arrow keys work from the geometry model', async (t) => {
+  const { browser, ui } = await startWithManyTabs(t, { sync: { moveTabsEnabled: true } });
+  const [t0, t1, t7] = ['t0', 't1', 't7'].map(title => browser.tabId(title));
+
+  await ui.clickCard(t0);
+  await ui.clickCard(t1, { ctrlKey: true });
+  // the left half of t7's card inserts in front of it
+  const to = ui.cardCenter(t7);
+  ui.startMoveDrag(t0);
+  ui.mouse('mousemove', { x: to.x - 50, y: to.y });
+  assert.ok(ui.card(t7).classList.contains('insert-before'));
+  ui.mouse('mouseup', { x: to.x - 50, y: to.y });
+  await waitFor(() => browser.layout()[0][6] === 't0', 'the move');
+  assert.deepEqual(browser.layout()[0].slice(0, 9), [UI, 't2', 't3', 't4', 't5', 't6', 't0', 't1', 't7']);
+
+  // ArrowDown moves one row of 3 cards, out of the rendered rows if need be
+  await waitFor(() => ui.evaluate('blueSelection.length') === 0, 'the selection to clear');
+  await ui.clickCard(t7);
+  const press = key => ui.document.dispatchEvent(new ui.window.KeyboardEvent('keydown', { key, bubbles: true }));
+  press('ArrowDown');
+  assert.equal(ui.evaluate('focusedTabId'), browser.tabId('t10'));
+  for (let i = 0; i < 40; i++) press('ArrowDown');
+  const focused = browser.tabId('t130');
+  assert.equal(ui.evaluate('focusedTabId'), focused);
+  await waitFor(() => ui.card(focused), 'the focused card to be rendered');
+  assert.ok(ui.card(focused).classList.contains('keyboard-focus'));
+  assert.ok(ui.document.getElementById('windowContent').scrollTop > 0);
+});
+
+test('pinned tabs and group headers keep their rows in the geometry model', async (t) => {
+  const titles = Array.from({ length: TAB_COUNT }, (_, i) => `t${i}`);
+  const { browser, ui, background } = await start(t, { windows: [['other'], [{ title: 'p0', pinned: true }, { title: 'p1', pinned: true }, ...titles]] });
+  const [t2, t3, t5, t7, t10] = ['t2', 't3', 't5', 't7', 't10'].map(title => browser.tabId(title));
+  await background.chrome.tabs.group({ tabIds: ['t3', 't4', 't5', 't6', 't7'].map(title => browser.tabId(title)) });
+  await ui.settle();
+  await ui.showWindow(browser.windowIds()[1]);
+
+  // 3 cards per row: p0 p1 | t0 t1 t2 | group header | t3 t4 t5 | t6 t7 | t8 t9 t10
+  assert.ok(ui.card(browser.tabId('p0')).classList.contains('pinned'));
+  assert.ok(ui.cardCenter(browser.tabId('t0')).y > ui.cardCenter(browser.tabId('p1')).y);
+  const header = ui.document.querySelector('#windowContent > .tab-group-section');
+  assert.equal(header.querySelector('.tab-group-count').textContent, '5');
+  assert.equal(header.querySelector('.tab-group-body').children.length, 0);
+  assert.ok(ui.cardCenter(t3).y - ui.cardCenter(t2).y > 108);
+
+  const press = key => ui.document.dispatchEvent(new ui.window.KeyboardEvent('keydown', { key, bubbles: true }));
+  await ui.clickCard(t2);
+  press('ArrowDown');
+  assert.equal(ui.evaluate('focusedTabId'), t5);
+  press('ArrowDown');
+  assert.equal(ui.evaluate('focusedTabId'), t7);
+
+  // a collapsed group keeps only its header, and clicking its title still selects its tabs
+  header.querySelector('.tab-group-toggle').click();
+  assert.equal(ui.card(t3), null);
+  await ui.clickCard(t2);
+  press('ArrowDown');
+  assert.equal(ui.evaluate('focusedTabId'), t10);
+  ui.document.querySelector('#windowContent > .tab-group-section .tab-group-title').click();
+  assert.equal(ui.blueSelection.length, 5);
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, waitFor } = require('./harness');
+
+/**
+ * @param {Object} ui - UiPage
+ * @param {number} windowId - Window id
+ * @returns {string} Text of the window's label in the window bar
+ */
+function windowLabel(ui, windowId) {
+  return ui.windowTab(windowId).querySelector('.window-tab-label').textContent;
+}
+
+test('windows are labelled by their dominant domain or active tab', async (t) => {
+  const { browser, ui } = await start(t, {
+    windows: [
+      ['a'],
+      [{ title: 'Issues', url: 'https://github.com/x/issues' }, { title: 'PRs', url: 'https://www.github.com/x/pulls' }, 'other'],
+      ['news', { title: 'Weather', active: true }]
+    ]
+  });
+  const [, second, third] = browser.windowIds();
+
+  await ui.settle();
+  assert.equal(windowLabel(ui, second), 'github.com (3)');
+  assert.equal(windowLabel(ui, third), 'Weather (2)');
+});
+
+test('a window can be named and colored from its context menu', async (t) => {
+  const { browser, ui } = await start(t, { windows: [['a'], ['b', 'c']] });
+  const [first, second] = browser.windowIds();
+
+  await ui.settle();
+  ui.windowTab(second).dispatchEvent(new ui.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+  assert.equal(ui.document.getElementById('windowNamePanel').hidden, false);
+  ui.document.getElementById('windowNameInput').value = 'Research';
+  ui.document.getElementById('windowColorSelect').value = 'green';
+  await ui.clickButton('windowNameSaveBtn');
+
+  await waitFor(() => windowLabel(ui, second) === 'Research (2)', 'the new name');
+  assert.ok(ui.windowTab(second).classList.contains('colored'));
+  const [identity] = browser.storage.local.windowIdentities;
+  assert.equal(identity.name, 'Research');
+  assert.equal(identity.color, 'green');
+  assert.deepEqual(identity.fingerprint, ['https://b.example/', 'https://c.example/']);
+
+  // the service worker lists the window by name in the "Move tab to window" menu
+  await waitFor(() => browser.menus.has(`move-to-window:${second}`) &&
+    browser.menus.get(`move-to-window:${second}`).title === 'Research (2 tabs)', 'the renamed menu item');
+
+  // exports use the name too
+  ui.evaluate(`activeWindowId = ${second}`);
+  assert.deepEqual(JSON.parse(ui.evaluate("JSON.stringify(collectExportWindows('all'))")).map(w => w.label), ['a', 'Research']);
+  assert.equal(windowLabel(ui, first), 'a (2)');
+
+  await ui.clickButton('windowNameBtn');
+  await ui.clickButton('windowNameResetBtn');
+  await waitFor(() => windowLabel(ui, second) === 'b (2)', 'the automatic label');
+  assert.deepEqual(browser.storage.local.windowIdentities, []);
+});
+
+test('names are matched back to windows by their tabs after a restart', async (t) => {
+  const windowIdentities = [
+    { windowId: 1, session: 'before-restart', name: 'Work', color: 'blue', fingerprint: ['https://mail.example/', 'https://docs.example/', 'https://chat.example/'], lastSeen: 1 },
+    { windowId: 2, session: 'before-restart', name: 'Gone', color: '', fingerprint: ['https://old.example/'], lastSeen: 1 }
+  ];
+  const { browser, ui } = await start(t, {
+    windows: [['news'], ['mail', 'docs', 'chat', 'extra']],
+    storage: { local: { windowIdentities } }
+  });
+  const [first, second] = browser.windowIds();
+
+  await ui.settle();
+  assert.equal(windowLabel(ui, second), 'Work (4)');
+  // window ids from before the restart mean nothing now
+  assert.equal(windowLabel(ui, first), 'news (2)');
+  const work = browser.storage.local.windowIdentities.find(i => i.name === 'Work');
+  assert.equal(work.windowId, second);
+  assert.notEqual(work.session, 'before-restart');
+});
+
+test('a name set while another context updates the fingerprints is kept', async (t) => {
+  const windowIdentities = [
+    { windowId: 1, session: 'before-restart', name: 'Work', color: '', fingerprint: ['https://mail.example/', 'https://docs.example/'], lastSeen: 1 }
+  ];
+  const { browser, ui, background } = await start(t, {
+    windows: [['news'], ['mail', 'docs']],
+    storage: { local: { windowIdentities } }
+  });
+  const [first, second] = browser.windowIds();
+  await ui.settle();
+
+  // the service worker reads the identities, then the user names a window before it writes them
+  const storage = background.chrome.storage.local;
+  const get = storage.get;
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  storage.get = async (...args) => {
+    const items = await get.apply(storage, args);
+    await held;
+    return items;
+  };
+  const windows = await background.chrome.windows.getAll({ populate: true });
+  windows.find(w => w.id === second).tabs.push({ url: 'https://chat.example/' });
+  const resolving = background.resolveWindowIdentities(windows);
+  await ui.evaluate(`chrome.windows.get(${first}, { populate: true }).then(win => setWindowIdentity(win, { name: 'News' }))`);
+  storage.get = get;
+  release();
+  await resolving;
+
+  const stored = browser.storage.local.windowIdentities;
+  assert.deepEqual(stored.map(i => i.name).sort(), ['News', 'Work']);
+  assert.deepEqual(stored.find(i => i.name === 'Work').fingerprint, ['https://mail.example/', 'https://docs.example/', 'https://chat.example/']);
+});